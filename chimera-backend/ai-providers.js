@@ -0,0 +1,685 @@
+/* ============================================================
+   Chimera AI Providers
+   - One interface over every model backend the server can use
+   - gemini: Google's Generative Language API, with web search
+     grounding for deep search
+   - openai: any OpenAI-compatible /chat/completions endpoint,
+     including a local llama.cpp or Ollama server
+   - mock: deterministic replies without any network access,
+     for tests and offline environments
+   - AI_PROVIDERS lists the providers to use in fallback order;
+     each provider tries its own models in the order configured
+   - EMBEDDING_PROVIDER picks the one embedding model behind
+     semantic search: gemini, openai (or any compatible server),
+     or local, a hashing model that needs no network access
+   ============================================================ */
+
+const GEMINI_DEFAULT_MODELS = ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-2.5-flash"];
+const GEMINI_API_VERSIONS = ["v1beta", "v1"];
+const GEMINI_MODEL_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_DISCOVERED_MODELS = 10;
+const GEMINI_DEFAULT_EMBEDDING_MODEL = "text-embedding-004";
+const GEMINI_EMBED_BATCH_SIZE = 100;
+const OPENAI_DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const OPENAI_EMBED_BATCH_SIZE = 64;
+const LOCAL_EMBEDDING_DIMENSIONS = 512;
+
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function cleanUrl(url) {
+  const value = String(url || "").trim();
+  if (!value || !/^https?:\/\//i.test(value)) {
+    return "";
+  }
+  return value.replace(/[)\].,;!?]+$/g, "");
+}
+
+function collectUrlsDeep(node, bucket) {
+  if (!node) {
+    return;
+  }
+
+  if (typeof node === "string") {
+    const cleaned = cleanUrl(node);
+    if (cleaned) {
+      bucket.add(cleaned);
+    }
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectUrlsDeep(item, bucket));
+    return;
+  }
+
+  if (typeof node === "object") {
+    for (const [key, value] of Object.entries(node)) {
+      if (
+        (key.toLowerCase() === "url" || key.toLowerCase() === "uri") &&
+        typeof value === "string"
+      ) {
+        const cleaned = cleanUrl(value);
+        if (cleaned) {
+          bucket.add(cleaned);
+        }
+      }
+      collectUrlsDeep(value, bucket);
+    }
+  }
+}
+
+function extractUrlsFromText(text) {
+  const matches = String(text || "").match(/https?:\/\/[^\s)]+/gi) || [];
+  const urls = new Set();
+  matches.forEach((item) => {
+    const cleaned = cleanUrl(item);
+    if (cleaned) {
+      urls.add(cleaned);
+    }
+  });
+  return Array.from(urls);
+}
+
+function collectGroundingWebs(node, bucket) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectGroundingWebs(item, bucket));
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  if (node.web && typeof node.web.uri === "string") {
+    bucket.push(node.web);
+  }
+  Object.values(node).forEach((value) => collectGroundingWebs(value, bucket));
+}
+
+// Returns `{ url, title }` for every link in a response. Search grounding
+// gives each link a title (usually the site's domain); other URLs found in
+// the response have none.
+function extractSources(data, reply = "") {
+  const sources = new Map();
+  const addSource = (url, title = "") => {
+    const cleaned = cleanUrl(url);
+    if (cleaned && !sources.get(cleaned)?.title) {
+      sources.set(cleaned, { url: cleaned, title: String(title || "").trim() });
+    }
+  };
+
+  const webs = [];
+  collectGroundingWebs(data, webs);
+  webs.forEach((web) => addSource(web.uri, web.title));
+
+  const urls = new Set();
+  collectUrlsDeep(data, urls);
+  extractUrlsFromText(reply).forEach((url) => urls.add(url));
+  urls.forEach((url) => addSource(url));
+  return Array.from(sources.values());
+}
+
+/**
+ * Calls `onData(payload)` for every `data:` field of a `text/event-stream`
+ * response body.
+ */
+export async function readEventStream(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const emit = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).replace(/^ /, ""))
+      .join("\n");
+    if (data) {
+      onData(data);
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary >= 0) {
+      emit(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+  emit(buffer + decoder.decode());
+}
+
+async function readErrorBody(response) {
+  return (await response.text().catch(() => "")).slice(0, 500);
+}
+
+function normalizeModelName(model) {
+  const value = String(model || "").trim();
+  if (!value) {
+    return "";
+  }
+  return value.startsWith("models/") ? value.slice("models/".length) : value;
+}
+
+// Orders models the API lists that are not configured.
+function rankGeminiModel(model) {
+  const name = normalizeModelName(model).toLowerCase();
+  let score = 0;
+  if (name.includes("flash")) score += 10;
+  if (name.includes("2.5")) score += 5;
+  if (name.includes("2.0")) score += 4;
+  if (name.includes("lite")) score -= 2;
+  return score;
+}
+
+function getGeminiPartsText(data) {
+  return (data?.candidates?.[0]?.content?.parts || [])
+    .map((part) => String(part?.text || ""))
+    .join("");
+}
+
+/**
+ * Every provider has `name`, `searchable` (whether it can ground replies in
+ * a web search) and `generate(request)`, where `request` is
+ * `{ systemText, messages, temperature, maxOutputTokens, useSearchTool,
+ * onText, signal }` and `messages` alternate `{ role: "user" | "assistant",
+ * text }`. `generate` resolves to `{ text, sources, model }`.
+ *
+ * With `onText` the reply is streamed and each piece is passed on as it
+ * arrives. Once anything has been streamed a provider does not retry on
+ * another model, which would repeat text the caller already has.
+ */
+function createGeminiProvider({ apiKey, models, discoverModels }) {
+  let discoveredModels = [];
+  let discoveredAt = 0;
+
+  const fetchAvailableModels = async () => {
+    const now = Date.now();
+    if (discoveredModels.length > 0 && now - discoveredAt < GEMINI_MODEL_CACHE_TTL_MS) {
+      return discoveredModels;
+    }
+
+    for (const apiVersion of GEMINI_API_VERSIONS) {
+      const listUrl =
+        `https://generativelanguage.googleapis.com/${apiVersion}/models?key=` +
+        `${encodeURIComponent(apiKey)}`;
+      try {
+        const response = await fetch(listUrl);
+        if (!response.ok) {
+          continue;
+        }
+
+        const data = await response.json();
+        const available = (data?.models || [])
+          .filter((model) =>
+            Array.isArray(model?.supportedGenerationMethods) &&
+            model.supportedGenerationMethods.includes("generateContent")
+          )
+          .map((model) => normalizeModelName(model?.name))
+          .filter((model) => model && model.includes("gemini"));
+
+        if (available.length > 0) {
+          discoveredModels = Array.from(new Set(available));
+          discoveredAt = now;
+          return discoveredModels;
+        }
+      } catch {
+        // Ignore list-model errors and continue to next API version.
+      }
+    }
+
+    return discoveredModels;
+  };
+
+  // Configured models first, in order; models the API lists are only tried
+  // after them, and only with GEMINI_DISCOVER_MODELS on.
+  const resolveModels = async () => {
+    const configured = models.map(normalizeModelName).filter(Boolean);
+    if (!discoverModels) {
+      return configured;
+    }
+    const discovered = (await fetchAvailableModels())
+      .filter((model) => !configured.includes(model))
+      .sort((a, b) => rankGeminiModel(b) - rankGeminiModel(a));
+    return [...configured, ...discovered].slice(0, Math.max(configured.length, MAX_DISCOVERED_MODELS));
+  };
+
+  const buildToolVariants = (useSearchTool) =>
+    useSearchTool ? [[{ google_search: {} }], [{ google_search_retrieval: {} }], null] : [null];
+
+  return {
+    name: "gemini",
+    searchable: true,
+    async generate({
+      systemText,
+      messages,
+      temperature = 0.7,
+      maxOutputTokens = 700,
+      useSearchTool = false,
+      onText = null,
+      signal = null
+    }) {
+      const streaming = typeof onText === "function";
+      const contents = messages.map((message) => ({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: [{ text: message.text }]
+      }));
+      let streamed = false;
+      let lastError;
+
+      for (const model of await resolveModels()) {
+        for (const apiVersion of GEMINI_API_VERSIONS) {
+          for (const tools of buildToolVariants(useSearchTool)) {
+            try {
+              const url =
+                `https://generativelanguage.googleapis.com/${apiVersion}/models/` +
+                `${encodeURIComponent(model)}:` +
+                (streaming ? "streamGenerateContent?alt=sse&key=" : "generateContent?key=") +
+                `${encodeURIComponent(apiKey)}`;
+
+              const payload = {
+                systemInstruction: {
+                  parts: [{ text: systemText }]
+                },
+                generationConfig: { temperature, maxOutputTokens },
+                contents
+              };
+
+              if (Array.isArray(tools) && tools.length > 0) {
+                payload.tools = tools;
+              }
+
+              const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(payload),
+                signal
+              });
+
+              if (!response.ok) {
+                throw new Error(
+                  `Model ${model} @ ${apiVersion} failed (${response.status}): ${await readErrorBody(response)}`
+                );
+              }
+
+              let data;
+              let text;
+              if (streaming) {
+                const chunks = [];
+                await readEventStream(response.body, (payload) => {
+                  const chunk = JSON.parse(payload);
+                  chunks.push(chunk);
+                  const piece = getGeminiPartsText(chunk);
+                  if (piece) {
+                    streamed = true;
+                    onText(piece);
+                  }
+                });
+                data = chunks;
+                text = chunks.map(getGeminiPartsText).join("").trim();
+              } else {
+                data = await response.json();
+                text = (data?.candidates?.[0]?.content?.parts || [])
+                  .map((part) => String(part?.text || ""))
+                  .join("\n")
+                  .trim();
+              }
+              if (!text) {
+                throw new Error(`Model ${model} @ ${apiVersion} returned empty output`);
+              }
+
+              return { text, sources: extractSources(data, text), model };
+            } catch (error) {
+              if (signal?.aborted || streamed) {
+                throw error;
+              }
+              lastError = error;
+              console.error(`AI model attempt failed (gemini ${model} @ ${apiVersion}):`, error.message);
+            }
+          }
+        }
+      }
+
+      throw lastError || new Error("No Gemini model could produce a reply");
+    }
+  };
+}
+
+// Works with OpenAI itself and with local servers that speak the same API
+// (llama.cpp's server, Ollama, vLLM, LM Studio). Those have no web search,
+// so deep search runs on the model's own knowledge.
+function createOpenAiProvider({ baseUrl, apiKey, models }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: "openai",
+    searchable: false,
+    async generate({
+      systemText,
+      messages,
+      temperature = 0.7,
+      maxOutputTokens = 700,
+      onText = null,
+      signal = null
+    }) {
+      const streaming = typeof onText === "function";
+      let streamed = false;
+      let lastError;
+
+      for (const model of models) {
+        try {
+          const response = await fetch(endpoint, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({
+              model,
+              messages: [
+                { role: "system", content: systemText },
+                ...messages.map((message) => ({ role: message.role, content: message.text }))
+              ],
+              temperature,
+              max_tokens: maxOutputTokens,
+              stream: streaming
+            }),
+            signal
+          });
+
+          if (!response.ok) {
+            throw new Error(`Model ${model} failed (${response.status}): ${await readErrorBody(response)}`);
+          }
+
+          let text = "";
+          if (streaming) {
+            await readEventStream(response.body, (payload) => {
+              if (payload.trim() === "[DONE]") {
+                return;
+              }
+              const piece = String(JSON.parse(payload)?.choices?.[0]?.delta?.content || "");
+              if (piece) {
+                streamed = true;
+                text += piece;
+                onText(piece);
+              }
+            });
+          } else {
+            const data = await response.json();
+            text = String(data?.choices?.[0]?.message?.content || "");
+          }
+          text = text.trim();
+          if (!text) {
+            throw new Error(`Model ${model} returned empty output`);
+          }
+
+          return { text, sources: extractSources(null, text), model };
+        } catch (error) {
+          if (signal?.aborted || streamed) {
+            throw error;
+          }
+          lastError = error;
+          console.error(`AI model attempt failed (openai ${model}):`, error.message);
+        }
+      }
+
+      throw lastError || new Error("No OpenAI-compatible model could produce a reply");
+    }
+  };
+}
+
+function hashText(text) {
+  let hash = 2166136261;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Replies depend only on the request, so the same prompt always gets the
+// same text and, with search on, the same three sources.
+function createMockProvider() {
+  return {
+    name: "mock",
+    searchable: true,
+    async generate({ systemText, messages, useSearchTool = false, onText = null, signal = null }) {
+      const prompt = String(messages[messages.length - 1]?.text || "");
+      const digest = hashText(`${systemText}\n${prompt}`);
+      const firstLine = prompt.split("\n").find((line) => line.trim()) || "";
+      const text = `Mock reply ${digest}: ${firstLine.trim().slice(0, 160)}`;
+      const sources = useSearchTool
+        ? [1, 2, 3].map((index) => ({
+            url: `https://example.com/mock/${digest}/${index}`,
+            title: `Mock source ${index}`
+          }))
+        : [];
+
+      if (typeof onText === "function") {
+        for (const piece of text.match(/\S+\s*/g) || []) {
+          if (signal?.aborted) {
+            throw new Error("Request aborted");
+          }
+          onText(piece);
+        }
+      }
+      return { text, sources, model: "mock" };
+    }
+  };
+}
+
+/**
+ * Builds the providers named in AI_PROVIDERS (default "gemini"), in that
+ * order. Providers missing required settings are left out with a warning.
+ *
+ * - gemini: GEMINI_API_KEY, GEMINI_MODELS (default: GEMINI_MODEL, then the
+ *   2.0/2.5 flash models), GEMINI_DISCOVER_MODELS=true to also try models
+ *   the API lists
+ * - openai: OPENAI_MODELS (required), OPENAI_BASE_URL (default OpenAI's
+ *   API), OPENAI_API_KEY (optional for local servers)
+ * - mock: no settings
+ */
+export function createAiProviders(env = process.env) {
+  const names = parseList(env.AI_PROVIDERS || "gemini").map((name) => name.toLowerCase());
+  const providers = [];
+
+  for (const name of new Set(names)) {
+    if (name === "gemini") {
+      if (!env.GEMINI_API_KEY) {
+        console.warn("AI provider gemini skipped: missing GEMINI_API_KEY");
+        continue;
+      }
+      const models = parseList(env.GEMINI_MODELS);
+      providers.push(
+        createGeminiProvider({
+          apiKey: env.GEMINI_API_KEY,
+          models: models.length
+            ? models
+            : Array.from(new Set([env.GEMINI_MODEL, ...GEMINI_DEFAULT_MODELS].filter(Boolean))),
+          discoverModels: String(env.GEMINI_DISCOVER_MODELS || "").toLowerCase() === "true"
+        })
+      );
+    } else if (name === "openai") {
+      const models = parseList(env.OPENAI_MODELS);
+      if (!models.length) {
+        console.warn("AI provider openai skipped: missing OPENAI_MODELS");
+        continue;
+      }
+      providers.push(
+        createOpenAiProvider({
+          baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+          apiKey: env.OPENAI_API_KEY || "",
+          models
+        })
+      );
+    } else if (name === "mock") {
+      providers.push(createMockProvider());
+    } else {
+      console.warn(`AI provider ${name} skipped: unknown provider`);
+    }
+  }
+
+  return providers;
+}
+
+async function embedInBatches(texts, batchSize, embedBatch) {
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += batchSize) {
+    vectors.push(...(await embedBatch(texts.slice(start, start + batchSize))));
+  }
+  if (vectors.length !== texts.length || vectors.some((vector) => !Array.isArray(vector) || !vector.length)) {
+    throw new Error("Embedding response did not match the request");
+  }
+  return vectors;
+}
+
+function createGeminiEmbeddingProvider({ apiKey, model }) {
+  const modelName = normalizeModelName(model);
+  const endpoint =
+    `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:batchEmbedContents?key=` +
+    `${encodeURIComponent(apiKey)}`;
+
+  return {
+    name: "gemini",
+    model: modelName,
+    embed(texts, { kind = "document", signal = null } = {}) {
+      return embedInBatches(texts, GEMINI_EMBED_BATCH_SIZE, async (batch) => {
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            requests: batch.map((text) => ({
+              model: `models/${modelName}`,
+              content: { parts: [{ text }] },
+              taskType: kind === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT"
+            }))
+          }),
+          signal
+        });
+        if (!response.ok) {
+          throw new Error(`Embedding model ${modelName} failed (${response.status}): ${await readErrorBody(response)}`);
+        }
+        const data = await response.json();
+        return (data?.embeddings || []).map((embedding) => embedding?.values);
+      });
+    }
+  };
+}
+
+function createOpenAiEmbeddingProvider({ baseUrl, apiKey, model }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/embeddings`;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: "openai",
+    model,
+    embed(texts, { signal = null } = {}) {
+      return embedInBatches(texts, OPENAI_EMBED_BATCH_SIZE, async (batch) => {
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ model, input: batch }),
+          signal
+        });
+        if (!response.ok) {
+          throw new Error(`Embedding model ${model} failed (${response.status}): ${await readErrorBody(response)}`);
+        }
+        const data = await response.json();
+        return (data?.data || [])
+          .slice()
+          .sort((a, b) => (a?.index || 0) - (b?.index || 0))
+          .map((item) => item?.embedding);
+      });
+    }
+  };
+}
+
+// Feature hashing over words, word pairs and the character trigrams of each
+// word, so "plan" and "planning" land close together. It knows nothing about
+// synonyms, but it is deterministic and runs without any network access.
+function embedTextLocally(text) {
+  const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+  const words = String(text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  words.forEach((word, index) => {
+    add(`w:${word}`, 1);
+    if (index > 0) {
+      add(`b:${words[index - 1]} ${word}`, 0.5);
+    }
+    const padded = `^${word}$`;
+    for (let start = 0; start + 3 <= padded.length; start++) {
+      add(`t:${padded.slice(start, start + 3)}`, 0.25);
+    }
+  });
+
+  counts.forEach((weight, feature) => {
+    const hash = parseInt(hashText(feature), 16);
+    const sign = hash & 1 ? 1 : -1;
+    vector[(hash >>> 1) % LOCAL_EMBEDDING_DIMENSIONS] += sign * (1 + Math.log(weight + 1));
+  });
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map((value) => value / length) : vector;
+}
+
+function createLocalEmbeddingProvider() {
+  return {
+    name: "local",
+    model: `hashing-${LOCAL_EMBEDDING_DIMENSIONS}`,
+    async embed(texts) {
+      return texts.map(embedTextLocally);
+    }
+  };
+}
+
+/**
+ * Builds the embedding provider named in EMBEDDING_PROVIDER, or null for
+ * "none". Without a setting, gemini is used when GEMINI_API_KEY is set and
+ * the local model otherwise. Vectors from different models do not mix, so
+ * changing the provider or model re-embeds every note.
+ *
+ * - gemini: GEMINI_API_KEY, EMBEDDING_MODEL (default text-embedding-004)
+ * - openai: EMBEDDING_MODEL (default text-embedding-3-small),
+ *   EMBEDDING_BASE_URL and EMBEDDING_API_KEY (default to the OPENAI_ ones),
+ *   e.g. an Ollama server with nomic-embed-text
+ * - local: no settings
+ */
+export function createEmbeddingProvider(env = process.env) {
+  const name = String(env.EMBEDDING_PROVIDER || (env.GEMINI_API_KEY ? "gemini" : "local"))
+    .trim()
+    .toLowerCase();
+
+  if (name === "gemini") {
+    if (!env.GEMINI_API_KEY) {
+      console.warn("Embedding provider gemini skipped: missing GEMINI_API_KEY");
+      return null;
+    }
+    return createGeminiEmbeddingProvider({
+      apiKey: env.GEMINI_API_KEY,
+      model: env.EMBEDDING_MODEL || GEMINI_DEFAULT_EMBEDDING_MODEL
+    });
+  }
+  if (name === "openai") {
+    return createOpenAiEmbeddingProvider({
+      baseUrl: env.EMBEDDING_BASE_URL || env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY || "",
+      model: env.EMBEDDING_MODEL || OPENAI_DEFAULT_EMBEDDING_MODEL
+    });
+  }
+  if (name === "local") {
+    return createLocalEmbeddingProvider();
+  }
+  if (name !== "none") {
+    console.warn(`Embedding provider ${name} skipped: unknown provider`);
+  }
+  return null;
+}
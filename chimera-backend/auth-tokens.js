@@ -0,0 +1,78 @@
+/* ============================================================
+   Chimera Auth Tokens
+   - Compact JWTs (HS256) signed with the server's own secret,
+     so a request is authenticated without calling Google
+   - `typ` separates short-lived access tokens from the refresh
+     tokens that are traded for new ones at /auth/refresh
+   - Only the signature and expiry are checked here; whether a
+     session was revoked is up to the caller
+   ============================================================ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+const ENCODED_HEADER = encodeSegment(HEADER);
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function sign(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Signs `claims` as a token of the given type that expires `ttlSeconds`
+ * from now. `iat` and `exp` are added in seconds, as JWT expects.
+ */
+export function signToken(type, claims, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = encodeSegment({
+    ...claims,
+    typ: type,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  });
+  const data = `${ENCODED_HEADER}.${payload}`;
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * The claims of a token of the given type, or null when it is malformed,
+ * signed with another secret or algorithm, of another type or expired.
+ */
+export function verifyToken(type, token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  if (header?.alg !== HEADER.alg) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const claims = decodeSegment(encodedPayload);
+  if (!claims || claims.typ !== type || typeof claims.sub !== "string") {
+    return null;
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  return claims;
+}
@@ -0,0 +1,107 @@
+/* ============================================================
+   Chimera Mailer
+   - Sends account emails (verification, sign-in and password
+     reset links) through one interface
+   - MAIL_TRANSPORT picks how:
+     - console: prints each email to the server log (default)
+     - file: writes each email as an .eml file to MAIL_FILE_DIR
+     - http: POSTs { from, to, subject, text } as JSON to
+       MAIL_HTTP_URL, with MAIL_HTTP_TOKEN as a bearer token;
+       fits transactional mail APIs or a small relay
+   - console and file keep mail on this machine, for local dev
+   ============================================================ */
+
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+
+const DEFAULT_FROM = "Chimera <no-reply@chimera.local>";
+const DEFAULT_FILE_DIR = "mail-outbox";
+
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text
+  ].join("\r\n");
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    local: true,
+    async send(message) {
+      console.log(`--- email ---\n${formatMessage(message)}\n--- end email ---`);
+    }
+  };
+}
+
+function createFileTransport(env) {
+  const dir = String(env.MAIL_FILE_DIR || DEFAULT_FILE_DIR).trim();
+  let sequence = 0;
+  return {
+    name: "file",
+    local: true,
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      sequence += 1;
+      const file = join(dir, `${Date.now()}-${sequence}.eml`);
+      await writeFile(file, formatMessage(message), "utf8");
+    }
+  };
+}
+
+function createHttpTransport(env) {
+  const url = String(env.MAIL_HTTP_URL || "").trim();
+  if (!url) {
+    throw new Error("MAIL_TRANSPORT=http needs MAIL_HTTP_URL");
+  }
+  const token = String(env.MAIL_HTTP_TOKEN || "").trim();
+  return {
+    name: "http",
+    local: false,
+    async send(message) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(message)
+      });
+      if (!response.ok) {
+        throw new Error(`Mail service answered ${response.status}`);
+      }
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  http: createHttpTransport
+};
+
+/**
+ * The mailer chosen by MAIL_TRANSPORT: `{ name, local, send(message) }`,
+ * where `local` is true when mail never leaves this machine and `send`
+ * takes `{ to, subject, text }`.
+ */
+export function createMailer(env) {
+  const name = String(env.MAIL_TRANSPORT || "console").trim().toLowerCase();
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use console, file or http)`);
+  }
+
+  const transport = create(env);
+  const from = String(env.MAIL_FROM || DEFAULT_FROM).trim();
+  return {
+    name: transport.name,
+    local: transport.local,
+    send: (message) => transport.send({ from, ...message })
+  };
+}
@@ -0,0 +1,97 @@
+/* ============================================================
+   Chimera Note Archive
+   - One Markdown file per note at `<folder>/<title>.md`
+   - The note's id and lastModified live in the file's
+     frontmatter, next to the user's own properties
+   - Shared by the local folder mirror, the zip export and the
+     backend's GET /export so every archive has the same layout
+   ============================================================ */
+
+import { splitFrontmatter } from "./note-metadata.js";
+
+export const DEFAULT_NOTE_FOLDER = "General";
+
+const MAX_TITLE_LENGTH = 120;
+const META_LINE = /^(id|lastModified)[ \t]*:/;
+const NOTE_ID = /^[\w.:-]{1,120}$/;
+
+function toTimestamp(value) {
+  const numeric = Number(value);
+  if (Number.isFinite(numeric) && numeric > 0) return numeric;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : Date.now();
+}
+
+export function toFileSafeName(name, fallback) {
+  return (
+    String(name || "")
+      .replace(/[<>:"/\\|?*\x00-\x1F]/g, "-")
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/^\.+|\.+$/g, "") || fallback
+  );
+}
+
+/**
+ * `<folder>/<title><extension>`, with nested folders kept as directories.
+ */
+export function buildNotePath(note, extension = ".md") {
+  const folder = String(note.folder || "").trim() || DEFAULT_NOTE_FOLDER;
+  return [
+    ...folder.split("/").map((part) => toFileSafeName(part, "")).filter(Boolean),
+    `${toFileSafeName(String(note.title || "").slice(0, MAX_TITLE_LENGTH), "Untitled Note")}${extension}`
+  ].join("/");
+}
+
+/**
+ * Returns `claim(path)`, which hands out each path once and gives clashing
+ * ones a " (2)" suffix. Paths are compared case-insensitively because most
+ * file systems do.
+ */
+export function createPathClaimer() {
+  const used = new Set();
+  return (path) => {
+    let candidate = path;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+      candidate = /\.[^./]+$/.test(path)
+        ? path.replace(/(\.[^./]+)$/, ` (${copy})$1`)
+        : `${path} (${copy})`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+}
+
+export function serializeNoteFile(note) {
+  const { frontmatter, body, hasFrontmatter } = splitFrontmatter(note.content);
+  const userLines = hasFrontmatter
+    ? frontmatter.split(/\r?\n/).filter((line) => !META_LINE.test(line))
+    : [];
+  const lines = [
+    `id: ${note.id}`,
+    `lastModified: ${new Date(toTimestamp(note.lastModified)).toISOString()}`,
+    ...userLines
+  ];
+  return `---\n${lines.join("\n")}\n---\n${hasFrontmatter ? body : String(note.content || "")}`;
+}
+
+/**
+ * Separates the id and lastModified kept in a file's frontmatter from the
+ * note content; other properties stay in it.
+ */
+export function parseNoteFile(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const { properties, frontmatter, body, hasFrontmatter } = splitFrontmatter(source);
+  if (!hasFrontmatter) {
+    return { id: null, lastModified: null, content: source };
+  }
+  const userLines = frontmatter.split(/\r?\n/).filter((line) => !META_LINE.test(line));
+  const id = properties.id === undefined || properties.id === null ? "" : String(properties.id);
+  return {
+    id: NOTE_ID.test(id) ? id : null,
+    lastModified: properties.lastModified ? toTimestamp(properties.lastModified) : null,
+    content: userLines.some((line) => line.trim())
+      ? `---\n${userLines.join("\n")}\n---\n${body}`
+      : body
+  };
+}
@@ -0,0 +1,517 @@
+/* ============================================================
+   Chimera Note CRDT
+   - Replicated text for live co-editing (RGA sequence CRDT)
+   - Every character has a unique id (Lamport counter + site)
+     and remembers the character it was typed after
+   - Concurrent inserts at the same spot order by id, deletes
+     leave tombstones, so every replica that has seen the same
+     operations shows the same text, in any delivery order
+   - Shared by the browser and the backend relay
+   ============================================================ */
+
+const MAX_PENDING_OPS = 5000;
+const MAX_SITE_LENGTH = 64;
+// A remote counter may be ahead of this replica's clock by the characters
+// it has not received yet, but not by more: one huge counter would drag
+// the clock past where ids stay exact and later inserts would collide.
+const MAX_CLOCK_LEAP = 10000000;
+const MAX_RUN_LENGTH = 8 * 1024 * 1024;
+// Characters a replica holds, tombstones included, unless told otherwise.
+const DEFAULT_MAX_CHARS = MAX_RUN_LENGTH;
+
+function makeId(site, counter) {
+  return `${counter}@${site}`;
+}
+
+function isValidSite(site) {
+  return typeof site === "string" && site.length > 0 && site.length <= MAX_SITE_LENGTH;
+}
+
+function isValidCounter(counter, clock) {
+  return Number.isSafeInteger(counter) && counter >= 1 && counter <= clock + MAX_CLOCK_LEAP;
+}
+
+function isValidLength(length) {
+  return Number.isSafeInteger(length) && length >= 1 && length <= MAX_RUN_LENGTH;
+}
+
+function isValidOrigin(after) {
+  return after === null || (typeof after === "string" && after.length <= MAX_SITE_LENGTH + 20);
+}
+
+/**
+ * Why an operation cannot be applied to a replica whose clock is `clock`,
+ * or null when it can. Operations come from other peers and the network,
+ * so nothing about their shape is taken on trust.
+ */
+function describeInvalidOp(op, clock) {
+  if (op?.type === "insert") {
+    if (!isValidSite(op.site)) {
+      return "Invalid site";
+    }
+    if (typeof op.text !== "string" || !isValidLength(op.text.length)) {
+      return "Invalid text";
+    }
+    if (!isValidCounter(op.counter, clock) || !isValidCounter(op.counter + op.text.length - 1, clock)) {
+      return "Invalid counter";
+    }
+    if (!isValidOrigin(op.after ?? null)) {
+      return "Invalid position";
+    }
+    return null;
+  }
+  if (op?.type === "delete") {
+    if (!Array.isArray(op.ranges) || op.ranges.length === 0) {
+      return "Invalid ranges";
+    }
+    const valid = op.ranges.every(
+      (range) =>
+        range !== null &&
+        typeof range === "object" &&
+        isValidSite(range.s) &&
+        isValidLength(range.n) &&
+        isValidCounter(range.c, clock) &&
+        isValidCounter(range.c + range.n - 1, clock)
+    );
+    if (!valid) {
+      return "Invalid ranges";
+    }
+    // No replica can have seen more characters than its counters reach.
+    return countOpChars(op) > clock + MAX_CLOCK_LEAP ? "Too many characters" : null;
+  }
+  return "Unknown operation";
+}
+
+/**
+ * How many characters an operation inserts or deletes; 0 for anything
+ * that is not an operation.
+ */
+export function countOpChars(op) {
+  if (op?.type === "insert") {
+    return typeof op.text === "string" ? op.text.length : 0;
+  }
+  if (op?.type === "delete" && Array.isArray(op.ranges)) {
+    return op.ranges.reduce((sum, range) => sum + (Number(range?.n) || 0), 0);
+  }
+  return 0;
+}
+
+// Later inserts sort first among siblings; the site breaks ties.
+function compareItems(a, b) {
+  if (a.counter !== b.counter) {
+    return a.counter - b.counter;
+  }
+  return a.site < b.site ? -1 : a.site > b.site ? 1 : 0;
+}
+
+/**
+ * Creates a replica. `site` must be unique per editing session; `state`
+ * is a value previously returned by `toState()` on any replica.
+ * `maxChars` caps the characters it will hold, deleted ones included;
+ * remote operations and states that would go past it are refused.
+ *
+ * Local edits (`insert`, `remove`) return the operation to send to the
+ * other replicas, which feed it to `apply`. Operations are idempotent and
+ * may arrive out of order: ones that depend on unseen characters wait
+ * until those arrive.
+ */
+export function createTextCrdt({ site, state, maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const localSite = String(site || Math.random().toString(36).slice(2, 10));
+  const order = [];
+  const byId = new Map();
+  // Each site's characters sorted by counter, so a range is found without
+  // walking every counter it spans.
+  const bySite = new Map();
+  let pending = [];
+  let pendingChars = 0;
+  let clock = 0;
+  let cachedText = "";
+  let textDirty = false;
+  let lastPlaced = -1;
+
+  function observe(counter) {
+    clock = Math.max(clock, counter);
+  }
+
+  // Runs mostly continue right after the last character placed.
+  function indexOfItem(item) {
+    return order[lastPlaced] === item ? lastPlaced : order.indexOf(item);
+  }
+
+  function positionAfter(afterId) {
+    if (afterId === null) {
+      return 0;
+    }
+    const item = byId.get(afterId);
+    return item ? indexOfItem(item) + 1 : -1;
+  }
+
+  // First index in a site's list whose counter is at least `counter`.
+  function lowerBound(items, counter) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (items[middle].counter < counter) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  function indexBySite(item) {
+    if (!bySite.has(item.site)) {
+      bySite.set(item.site, []);
+    }
+    const items = bySite.get(item.site);
+    if (items.length === 0 || items[items.length - 1].counter < item.counter) {
+      items.push(item);
+    } else {
+      items.splice(lowerBound(items, item.counter), 0, item);
+    }
+  }
+
+  // How many of the characters `counter`..`counter + length - 1` from
+  // `runSite` this replica already holds.
+  function countKnown(runSite, counter, length) {
+    const items = bySite.get(runSite);
+    if (!items) {
+      return 0;
+    }
+    return lowerBound(items, counter + length) - lowerBound(items, counter);
+  }
+
+  // Places a run of characters typed one after another. Returns false when
+  // the character it follows has not been seen yet.
+  function integrateRun(runSite, counter, after, text) {
+    let position = positionAfter(after);
+    if (position < 0) {
+      return false;
+    }
+    // Characters already held are skipped without looking up where they
+    // are, unless a new one follows them.
+    let follows = null;
+    for (let offset = 0; offset < text.length; offset++) {
+      const id = makeId(runSite, counter + offset);
+      const existing = byId.get(id);
+      if (existing) {
+        follows = existing;
+        continue;
+      }
+      if (follows) {
+        position = indexOfItem(follows) + 1;
+        follows = null;
+      }
+      const item = {
+        id,
+        site: runSite,
+        counter: counter + offset,
+        origin: offset === 0 ? after : makeId(runSite, counter + offset - 1),
+        value: text[offset],
+        deleted: false
+      };
+      while (position < order.length && compareItems(order[position], item) > 0) {
+        position++;
+      }
+      order.splice(position, 0, item);
+      byId.set(id, item);
+      indexBySite(item);
+      lastPlaced = position;
+      position++;
+      textDirty = true;
+    }
+    observe(counter + text.length - 1);
+    return true;
+  }
+
+  // Returns false while some of the targeted characters are still unknown.
+  // Only characters this replica holds are visited, however wide a range.
+  function integrateDelete(ranges) {
+    let complete = true;
+    for (const range of ranges) {
+      const items = bySite.get(range.s) || [];
+      const end = range.c + range.n;
+      let found = 0;
+      for (let index = lowerBound(items, range.c); index < items.length && items[index].counter < end; index++) {
+        found++;
+        if (!items[index].deleted) {
+          items[index].deleted = true;
+          textDirty = true;
+        }
+      }
+      if (found < range.n) {
+        complete = false;
+      }
+    }
+    return complete;
+  }
+
+  function integrate(op) {
+    if (op.type === "insert") {
+      return integrateRun(op.site, op.counter, op.after ?? null, op.text);
+    }
+    return integrateDelete(op.ranges);
+  }
+
+  // Characters an insert would add on top of those already held or waiting.
+  function exceedsCapacity(op, held = order.length + pendingChars) {
+    return held + op.text.length - countKnown(op.site, op.counter, op.text.length) > maxChars;
+  }
+
+  // Why a remote operation would be refused by `apply`, or null.
+  function check(op) {
+    const problem = describeInvalidOp(op, clock);
+    if (problem) {
+      return problem;
+    }
+    if (op.type === "insert" ? exceedsCapacity(op) : countOpChars(op) > maxChars) {
+      return "Too many characters";
+    }
+    return null;
+  }
+
+  // Turns stored runs into the operations that rebuild them; null when
+  // any run is malformed.
+  function stateToOps(other) {
+    const runs = Array.isArray(other?.runs) ? other.runs : [];
+    const inserts = [];
+    const deletes = [];
+    for (const run of runs) {
+      const count = run?.n;
+      if (!isValidLength(count)) {
+        return null;
+      }
+      // Deleted characters travel without their text; a placeholder is fine
+      // because they are never shown.
+      const chars = run.d ? "\u0000".repeat(count) : typeof run.t === "string" ? run.t : null;
+      if (chars === null || chars.length !== count) {
+        return null;
+      }
+      inserts.push({ type: "insert", site: run.s, counter: run.c, after: run.a ?? null, text: chars });
+      if (run.d) {
+        deletes.push({ s: run.s, c: run.c, n: count });
+      }
+    }
+    return deletes.length > 0 ? [...inserts, { type: "delete", ranges: deletes }] : inserts;
+  }
+
+  // Why a state would be refused by `applyState`, or null. Runs are checked
+  // against the clock they will meet, as each one may advance it.
+  function checkState(other) {
+    const ops = stateToOps(other);
+    if (!ops) {
+      return "Invalid state";
+    }
+    let projected = clock;
+    let held = order.length + pendingChars;
+    for (const op of ops) {
+      const problem = describeInvalidOp(op, projected);
+      if (problem) {
+        return problem;
+      }
+      if (op.type === "insert") {
+        if (exceedsCapacity(op, held)) {
+          return "Too many characters";
+        }
+        held += op.text.length - countKnown(op.site, op.counter, op.text.length);
+        projected = Math.max(projected, op.counter + op.text.length - 1);
+      }
+    }
+    return null;
+  }
+
+  function retryPending() {
+    let progressed = true;
+    while (progressed && pending.length > 0) {
+      progressed = false;
+      pending = pending.filter((op) => {
+        const done = integrate(op);
+        progressed = progressed || done;
+        return !done;
+      });
+    }
+    pendingChars = pending.reduce((sum, op) => sum + (op.type === "insert" ? op.text.length : 0), 0);
+  }
+
+  function visibleItemAt(index) {
+    let seen = 0;
+    for (const item of order) {
+      if (item.deleted) {
+        continue;
+      }
+      if (seen === index) {
+        return item;
+      }
+      seen++;
+    }
+    return null;
+  }
+
+  function text() {
+    if (textDirty) {
+      cachedText = order
+        .filter((item) => !item.deleted)
+        .map((item) => item.value)
+        .join("");
+      textDirty = false;
+    }
+    return cachedText;
+  }
+
+  function insert(index, value) {
+    const chars = String(value || "");
+    if (!chars) {
+      return null;
+    }
+    const before = index > 0 ? visibleItemAt(index - 1) : null;
+    const op = {
+      type: "insert",
+      site: localSite,
+      counter: clock + 1,
+      after: before ? before.id : null,
+      text: chars
+    };
+    integrate(op);
+    return op;
+  }
+
+  function remove(index, length) {
+    const ranges = [];
+    let seen = 0;
+    for (const item of order) {
+      if (item.deleted) {
+        continue;
+      }
+      if (seen >= index + length) {
+        break;
+      }
+      if (seen >= index) {
+        const last = ranges[ranges.length - 1];
+        if (last && last.s === item.site && last.c + last.n === item.counter) {
+          last.n++;
+        } else {
+          ranges.push({ s: item.site, c: item.counter, n: 1 });
+        }
+      }
+      seen++;
+    }
+    if (ranges.length === 0) {
+      return null;
+    }
+    const op = { type: "delete", ranges };
+    integrate(op);
+    return op;
+  }
+
+  // Malformed operations are ignored; `check` says why.
+  function apply(op) {
+    if (check(op)) {
+      return false;
+    }
+    const before = textDirty ? null : cachedText;
+    if (!integrate(op)) {
+      if (pending.length < MAX_PENDING_OPS) {
+        pending.push(op);
+        if (op.type === "insert") {
+          pendingChars += op.text.length;
+        }
+      }
+      return false;
+    }
+    retryPending();
+    return before === null || text() !== before;
+  }
+
+  // Characters typed one after another from one site form a run, which
+  // keeps the state compact. Each run records its real origin so merging
+  // reproduces the same order on every replica.
+  function toState() {
+    const runs = [];
+    let run = null;
+    let previous = null;
+    for (const item of order) {
+      const continues =
+        run &&
+        item.origin === previous.id &&
+        previous.site === item.site &&
+        previous.counter + 1 === item.counter &&
+        previous.deleted === item.deleted;
+      if (continues) {
+        run.n++;
+        if (!item.deleted) {
+          run.t += item.value;
+        }
+      } else {
+        run = {
+          s: item.site,
+          c: item.counter,
+          a: item.origin,
+          n: 1,
+          t: item.deleted ? "" : item.value
+        };
+        if (item.deleted) {
+          run.d = 1;
+        }
+        runs.push(run);
+      }
+      previous = item;
+    }
+    return { version: 1, runs };
+  }
+
+  // Merges another replica's state into this one. A malformed state is
+  // ignored as a whole; `checkState` says why.
+  function applyState(other) {
+    if (checkState(other)) {
+      return false;
+    }
+    const before = text();
+    stateToOps(other).forEach(apply);
+    return text() !== before;
+  }
+
+  // Positions as character ids survive concurrent edits; index 0 is null.
+  function idBefore(index) {
+    return index > 0 ? visibleItemAt(index - 1)?.id || null : null;
+  }
+
+  function indexAfter(id) {
+    if (!id) {
+      return 0;
+    }
+    const target = byId.get(id);
+    if (!target) {
+      return null;
+    }
+    let visible = 0;
+    for (const item of order) {
+      if (!item.deleted) {
+        visible++;
+      }
+      if (item === target) {
+        return visible;
+      }
+    }
+    return visible;
+  }
+
+  if (state) {
+    applyState(state);
+  }
+
+  return {
+    site: localSite,
+    text,
+    insert,
+    remove,
+    apply,
+    check,
+    toState,
+    applyState,
+    checkState,
+    idBefore,
+    indexAfter
+  };
+}
@@ -0,0 +1,108 @@
+/* ============================================================
+   Chimera Note Embeddings
+   - Splits a note into paragraph-sized chunks for embedding
+   - Vector helpers for cosine similarity search
+   - Frontmatter is left out; the title leads every chunk so a
+     short paragraph still carries what the note is about
+   ============================================================ */
+
+import { splitFrontmatter } from "./note-metadata.js";
+
+const DEFAULT_CHUNK_CHARS = 1000;
+const DEFAULT_MAX_CHUNKS = 32;
+
+// Long paragraphs are cut at sentence ends, or at a space when a single
+// sentence is still too long.
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    let cut = Math.max(window.lastIndexOf(". "), window.lastIndexOf("\n"));
+    if (cut < maxChars / 2) {
+      cut = window.lastIndexOf(" ");
+    }
+    if (cut < maxChars / 2) {
+      cut = maxChars - 1;
+    }
+    pieces.push(rest.slice(0, cut + 1).trim());
+    rest = rest.slice(cut + 1).trim();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Chunks of a note's body, each with the text to embed (title first) and
+ * the plain chunk text kept for snippets. An empty note still gets one
+ * chunk so it can be found by its title.
+ */
+export function chunkNoteText(
+  title,
+  content,
+  { maxChars = DEFAULT_CHUNK_CHARS, maxChunks = DEFAULT_MAX_CHUNKS } = {}
+) {
+  const heading = String(title || "").trim() || "Untitled Note";
+  const { body } = splitFrontmatter(content);
+  const paragraphs = String(body || "")
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .flatMap((paragraph) => splitLongText(paragraph, maxChars));
+
+  const chunks = [];
+  let current = "";
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current || chunks.length === 0) {
+    chunks.push(current);
+  }
+
+  return chunks.slice(0, maxChunks).map((text) => ({
+    text,
+    input: text ? `${heading}\n\n${text}` : heading
+  }));
+}
+
+export function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map((value) => value / length) : vector.map(() => 0);
+}
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The direction a whole note points in, from its chunk vectors.
+export function averageVectors(vectors) {
+  const usable = vectors.filter((vector) => Array.isArray(vector) && vector.length > 0);
+  if (usable.length === 0) {
+    return [];
+  }
+  const sum = new Array(usable[0].length).fill(0);
+  usable.forEach((vector) => {
+    const unit = normalizeVector(vector);
+    unit.forEach((value, index) => {
+      sum[index] += value;
+    });
+  });
+  return normalizeVector(sum);
+}
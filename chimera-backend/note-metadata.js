@@ -0,0 +1,193 @@
+/* ============================================================
+   Chimera Note Metadata
+   - YAML frontmatter block at the top of a note
+   - Inline #tags in the note body
+   - `attachments/<id>` references to uploaded files
+   - Shared by the backend and the browser so both derive the
+     same `tags` and `properties` from a note's content
+   ============================================================ */
+
+const FRONTMATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+// Keys stay plain so they are safe as Mongo field names.
+const FRONTMATTER_KEY = /^([A-Za-z0-9_][\w -]*?)[ \t]*:(?:[ \t]+(.*)|[ \t]*)$/;
+const FRONTMATTER_LIST_ITEM = /^[ \t]+-[ \t]+(.*)$|^-[ \t]+(.*)$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+// A tag needs at least one non-digit so "#1" or "#2024" stay plain text.
+const INLINE_TAG = /(^|[\s(,;])#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu;
+// Attachment ids are Mongo ObjectIds, minted by whichever side saves first.
+const ATTACHMENT_REFERENCE = /(^|[^\w/])attachments\/([a-f0-9]{24})(?![\w])/g;
+
+const MAX_PROPERTIES = 50;
+const MAX_PROPERTY_LENGTH = 500;
+const MAX_TAGS = 100;
+const MAX_TAG_LENGTH = 80;
+
+function parseScalar(raw) {
+  const value = String(raw).trim();
+  if (value === "" || value === "~" || value === "null") {
+    return null;
+  }
+  if (
+    (value.startsWith('"') && value.endsWith('"') && value.length >= 2) ||
+    (value.startsWith("'") && value.endsWith("'") && value.length >= 2)
+  ) {
+    return value.slice(1, -1).slice(0, MAX_PROPERTY_LENGTH);
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value.replace(/[ \t]+#.*$/, "").slice(0, MAX_PROPERTY_LENGTH);
+}
+
+function parseFlowList(raw) {
+  return raw
+    .slice(1, -1)
+    .split(",")
+    .map((item) => parseScalar(item))
+    .filter((item) => item !== null);
+}
+
+/**
+ * Splits a leading frontmatter block from the rest of the note.
+ * Only the small YAML subset people write by hand is understood:
+ * `key: value`, `key: [a, b]` and `key:` followed by `- item` lines.
+ * `frontmatter` is the block's raw text, without the `---` fences.
+ */
+export function splitFrontmatter(content) {
+  const text = String(content || "");
+  const match = text.match(FRONTMATTER);
+  if (!match) {
+    return { properties: {}, body: text, frontmatter: "", hasFrontmatter: false };
+  }
+
+  const properties = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      continue;
+    }
+    const item = line.match(FRONTMATTER_LIST_ITEM);
+    if (item && listKey) {
+      const value = parseScalar(item[1] ?? item[2]);
+      if (value !== null) {
+        properties[listKey].push(value);
+      }
+      continue;
+    }
+    const entry = line.match(FRONTMATTER_KEY);
+    listKey = null;
+    if (!entry || Object.keys(properties).length >= MAX_PROPERTIES) {
+      continue;
+    }
+    const key = entry[1].trim();
+    if (key === "__proto__") {
+      continue;
+    }
+    const raw = (entry[2] || "").trim();
+    if (!raw) {
+      properties[key] = [];
+      listKey = key;
+    } else if (raw.startsWith("[") && raw.endsWith("]")) {
+      properties[key] = parseFlowList(raw);
+    } else {
+      properties[key] = parseScalar(raw);
+    }
+  }
+
+  // `key:` with nothing under it is an empty value, not an empty list.
+  for (const [key, value] of Object.entries(properties)) {
+    if (Array.isArray(value) && value.length === 0) {
+      properties[key] = null;
+    }
+  }
+
+  return {
+    properties,
+    body: text.slice(match[0].length),
+    frontmatter: match[1],
+    hasFrontmatter: true
+  };
+}
+
+export function normalizeTag(tag) {
+  const cleaned = String(tag || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/^\/+|\/+$/g, "")
+    .toLowerCase();
+  return cleaned.length > 0 && cleaned.length <= MAX_TAG_LENGTH ? cleaned : "";
+}
+
+function collectInlineTags(body, tags) {
+  let fence = null;
+  for (const line of body.split("\n")) {
+    const marker = line.match(FENCE);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (marker) {
+      fence = marker[1];
+      continue;
+    }
+    // Tags inside inline code are examples, not tags.
+    const prose = line.replace(/(`+)[\s\S]*?\1/g, " ");
+    for (const match of prose.matchAll(INLINE_TAG)) {
+      tags.add(normalizeTag(match[2]));
+    }
+  }
+}
+
+function collectPropertyTags(value, tags) {
+  const values = Array.isArray(value) ? value : String(value ?? "").split(/[,\s]+/);
+  values.forEach((tag) => tags.add(normalizeTag(tag)));
+}
+
+/**
+ * Derives `{ tags, properties }` from note content. `tags` merges the
+ * frontmatter `tags`/`tag` property with inline #tags, lowercased and
+ * sorted; nested tags keep their slashes (`project/alpha`).
+ */
+export function extractNoteMetadata(content) {
+  const { properties, body } = splitFrontmatter(content);
+  const tags = new Set();
+
+  for (const key of Object.keys(properties)) {
+    if (key.toLowerCase() === "tags" || key.toLowerCase() === "tag") {
+      collectPropertyTags(properties[key], tags);
+    }
+  }
+  collectInlineTags(body, tags);
+  tags.delete("");
+
+  return {
+    tags: Array.from(tags).sort().slice(0, MAX_TAGS),
+    properties
+  };
+}
+
+// `project` matches notes tagged `project` as well as `project/alpha`.
+export function noteHasTag(tags, tag) {
+  const wanted = normalizeTag(tag);
+  return (
+    Boolean(wanted) &&
+    (tags || []).some((candidate) => candidate === wanted || candidate.startsWith(`${wanted}/`))
+  );
+}
+
+/**
+ * Ids of every attachment the content points at, as `![alt](attachments/<id>)`
+ * or `[name](attachments/<id>)`. Used to find attachments no note needs.
+ */
+export function findAttachmentIds(content) {
+  const ids = new Set();
+  for (const match of String(content || "").matchAll(ATTACHMENT_REFERENCE)) {
+    ids.add(match[2]);
+  }
+  return Array.from(ids);
+}
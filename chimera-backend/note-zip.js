@@ -0,0 +1,238 @@
+/* ============================================================
+   Chimera Zip
+   - Minimal zip archives for vault import and export
+   - Writes uncompressed (stored) entries with UTF-8 names, either
+     into a Blob in the browser or streamed by the backend
+   - Reads stored and deflated entries through
+     DecompressionStream, so archives from other apps open too
+   ============================================================ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const MAX_COMMENT_LENGTH = 0xffff;
+const MAX_ENTRIES = 20000;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(timestamp) {
+  const date = new Date(Number.isFinite(timestamp) ? timestamp : Date.now());
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function fromDosDateTime(time, date) {
+  return new Date(
+    ((date >>> 9) & 0x7f) + 1980,
+    ((date >>> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >>> 11) & 0x1f,
+    (time >>> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
+
+/**
+ * Writes a zip archive entry by entry. Every chunk of the archive is passed
+ * to `write(bytes)` as soon as it is ready, so the backend can stream an
+ * export without holding it in memory. `add({ path, data, lastModified })`
+ * takes a string (written as UTF-8) or a Uint8Array; folders are implied by
+ * the `/`-separated paths. `finish()` writes the central directory.
+ */
+export function createZipWriter(write) {
+  const encoder = new TextEncoder();
+  const central = [];
+  let offset = 0;
+  let count = 0;
+
+  const emit = (part) => {
+    const bytes = part instanceof DataView ? new Uint8Array(part.buffer) : part;
+    write(bytes);
+    offset += bytes.length;
+  };
+
+  return {
+    add(entry) {
+      if (count >= MAX_ENTRIES) {
+        throw new Error(`Zip files with more than ${MAX_ENTRIES} entries are not supported.`);
+      }
+      const name = encoder.encode(String(entry.path).replace(/^\/+/, ""));
+      const data = typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+      const crc = crc32(data);
+      const stamp = toDosDateTime(entry.lastModified);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, CENTRAL_HEADER, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, UTF8_FLAG, true);
+      header.setUint16(10, METHOD_STORED, true);
+      header.setUint16(12, stamp.time, true);
+      header.setUint16(14, stamp.date, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, data.length, true);
+      header.setUint32(24, data.length, true);
+      header.setUint16(28, name.length, true);
+      header.setUint32(42, offset, true);
+      central.push(header, name);
+      count++;
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_HEADER, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, METHOD_STORED, true);
+      local.setUint16(10, stamp.time, true);
+      local.setUint16(12, stamp.date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      emit(local);
+      emit(name);
+      emit(data);
+    },
+
+    finish() {
+      const centralStart = offset;
+      central.forEach(emit);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+      end.setUint16(8, count, true);
+      end.setUint16(10, count, true);
+      end.setUint32(12, offset - centralStart, true);
+      end.setUint32(16, centralStart, true);
+      emit(end);
+    }
+  };
+}
+
+/**
+ * Builds a zip archive Blob from `[{ path, data, lastModified }]`.
+ */
+export function createZip(entries) {
+  const parts = [];
+  const writer = createZipWriter((bytes) => parts.push(bytes));
+  entries.forEach((entry) => writer.add(entry));
+  writer.finish();
+  return new Blob(parts, { type: "application/zip" });
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream !== "function") {
+    throw new Error("This browser cannot open compressed zip files.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function findEndOfCentralDirectory(view) {
+  const earliest = Math.max(0, view.byteLength - 22 - MAX_COMMENT_LENGTH);
+  for (let position = view.byteLength - 22; position >= earliest; position--) {
+    if (view.getUint32(position, true) === END_OF_CENTRAL_DIRECTORY) {
+      return position;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Reads every file in a zip archive (a Blob or ArrayBuffer) and resolves
+ * to `[{ path, lastModified, size, bytes }]`. Folder entries are left out.
+ * Files rejected by `include(path)` are listed with `bytes: null` and are
+ * never decompressed.
+ */
+export async function readZip(source, { include = null } = {}) {
+  const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+  const view = new DataView(buffer);
+  const end = findEndOfCentralDirectory(view);
+  if (end < 0) {
+    throw new Error("Not a zip file.");
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  if (count === 0xffff || position === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported.");
+  }
+  if (count > MAX_ENTRIES) {
+    throw new Error(`Zip files with more than ${MAX_ENTRIES} entries are not supported.`);
+  }
+
+  const utf8 = new TextDecoder("utf-8");
+  const latin1 = new TextDecoder("latin1");
+  const files = [];
+  for (let index = 0; index < count; index++) {
+    if (position + 46 > buffer.byteLength || view.getUint32(position, true) !== CENTRAL_HEADER) {
+      throw new Error("The zip file is damaged.");
+    }
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const time = view.getUint16(position + 12, true);
+    const date = view.getUint16(position + 14, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const nameBytes = new Uint8Array(buffer, position + 46, nameLength);
+    const path = (flags & UTF8_FLAG ? utf8 : latin1).decode(nameBytes).replace(/\\/g, "/");
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/")) {
+      continue;
+    }
+    if (include && !include(path)) {
+      files.push({ path, lastModified: fromDosDateTime(time, date), size, bytes: null });
+      continue;
+    }
+    if (flags & 0x0001) {
+      throw new Error(`"${path}" is encrypted.`);
+    }
+    if (localOffset + 30 > buffer.byteLength || view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+      throw new Error("The zip file is damaged.");
+    }
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (dataStart + compressedSize > buffer.byteLength) {
+      throw new Error("The zip file is damaged.");
+    }
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+    let bytes;
+    if (method === METHOD_STORED) {
+      bytes = raw.slice();
+    } else if (method === METHOD_DEFLATED) {
+      bytes = await inflateRaw(raw);
+    } else {
+      throw new Error(`"${path}" uses an unsupported compression method.`);
+    }
+    files.push({ path, lastModified: fromDosDateTime(time, date), size, bytes });
+  }
+  return files;
+}
@@ -0,0 +1,51 @@
+/* ============================================================
+   Chimera Passwords
+   - scrypt hashes for local (email/password) accounts
+   - Stored as scrypt$N$r$p$salt$hash, so the cost can be raised
+     later without breaking hashes that already exist
+   ============================================================ */
+
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 256;
+
+// Why a password cannot be used, or null when it can.
+export function checkPassword(password) {
+  const value = String(password || "");
+  if (value.trim().length < PASSWORD_MIN_LENGTH) {
+    return `Use at least ${PASSWORD_MIN_LENGTH} characters.`;
+  }
+  if (value.length > PASSWORD_MAX_LENGTH) {
+    return `Use at most ${PASSWORD_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_COST;
+  const key = await scryptAsync(String(password), salt, KEY_BYTES, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scryptAsync(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(key, expected);
+}
@@ -1,8 +1,20 @@
+import { createHash, randomBytes, randomInt, randomUUID } from "crypto";
+import { once } from "events";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { OAuth2Client } from "google-auth-library";
-import { MongoClient, ObjectId } from "mongodb";
+import { GridFSBucket, MongoClient, ObjectId } from "mongodb";
+import { extractNoteMetadata, findAttachmentIds, normalizeTag } from "./note-metadata.js";
+import { countOpChars, createTextCrdt } from "./note-crdt.js";
+import { buildNotePath, createPathClaimer, serializeNoteFile } from "./note-archive.js";
+import { createZipWriter } from "./note-zip.js";
+import { createAiProviders, createEmbeddingProvider } from "./ai-providers.js";
+import { averageVectors, chunkNoteText, cosineSimilarity } from "./note-embeddings.js";
+import { signToken, verifyToken } from "./auth-tokens.js";
+import { checkPassword, hashPassword, verifyPassword } from "./passwords.js";
+import { createMailer } from "./mailer.js";
+import { createSyncSequencer } from "./sync-sequence.js";
 
 dotenv.config();
 
@@ -21,14 +33,6 @@ const MONGO_SOCKET_TIMEOUT_MS = Math.max(
   5000,
   Number(process.env.MONGO_SOCKET_TIMEOUT_MS || 20000)
 );
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash";
-const GEMINI_MODEL_FALLBACKS = [
-  "gemini-2.0-flash",
-  "gemini-2.0-flash-lite",
-  "gemini-2.5-flash"
-];
-const GEMINI_API_VERSIONS = ["v1beta", "v1"];
-const GEMINI_MODEL_CACHE_TTL_MS = 5 * 60 * 1000;
 const DEEP_SEARCH_TARGET_SOURCES = Math.max(
   10,
   Number(process.env.DEEP_SEARCH_TARGET_SOURCES || 50)
@@ -37,6 +41,18 @@ const DEEP_SEARCH_MAX_PASSES = Math.max(
   2,
   Number(process.env.DEEP_SEARCH_MAX_PASSES || 8)
 );
+const CONVERSATION_MAX_MESSAGES = Math.max(
+  20,
+  Number(process.env.CONVERSATION_MAX_MESSAGES || 500)
+);
+const CONVERSATION_MAX_MESSAGE_CHARS = 20000;
+const CONVERSATION_MAX_APPEND = 20;
+const CONVERSATION_LIST_LIMIT = 50;
+const CONVERSATION_TITLE_MAX = 120;
+// Comment lines keep proxies from closing an AI stream during long
+// deep-search passes that produce no tokens.
+const AI_STREAM_HEARTBEAT_MS = 15000;
+const AI_ACTION_MAX_CHARS = 20000;
 const DEFAULT_FREE_MAX_NOTES = 200;
 const DEFAULT_FREE_MAX_CHARS_PER_NOTE = 20000;
 const DEFAULT_FREE_MAX_STORAGE_BYTES = 2 * 1024 * 1024;
@@ -52,31 +68,169 @@ const FREE_MAX_STORAGE_BYTES = Math.max(
   1024,
   Number(process.env.FREE_MAX_STORAGE_BYTES || DEFAULT_FREE_MAX_STORAGE_BYTES)
 );
+const NOTE_REVISION_MAX_PER_NOTE = Math.max(
+  1,
+  Number(process.env.NOTE_REVISION_MAX_PER_NOTE || 50)
+);
+const NOTE_REVISION_MAX_AGE_DAYS = Math.max(
+  1,
+  Number(process.env.NOTE_REVISION_MAX_AGE_DAYS || 30)
+);
+const NOTE_REVISION_INSERT_ATTEMPTS = 5;
+const TRASH_RETENTION_DAYS = Math.max(
+  1,
+  Number(process.env.TRASH_RETENTION_DAYS || 30)
+);
+const TRASH_PURGE_INTERVAL_MS = Math.max(
+  60 * 1000,
+  Number(process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000)
+);
+const SYNC_PAGE_SIZE = Math.max(
+  50,
+  Number(process.env.SYNC_PAGE_SIZE || 500)
+);
+const SYNC_TOMBSTONE_TTL_DAYS = Math.max(
+  TRASH_RETENTION_DAYS,
+  Number(process.env.SYNC_TOMBSTONE_TTL_DAYS || 90)
+);
+const SEARCH_MAX_RESULTS = Math.max(
+  5,
+  Number(process.env.SEARCH_MAX_RESULTS || 50)
+);
+const SEARCH_MAX_QUERY_LENGTH = 200;
+const SEARCH_SNIPPET_RADIUS = 80;
+const TAG_FILTER_MAX = 10;
+// Saves come every few hundred milliseconds while typing, so a note is only
+// embedded once it has been left alone for a moment.
+const EMBEDDING_INDEX_DELAY_MS = Math.max(
+  500,
+  Number(process.env.EMBEDDING_INDEX_DELAY_MS || 5000)
+);
+const EMBEDDING_BACKFILL_LIMIT = Math.max(
+  1,
+  Number(process.env.EMBEDDING_BACKFILL_LIMIT || 25)
+);
+const RELATED_NOTES_DEFAULT = 5;
+const RELATED_NOTES_MAX = 20;
+const VAULT_MAX_PASSAGES = Math.max(
+  1,
+  Number(process.env.VAULT_MAX_PASSAGES || 8)
+);
+const VAULT_MAX_PASSAGES_PER_NOTE = 3;
+const VAULT_CONTEXT_CHARS = 12000;
+const P2P_POLL_TIMEOUT_MS = Math.max(
+  5000,
+  Number(process.env.P2P_POLL_TIMEOUT_MS || 25000)
+);
+const P2P_PEER_TTL_MS = P2P_POLL_TIMEOUT_MS * 2 + 10000;
+const P2P_MAX_PEERS_PER_ROOM = Math.max(
+  2,
+  Number(process.env.P2P_MAX_PEERS_PER_ROOM || 8)
+);
+const P2P_MAX_QUEUED_MESSAGES = 200;
+const P2P_MAX_SIGNAL_BYTES = 64 * 1024;
+const P2P_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const P2P_CODE_LENGTH = 6;
+// Empty by default: peers on the same network connect over host candidates
+// alone. Set P2P_ICE_SERVERS to a JSON array of RTCIceServer entries to add
+// STUN/TURN for peers on different networks.
+const P2P_ICE_SERVERS = parseIceServers(process.env.P2P_ICE_SERVERS);
+const COLLAB_MAX_STATE_BYTES = Math.max(
+  64 * 1024,
+  Number(process.env.COLLAB_MAX_STATE_BYTES || 4 * 1024 * 1024)
+);
+const COLLAB_MAX_OPS_PER_RELAY = 500;
+const COLLAB_PERSIST_DELAY_MS = 2000;
+const COLLAB_DOC_TTL_DAYS = Math.max(
+  1,
+  Number(process.env.COLLAB_DOC_TTL_DAYS || 90)
+);
+const ATTACHMENT_MAX_BYTES = Math.max(
+  64 * 1024,
+  Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024)
+);
+// Files are usually uploaded before the note that mentions them is saved,
+// so an unreferenced attachment is only an orphan after this long.
+const ATTACHMENT_ORPHAN_GRACE_HOURS = Math.max(
+  1,
+  Number(process.env.ATTACHMENT_ORPHAN_GRACE_HOURS || 24)
+);
+const ATTACHMENT_BUCKET = "attachments";
+const ATTACHMENT_ID = /^[a-f0-9]{24}$/;
+const ATTACHMENT_CONTENT_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+// Shared-note CRDT state is uploaded whole when a session starts.
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "5mb";
 const PRO_INVITE_CODE = String(process.env.PRO_INVITE_CODE || "").trim();
 const PRO_SUPPORT_EMAIL = String(
   process.env.PRO_SUPPORT_EMAIL || "aaravkedeveloper@gmail.com"
 ).trim();
+const AUTH_ACCESS_TOKEN_TTL_SECONDS = Math.max(
+  60,
+  Number(process.env.AUTH_ACCESS_TOKEN_TTL_SECONDS || 15 * 60)
+);
+const AUTH_REFRESH_TOKEN_TTL_DAYS = Math.max(
+  1,
+  Number(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS || 30)
+);
+// The refresh token a session just rotated away from still works for this
+// long, so a reply lost on a flaky connection does not sign the user out.
+const AUTH_REFRESH_GRACE_MS = 60 * 1000;
+// Without AUTH_TOKEN_SECRET every restart signs everyone out. A signaling
+// server run on its own must be given the same secret as the backend.
+const AUTH_TOKEN_SECRET =
+  String(process.env.AUTH_TOKEN_SECRET || "").trim() || randomBytes(32).toString("hex");
+// Where links in account emails point: the page that serves index.html.
+const APP_BASE_URL = String(process.env.APP_BASE_URL || "").trim();
+const MAGIC_LINK_TTL_MINUTES = Math.max(
+  5,
+  Number(process.env.MAGIC_LINK_TTL_MINUTES || 30)
+);
+const MAGIC_LINK_RESEND_MS = 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACCOUNT_NAME_MAX = 80;
+const WORKSPACE_ROLES = ["viewer", "editor", "owner"];
+const WORKSPACE_NAME_MAX = 80;
+const WORKSPACE_MAX_OWNED = Math.max(
+  1,
+  Number(process.env.WORKSPACE_MAX_OWNED || 10)
+);
+const WORKSPACE_MAX_MEMBERS = Math.max(
+  2,
+  Number(process.env.WORKSPACE_MAX_MEMBERS || 50)
+);
+const WORKSPACE_INVITE_TTL_DAYS = Math.max(
+  1,
+  Number(process.env.WORKSPACE_INVITE_TTL_DAYS || 14)
+);
 const corsOrigins = (process.env.CORS_ORIGIN || "*")
   .split(",")
   .map((origin) => origin.trim())
   .filter(Boolean);
 
-let cachedGeminiModels = [];
-let geminiModelsCachedAt = 0;
+const p2pRooms = new Map();
+
+// Tried in order until one answers; see ai-providers.js for the settings.
+const aiProviders = createAiProviders(process.env);
+const embeddingProvider = createEmbeddingProvider(process.env);
+const mailer = createMailer(process.env);
 
 app.use(
   cors({
     origin: corsOrigins.includes("*") ? true : corsOrigins
   })
 );
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // Google client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 // MongoDB
 let db;
+let attachmentBucket = null;
 let mongoLastError = null;
+let mongoConnecting = null;
 async function connectMongo() {
   if (!process.env.MONGO_URI) {
     throw new Error("Missing MONGO_URI in environment");
@@ -84,20 +238,141 @@ async function connectMongo() {
   if (db) {
     return;
   }
+  // Backfills can outlast the retry interval; a retry joins the attempt
+  // already running instead of starting a second one.
+  if (!mongoConnecting) {
+    mongoConnecting = openMongo().finally(() => {
+      mongoConnecting = null;
+    });
+  }
+  await mongoConnecting;
+}
+
+async function openMongo() {
   const mongo = new MongoClient(process.env.MONGO_URI, {
     serverSelectionTimeoutMS: MONGO_SERVER_SELECTION_TIMEOUT_MS,
     connectTimeoutMS: MONGO_CONNECT_TIMEOUT_MS,
     socketTimeoutMS: MONGO_SOCKET_TIMEOUT_MS
   });
   await mongo.connect();
-  db = mongo.db(DB_NAME);
-  await db.collection("notes").createIndex(
+  // Requests wait on `db`, so it is only set once the indexes and backfills
+  // are in place; a failure leaves it unset and the next attempt reruns them.
+  const database = mongo.db(DB_NAME);
+  try {
+    await prepareDatabase(database);
+  } catch (error) {
+    await mongo.close().catch(() => {});
+    throw error;
+  }
+  db = database;
+  attachmentBucket = new GridFSBucket(db, { bucketName: ATTACHMENT_BUCKET });
+  mongoLastError = null;
+  console.log(`MongoDB connected (${DB_NAME})`);
+}
+
+// Older databases index users.email without making it unique. The index is
+// replaced once no two accounts share an address; until then startup goes
+// on with the plain index and says which addresses need merging.
+async function ensureUniqueEmailIndex(database) {
+  const users = database.collection("users");
+  const indexes = await users.indexes().catch((error) => {
+    if (error?.code === 26) {
+      return [];
+    }
+    throw error;
+  });
+  const current = indexes.find((index) => index.name === "email_1");
+  if (current?.unique) {
+    return;
+  }
+
+  const shared = await users
+    .aggregate([
+      { $match: { email: { $type: "string" } } },
+      { $group: { _id: "$email", count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $limit: 20 }
+    ])
+    .toArray();
+  if (shared.length > 0) {
+    console.error(
+      `users.email is not unique yet; these addresses belong to more than one account: ${shared
+        .map((item) => item._id)
+        .join(", ")}`
+    );
+    await users.createIndex({ email: 1 });
+    return;
+  }
+
+  if (current) {
+    await users.dropIndex("email_1");
+  }
+  await users.createIndex(
+    { email: 1 },
+    { unique: true, partialFilterExpression: { email: { $type: "string" } } }
+  );
+}
+
+async function prepareDatabase(database) {
+  await database.collection("notes").createIndex(
     { userId: 1, localId: 1 },
     { unique: true, sparse: true }
   );
-  await db.collection("notes").createIndex({ userId: 1, lastModified: -1 });
-  mongoLastError = null;
-  console.log(`MongoDB connected (${DB_NAME})`);
+  await database.collection("notes").createIndex({ userId: 1, lastModified: -1 });
+  await database.collection("note_revisions").createIndex(
+    { userId: 1, noteId: 1, rev: -1 },
+    { unique: true }
+  );
+  await database.collection("note_revisions").createIndex({ createdAt: 1 });
+  await database.collection("notes").createIndex({ deletedAt: 1 }, { sparse: true });
+  await database.collection("notes").createIndex({ userId: 1, syncSeq: 1 });
+  await database.collection("notes").createIndex({ userId: 1, tags: 1 });
+  await database.collection("notes").createIndex(
+    { userId: 1, title: "text", content: "text" },
+    { name: "notes_text_search", weights: { title: 5, content: 1 } }
+  );
+  await database.collection("note_tombstones").createIndex({ userId: 1, syncSeq: 1 });
+  await database.collection("note_embeddings").createIndex({ userId: 1, model: 1, chunk: 1 });
+  await database.collection("note_embeddings").createIndex({ noteId: 1 });
+  await database.collection("collab_docs").createIndex(
+    { updatedAt: 1 },
+    { expireAfterSeconds: COLLAB_DOC_TTL_DAYS * 24 * 60 * 60 }
+  );
+  await database.collection("note_tombstones").createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: SYNC_TOMBSTONE_TTL_DAYS * 24 * 60 * 60 }
+  );
+  await ensureUniqueEmailIndex(database);
+  await database.collection("users").createIndex({ googleSub: 1 }, { sparse: true });
+  await database.collection("auth_links").createIndex({ userId: 1, purpose: 1, createdAt: -1 });
+  await database.collection("auth_links").createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+  await database.collection("auth_sessions").createIndex({ userId: 1 });
+  await database.collection("auth_sessions").createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+  await database.collection("workspaces").createIndex({ "members.userId": 1 });
+  await database.collection("workspaces").createIndex({ ownerId: 1 });
+  await database.collection("workspace_invitations").createIndex(
+    { workspaceId: 1, email: 1 },
+    { unique: true }
+  );
+  await database.collection("workspace_invitations").createIndex({ email: 1 });
+  await database.collection("workspace_invitations").createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+  await database.collection("conversations").createIndex({ userId: 1, updatedAt: -1 });
+  await database.collection("conversations").createIndex({ userId: 1, noteId: 1, updatedAt: -1 });
+  await database.collection(`${ATTACHMENT_BUCKET}.files`).createIndex({
+    "metadata.userId": 1,
+    uploadDate: 1
+  });
+  await backfillSyncStamps(database);
+  await backfillNoteMetadata(database);
 }
 
 function ensureDb(req, res, next) {
@@ -115,16 +390,21 @@ function normalizeNoteDoc(raw = {}, userId) {
     raw.updatedAt ||
     (raw.lastModified ? new Date(raw.lastModified).toISOString() : new Date().toISOString());
   const lastModified = Number(raw.lastModified) || Date.parse(updatedAt) || Date.now();
+  const content = String(raw.content || "");
+  // Always derived from content so clients cannot store tags the note does not contain.
+  const { tags, properties } = extractNoteMetadata(content);
 
   return {
     userId,
     title: String(raw.title || "Untitled Note"),
-    content: String(raw.content || ""),
+    content,
     folder: String(raw.folder || "General"),
     updatedAt,
     lastModified,
     localId: raw.localId ? String(raw.localId) : null,
-    links: Array.isArray(raw.links) ? raw.links : []
+    links: Array.isArray(raw.links) ? raw.links : [],
+    tags,
+    properties
   };
 }
 
@@ -191,6 +471,16 @@ function makeLimitErrorResponse({
   };
 }
 
+// Plan details in note replies tell the client its own plan and limits.
+// In a workspace they would be the owner's, so they are left out there.
+function withSpacePlan(space, body) {
+  if (!space.workspaceId) {
+    return body;
+  }
+  const { plan, limits, requiresPro, ...rest } = body;
+  return rest;
+}
+
 function serializeNoteDoc(doc) {
   return {
     id: doc._id?.toString?.() || "",
@@ -200,317 +490,986 @@ function serializeNoteDoc(doc) {
     folder: doc.folder || "General",
     updatedAt: doc.updatedAt || new Date().toISOString(),
     lastModified: Number(doc.lastModified) || Date.now(),
-    links: Array.isArray(doc.links) ? doc.links : []
+    links: Array.isArray(doc.links) ? doc.links : [],
+    tags: Array.isArray(doc.tags) ? doc.tags : [],
+    properties: doc.properties || {},
+    deletedAt: doc.deletedAt || null,
+    revision: Number(doc.revision) || 0,
+    syncSeq: Number(doc.syncSeq) || 0
   };
 }
 
-function sanitizeAiReply(text) {
-  return String(text || "").replace(/\b(google|gemini)\b/gi, "Chimera Core");
+function makeConflictResponse(current) {
+  return {
+    error: "This note was changed somewhere else.",
+    errorCode: "NOTE_CONFLICT",
+    current: serializeNoteDoc(current)
+  };
 }
 
-function removeSourceDetails(text) {
-  return String(text || "")
-    .replace(/\n{0,2}(#+\s*)?sources?[\s\S]*$/i, "")
-    .replace(/https?:\/\/[^\s)]+/gi, "")
-    .trim();
+// Matches the stored revision the caller based its write on. Notes written
+// before revisions existed have no field at all and count as revision 0.
+function revisionFilter(revision) {
+  const value = Number(revision) || 0;
+  return value > 0 ? { revision: value } : { revision: { $in: [null, 0] } };
 }
 
-function normalizeAiMode(mode) {
-  return String(mode || "").toLowerCase() === "deep-search"
-    ? "deep-search"
-    : "chat";
+async function nextSyncSeq(userId, database = db) {
+  const counter = await database.collection("sync_counters").findOneAndUpdate(
+    { _id: userId },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" }
+  );
+  return Number(counter?.seq) || 0;
 }
 
-function sanitizeNoteContext(noteContext) {
-  if (!noteContext || typeof noteContext !== "object") {
-    return null;
-  }
+// /sync holds cursors back while a stamped write is still landing;
+// see sync-sequence.js.
+const syncSequencer = createSyncSequencer(nextSyncSeq);
 
-  const title = String(noteContext.title || "").trim().slice(0, 160);
-  const folder = String(noteContext.folder || "").trim().slice(0, 120);
-  const content = String(noteContext.content || "").trim().slice(0, 9000);
+async function backfillSyncStamps(database) {
+  const legacy = await database
+    .collection("notes")
+    .find({ syncSeq: { $exists: false } })
+    .project({ _id: 1, userId: 1 })
+    .toArray();
+  for (const doc of legacy) {
+    await database.collection("notes").updateOne(
+      { _id: doc._id, syncSeq: { $exists: false } },
+      { $set: { syncSeq: await nextSyncSeq(doc.userId, database) } }
+    );
+  }
+}
 
-  if (!title && !content) {
-    return null;
+// Notes saved before tags existed get theirs derived once at startup.
+async function backfillNoteMetadata(database) {
+  const cursor = database
+    .collection("notes")
+    .find({ tags: { $exists: false } })
+    .project({ _id: 1, content: 1 });
+  for await (const doc of cursor) {
+    const { tags, properties } = extractNoteMetadata(doc.content);
+    await database.collection("notes").updateOne(
+      { _id: doc._id, tags: { $exists: false } },
+      { $set: { tags, properties } }
+    );
   }
+}
 
-  return {
-    title: title || "Untitled Note",
-    folder: folder || "General",
-    content
-  };
+// Accepts `?tag=a&tag=b` as well as `?tag=a,b`.
+function parseTagFilter(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const tags = values
+    .flatMap((item) => String(item || "").split(","))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return Array.from(new Set(tags)).slice(0, TAG_FILTER_MAX);
 }
 
-function buildNoteContextBlock(noteContext) {
-  const safeContext = sanitizeNoteContext(noteContext);
-  if (!safeContext) {
-    return "";
-  }
+// Every tag must match; a parent tag also matches its nested tags.
+function buildTagQuery(tags) {
+  return tags.map((tag) => {
+    const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return { tags: { $regex: `^${escaped}(?:/|$)` } };
+  });
+}
 
-  return (
-    "Open note context (use this for grounded suggestions):\n" +
-    `Title: ${safeContext.title}\n` +
-    `Folder: ${safeContext.folder}\n` +
-    `Content:\n${safeContext.content || "(empty)"}\n`
-  );
+function tokenizeSearchQuery(query) {
+  const words =
+    String(query || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return Array.from(new Set(words)).slice(0, 12);
 }
 
-function mapHistoryToContents(history) {
-  if (!Array.isArray(history)) {
+// Character ranges of every word that starts with one of the query terms
+function findSearchHighlights(text, terms) {
+  if (!text || terms.length === 0) {
     return [];
   }
+  const alternatives = terms
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:${alternatives})[\\p{L}\\p{N}_]*`,
+    "giu"
+  );
+  return Array.from(text.matchAll(pattern), (match) => [
+    match.index,
+    match.index + match[0].length
+  ]);
+}
 
-  return history
-    .slice(-12)
-    .map((entry) => {
-      const text = String(entry?.text || "").trim();
-      if (!text) {
-        return null;
-      }
+function buildSearchSnippet(content, terms) {
+  const text = String(content || "").replace(/\s+/g, " ").trim();
+  const first = findSearchHighlights(text, terms)[0];
+  const anchor = first ? first[0] : 0;
+  let start = Math.max(0, anchor - SEARCH_SNIPPET_RADIUS);
+  let end = Math.min(text.length, anchor + SEARCH_SNIPPET_RADIUS * 2);
 
-      const role = entry?.role === "assistant" ? "model" : "user";
-      return { role, parts: [{ text }] };
-    })
-    .filter(Boolean);
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    start = space !== -1 && space < anchor ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    end = space > anchor ? space : end;
+  }
+
+  const snippet =
+    (start > 0 ? "…" : "") +
+    text.slice(start, end) +
+    (end < text.length ? "…" : "");
+  return { text: snippet, highlights: findSearchHighlights(snippet, terms) };
 }
 
-function normalizeModelName(model) {
-  const value = String(model || "").trim();
-  if (!value) {
-    return "";
-  }
-  return value.startsWith("models/") ? value.slice("models/".length) : value;
+// Semantic search. Each note is split into chunks whose vectors are kept in
+// note_embeddings under the user, the note's _id and the embedding model;
+// chunk 0 also records a hash of what was embedded, so unchanged notes are
+// skipped. Notes are embedded shortly after they are saved, and notes still
+// missing (older notes, or all of them after a model change) are caught up
+// a batch at a time before a semantic search or related-notes lookup.
+const embeddingTimers = new Map();
+const embeddingJobs = new Map();
+
+function getEmbeddingModelKey() {
+  return embeddingProvider ? `${embeddingProvider.name}:${embeddingProvider.model}` : "";
 }
 
-function rankGeminiModel(model) {
-  const name = normalizeModelName(model).toLowerCase();
-  let score = 0;
-  if (name.includes("flash")) score += 10;
-  if (name.includes("2.5")) score += 5;
-  if (name.includes("2.0")) score += 4;
-  if (name.includes("lite")) score -= 2;
-  return score;
+function hashEmbeddingSource(note) {
+  return createHash("sha1")
+    .update(`${note.title || ""}\n${note.content || ""}`)
+    .digest("hex");
 }
 
-function cleanUrl(url) {
-  const value = String(url || "").trim();
-  if (!value || !/^https?:\/\//i.test(value)) {
-    return "";
-  }
-  return value.replace(/[)\].,;!?]+$/g, "");
+// Jobs for the same note run one after another so their chunks never mix.
+function embedNote(userId, note) {
+  const key = `${userId}:${note._id}`;
+  const job = (embeddingJobs.get(key) || Promise.resolve()).then(async () => {
+    const model = getEmbeddingModelKey();
+    const contentHash = hashEmbeddingSource(note);
+    const current = await db
+      .collection("note_embeddings")
+      .findOne(
+        { userId, noteId: note._id, chunk: 0 },
+        { projection: { model: 1, contentHash: 1 } }
+      );
+    if (current?.model === model && current.contentHash === contentHash) {
+      return;
+    }
+
+    const chunks = chunkNoteText(note.title, note.content);
+    const vectors = await embeddingProvider.embed(
+      chunks.map((chunk) => chunk.input),
+      { kind: "document" }
+    );
+    const now = new Date();
+    await db.collection("note_embeddings").deleteMany({ userId, noteId: note._id });
+    await db.collection("note_embeddings").insertMany(
+      chunks.map((chunk, index) => ({
+        userId,
+        noteId: note._id,
+        model,
+        chunk: index,
+        text: chunk.text,
+        vector: vectors[index],
+        ...(index === 0 ? { contentHash } : {}),
+        updatedAt: now
+      }))
+    );
+  });
+
+  const settled = job.then(
+    () => {},
+    () => {}
+  );
+  embeddingJobs.set(key, settled);
+  settled.then(() => {
+    if (embeddingJobs.get(key) === settled) {
+      embeddingJobs.delete(key);
+    }
+  });
+  return job;
 }
 
-function collectUrlsDeep(node, bucket) {
-  if (!node) {
+function scheduleNoteEmbedding(userId, noteId) {
+  if (!embeddingProvider) {
     return;
   }
+  const key = `${userId}:${noteId}`;
+  clearTimeout(embeddingTimers.get(key));
+  embeddingTimers.set(
+    key,
+    setTimeout(async () => {
+      embeddingTimers.delete(key);
+      try {
+        const note = await db
+          .collection("notes")
+          .findOne({ _id: noteId, userId, deletedAt: null });
+        if (note) {
+          await embedNote(userId, note);
+        }
+      } catch (err) {
+        console.error("Note embedding failed:", err.message);
+      }
+    }, EMBEDDING_INDEX_DELAY_MS)
+  );
+}
+
+// Embeds up to EMBEDDING_BACKFILL_LIMIT stale notes, most recently edited
+// first, and returns how many are still waiting.
+async function catchUpNoteEmbeddings(userId) {
+  const model = getEmbeddingModelKey();
+  const [notes, indexed] = await Promise.all([
+    db
+      .collection("notes")
+      .find({ userId, deletedAt: null })
+      .project({ title: 1, content: 1, lastModified: 1 })
+      .toArray(),
+    db
+      .collection("note_embeddings")
+      .find({ userId, model, chunk: 0 })
+      .project({ noteId: 1, contentHash: 1 })
+      .toArray()
+  ]);
+  const hashes = new Map(indexed.map((doc) => [doc.noteId.toString(), doc.contentHash]));
+  const stale = notes
+    .filter((note) => hashes.get(note._id.toString()) !== hashEmbeddingSource(note))
+    .sort((a, b) => (Number(b.lastModified) || 0) - (Number(a.lastModified) || 0));
+
+  for (const note of stale.slice(0, EMBEDDING_BACKFILL_LIMIT)) {
+    await embedNote(userId, note);
+  }
+  return Math.max(0, stale.length - EMBEDDING_BACKFILL_LIMIT);
+}
+
+// Every chunk with a positive similarity to `vector`, best first.
+async function rankChunksByVector(userId, vector, excludeNoteId = null) {
+  const chunks = await db
+    .collection("note_embeddings")
+    .find({ userId, model: getEmbeddingModelKey() })
+    .project({ noteId: 1, chunk: 1, text: 1, vector: 1 })
+    .toArray();
 
-  if (typeof node === "string") {
-    const cleaned = cleanUrl(node);
-    if (cleaned) {
-      bucket.add(cleaned);
+  return chunks
+    .filter((chunk) => !excludeNoteId || !chunk.noteId.equals(excludeNoteId))
+    .map((chunk) => ({
+      noteId: chunk.noteId,
+      chunk: chunk.chunk,
+      text: chunk.text,
+      score: cosineSimilarity(vector, chunk.vector)
+    }))
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Best-matching chunk per note, highest similarity first.
+async function rankNotesByVector(userId, vector, excludeNoteId = null) {
+  const best = new Map();
+  for (const match of await rankChunksByVector(userId, vector, excludeNoteId)) {
+    const key = match.noteId.toString();
+    if (!best.has(key)) {
+      best.set(key, match);
     }
-    return;
   }
+  return Array.from(best.values());
+}
 
-  if (Array.isArray(node)) {
-    node.forEach((item) => collectUrlsDeep(item, bucket));
-    return;
+// Turns ranked matches into search results for the active notes that pass
+// `filter`, keeping the ranking.
+async function loadRankedNotes(userId, ranked, filter, limit, terms = []) {
+  if (ranked.length === 0) {
+    return [];
   }
+  const docs = await db
+    .collection("notes")
+    .find({
+      ...filter,
+      _id: { $in: ranked.map((match) => match.noteId) },
+      userId,
+      deletedAt: null
+    })
+    .toArray();
+  const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
 
-  if (typeof node === "object") {
-    for (const [key, value] of Object.entries(node)) {
-      if (
-        (key.toLowerCase() === "url" || key.toLowerCase() === "uri") &&
-        typeof value === "string"
-      ) {
-        const cleaned = cleanUrl(value);
-        if (cleaned) {
-          bucket.add(cleaned);
-        }
-      }
-      collectUrlsDeep(value, bucket);
-    }
+  return ranked
+    .filter((match) => byId.has(match.noteId.toString()))
+    .slice(0, limit)
+    .map((match) => {
+      const note = serializeNoteDoc(byId.get(match.noteId.toString()));
+      return {
+        id: note.id,
+        localId: note.localId,
+        title: note.title,
+        folder: note.folder,
+        lastModified: note.lastModified,
+        score: Math.round(match.score * 1000) / 1000,
+        titleHighlights: findSearchHighlights(note.title, terms),
+        snippet: buildSearchSnippet(match.text || note.content, terms)
+      };
+    });
+}
+
+function getTrashPurgeAt(deletedAt) {
+  const deletedMs = Date.parse(deletedAt);
+  if (!Number.isFinite(deletedMs)) {
+    return null;
   }
+  return new Date(
+    deletedMs + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
 }
 
-function extractUrlsFromText(text) {
-  const matches = String(text || "").match(/https?:\/\/[^\s)]+/gi) || [];
-  const urls = new Set();
-  matches.forEach((item) => {
-    const cleaned = cleanUrl(item);
-    if (cleaned) {
-      urls.add(cleaned);
-    }
-  });
-  return Array.from(urls);
+function serializeRevisionDoc(doc, { includeContent = false } = {}) {
+  const revision = {
+    noteId: doc.noteId?.toString?.() || "",
+    rev: Number(doc.rev) || 0,
+    title: doc.title || "Untitled Note",
+    folder: doc.folder || "General",
+    lastModified: Number(doc.lastModified) || 0,
+    createdAt: doc.createdAt || null,
+    reason: doc.reason || "save",
+    bytes: estimateNoteBytes(doc)
+  };
+  if (includeContent) {
+    revision.content = doc.content || "";
+    revision.links = Array.isArray(doc.links) ? doc.links : [];
+  }
+  return revision;
 }
 
-function extractGeminiSources(data, fallbackReply = "") {
-  const urls = new Set();
-  collectUrlsDeep(data, urls);
-  extractUrlsFromText(fallbackReply).forEach((url) => urls.add(url));
-  return Array.from(urls);
+function isSameRevisionContent(revision, note) {
+  return (
+    Boolean(revision) &&
+    String(revision.title || "") === String(note?.title || "") &&
+    String(revision.content || "") === String(note?.content || "") &&
+    String(revision.folder || "") === String(note?.folder || "")
+  );
 }
 
-async function fetchAvailableGeminiModels(apiKey) {
-  const now = Date.now();
-  if (
-    cachedGeminiModels.length > 0 &&
-    now - geminiModelsCachedAt < GEMINI_MODEL_CACHE_TTL_MS
-  ) {
-    return cachedGeminiModels;
+function parseNoteObjectId(id) {
+  const value = String(id || "");
+  return ObjectId.isValid(value) ? new ObjectId(value) : null;
+}
+
+async function findLatestRevision(userId, noteId) {
+  return db.collection("note_revisions").findOne(
+    { userId, noteId },
+    { sort: { rev: -1 } }
+  );
+}
+
+// Keeps the newest revision no matter how old it is so a note never loses
+// its last restore point.
+async function pruneNoteRevisions(userId, noteId) {
+  const stale = await db
+    .collection("note_revisions")
+    .find({ userId, noteId })
+    .sort({ rev: -1 })
+    .skip(NOTE_REVISION_MAX_PER_NOTE)
+    .project({ _id: 1 })
+    .toArray();
+  if (stale.length > 0) {
+    await db.collection("note_revisions").deleteMany({
+      _id: { $in: stale.map((item) => item._id) }
+    });
   }
 
-  for (const apiVersion of GEMINI_API_VERSIONS) {
-    const listUrl =
-      `https://generativelanguage.googleapis.com/${apiVersion}/models?key=` +
-      `${encodeURIComponent(apiKey)}`;
-    try {
-      const response = await fetch(listUrl);
-      if (!response.ok) {
-        continue;
-      }
+  const latest = await findLatestRevision(userId, noteId);
+  const cutoffIso = new Date(
+    Date.now() - NOTE_REVISION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  await db.collection("note_revisions").deleteMany({
+    userId,
+    noteId,
+    createdAt: { $lt: cutoffIso },
+    ...(latest ? { rev: { $lt: latest.rev } } : {})
+  });
+}
 
-      const data = await response.json();
-      const available = (data?.models || [])
-        .filter((model) =>
-          Array.isArray(model?.supportedGenerationMethods) &&
-          model.supportedGenerationMethods.includes("generateContent")
-        )
-        .map((model) => normalizeModelName(model?.name))
-        .filter((model) => model && model.includes("gemini"));
+// Two saves of one note can race for the same rev number. The loser reads
+// the latest revision again and takes the next number, unless the winner
+// stored the very same state. Resolves null if it keeps losing.
+async function recordNoteRevision(userId, noteId, note, reason = "save") {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await findLatestRevision(userId, noteId);
+    if (isSameRevisionContent(latest, note)) {
+      return latest;
+    }
+
+    const revision = {
+      userId,
+      noteId,
+      rev: (Number(latest?.rev) || 0) + 1,
+      title: note.title,
+      content: note.content,
+      folder: note.folder,
+      links: Array.isArray(note.links) ? note.links : [],
+      updatedAt: note.updatedAt,
+      lastModified: note.lastModified,
+      reason,
+      createdAt: new Date().toISOString()
+    };
 
-      if (available.length > 0) {
-        cachedGeminiModels = Array.from(new Set(available));
-        geminiModelsCachedAt = now;
-        return cachedGeminiModels;
+    try {
+      await db.collection("note_revisions").insertOne(revision);
+    } catch (error) {
+      if (error?.code !== 11000) {
+        throw error;
       }
-    } catch {
-      // Ignore list-model errors and continue to next API version.
+      if (attempt < NOTE_REVISION_INSERT_ATTEMPTS) {
+        continue;
+      }
+      // The note itself is saved; only this restore point is missing.
+      console.error(`Gave up recording a revision of note ${noteId} after ${attempt} attempts`);
+      return null;
     }
+    await pruneNoteRevisions(userId, noteId);
+    return revision;
   }
-
-  return cachedGeminiModels;
 }
 
-async function resolveGeminiModels() {
-  const configuredModels = Array.from(
-    new Set(
-      [GEMINI_MODEL, ...GEMINI_MODEL_FALLBACKS]
-        .map((model) => normalizeModelName(model))
-        .filter(Boolean)
-    )
-  );
-  const discoveredModels = await fetchAvailableGeminiModels(
-    process.env.GEMINI_API_KEY
-  );
-  return Array.from(new Set([...configuredModels, ...discoveredModels]))
-    .sort((a, b) => rankGeminiModel(b) - rankGeminiModel(a))
-    .slice(0, 10);
+// Note data (notes, revisions, tombstones, sync counters, embeddings and
+// attachments) keeps its owner in `userId`: the user's own id for their
+// personal notes, or this key for notes that belong to a workspace.
+function getWorkspaceSpaceId(workspaceId) {
+  return `ws:${workspaceId}`;
 }
 
-function buildToolVariants(useSearchTool) {
-  if (!useSearchTool) {
-    return [null];
+// Conversations are filed under each member's own user id, so the
+// threads of a workspace note belong to whoever is in the workspace.
+async function listSpaceMemberIds(spaceIds) {
+  const membersBySpace = new Map(
+    spaceIds.filter((spaceId) => !spaceId.startsWith("ws:")).map((spaceId) => [spaceId, [spaceId]])
+  );
+  const workspaceIds = spaceIds
+    .filter((spaceId) => spaceId.startsWith("ws:"))
+    .map((spaceId) => parseNoteObjectId(spaceId.slice(3)))
+    .filter(Boolean);
+  if (workspaceIds.length > 0) {
+    const workspaces = await db
+      .collection("workspaces")
+      .find({ _id: { $in: workspaceIds } })
+      .project({ _id: 1, members: 1 })
+      .toArray();
+    for (const workspace of workspaces) {
+      membersBySpace.set(
+        getWorkspaceSpaceId(workspace._id),
+        (workspace.members || []).map((member) => member.userId)
+      );
+    }
   }
-  return [
-    [{ google_search: {} }],
-    [{ google_search_retrieval: {} }],
-    null
-  ];
+  return membersBySpace;
 }
 
-function getReplyTextFromGeminiData(data) {
-  return (data?.candidates?.[0]?.content?.parts || [])
-    .map((part) => String(part?.text || ""))
-    .join("\n")
-    .trim();
+async function listOwnedSpaceIds(userId) {
+  const owned = await db
+    .collection("workspaces")
+    .find({ ownerId: userId })
+    .project({ _id: 1 })
+    .toArray();
+  return [userId, ...owned.map((workspace) => getWorkspaceSpaceId(workspace._id))];
 }
 
-async function generateWithGemini({
-  systemText,
-  contents,
-  generationConfig = {},
-  useSearchTool = false
-}) {
-  const models = await resolveGeminiModels();
-  const toolVariants = buildToolVariants(useSearchTool);
-  let lastError;
+// Trashed notes still take up storage until they are purged, but they no
+// longer count towards the note limit. Attachments count at their size.
+// Workspaces spend their owner's plan, so their notes count here too.
+async function computeStorageUsage(userId) {
+  const spaceIds = await listOwnedSpaceIds(userId);
+  const notes = await db
+    .collection("notes")
+    .find({ userId: { $in: spaceIds } })
+    .project({
+      title: 1,
+      content: 1,
+      folder: 1,
+      updatedAt: 1,
+      lastModified: 1,
+      localId: 1,
+      links: 1,
+      deletedAt: 1
+    })
+    .toArray();
+  const revisions = await db
+    .collection("note_revisions")
+    .find({ userId: { $in: spaceIds } })
+    .project({
+      title: 1,
+      content: 1,
+      folder: 1,
+      updatedAt: 1,
+      lastModified: 1,
+      links: 1
+    })
+    .toArray();
+  const [attachments] = await db
+    .collection(`${ATTACHMENT_BUCKET}.files`)
+    .aggregate([
+      { $match: { "metadata.userId": { $in: spaceIds } } },
+      { $group: { _id: null, bytes: { $sum: "$length" } } }
+    ])
+    .toArray();
 
-  for (const model of models) {
-    for (const apiVersion of GEMINI_API_VERSIONS) {
-      for (const tools of toolVariants) {
-        try {
-          const url =
-            `https://generativelanguage.googleapis.com/${apiVersion}/models/` +
-            `${encodeURIComponent(model)}:generateContent?key=` +
-            `${encodeURIComponent(process.env.GEMINI_API_KEY)}`;
-
-          const payload = {
-            systemInstruction: {
-              parts: [{ text: systemText }]
-            },
-            generationConfig: {
-              temperature: 0.7,
-              maxOutputTokens: 700,
-              ...generationConfig
-            },
-            contents
-          };
-
-          if (Array.isArray(tools) && tools.length > 0) {
-            payload.tools = tools;
-          }
+  return {
+    noteCount: notes.filter((item) => !item.deletedAt).length,
+    noteBytes: notes.reduce((sum, item) => sum + estimateNoteBytes(item), 0),
+    revisionBytes: revisions.reduce(
+      (sum, item) => sum + estimateNoteBytes(item),
+      0
+    ),
+    attachmentBytes: Number(attachments?.bytes) || 0
+  };
+}
 
-          const response = await fetch(url, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(payload)
-          });
-
-          if (!response.ok) {
-            const errorBody = (await response.text()).slice(0, 500);
-            throw new Error(
-              `Model ${model} @ ${apiVersion} failed (${response.status}): ${errorBody}`
-            );
-          }
+async function hardDeleteNotes(filter) {
+  const doomed = await db
+    .collection("notes")
+    .find(filter)
+    .project({ _id: 1, userId: 1, localId: 1 })
+    .toArray();
+  if (doomed.length === 0) {
+    return 0;
+  }
 
-          const data = await response.json();
-          const reply = getReplyTextFromGeminiData(data);
-          if (!reply) {
-            throw new Error(
-              `Model ${model} @ ${apiVersion} returned empty output`
-            );
-          }
+  const ids = doomed.map((item) => item._id);
+  await db.collection("notes").deleteMany({ _id: { $in: ids } });
+  await db.collection("note_revisions").deleteMany({ noteId: { $in: ids } });
+  await db.collection("note_embeddings").deleteMany({ noteId: { $in: ids } });
 
-          const sources = extractGeminiSources(data, reply);
-          return {
-            reply: sanitizeAiReply(reply),
-            sources,
-            model,
-            apiVersion
-          };
-        } catch (error) {
-          lastError = error;
-          console.error(
-            `AI model attempt failed (${model} @ ${apiVersion}):`,
-            error.message
-          );
-        }
-      }
+  // Each number stays in flight until the whole batch is written.
+  const claims = [];
+  try {
+    const tombstones = [];
+    for (const item of doomed) {
+      const claim = await syncSequencer.reserve(item.userId);
+      claims.push(claim);
+      tombstones.push({
+        userId: item.userId,
+        noteId: item._id,
+        localId: item.localId || null,
+        syncSeq: claim.seq,
+        createdAt: new Date()
+      });
     }
+    await db.collection("note_tombstones").insertMany(tombstones);
+  } finally {
+    claims.forEach((claim) => claim.release());
   }
 
-  throw lastError || new Error("No AI model could produce a reply");
+  // Threads outlive their note; they stay in the list, just detached.
+  const detached = doomed.filter((item) => item.localId);
+  if (detached.length > 0) {
+    const membersBySpace = await listSpaceMemberIds([...new Set(detached.map((item) => item.userId))]);
+    const matches = detached
+      .filter((item) => membersBySpace.get(item.userId)?.length > 0)
+      .map((item) => ({ userId: { $in: membersBySpace.get(item.userId) }, noteId: item.localId }));
+    if (matches.length > 0) {
+      await db.collection("conversations").updateMany({ $or: matches }, { $set: { noteId: null } });
+    }
+  }
+  return ids.length;
 }
 
-async function runDeepSearch({ message, history, noteContext }) {
-  const sourcePool = new Set();
-  const researchChunks = [];
-  const noteBlock = buildNoteContextBlock(noteContext);
-  const hasNoteContext = Boolean(noteContext);
-  const researchAngles = [
+async function purgeExpiredTrash() {
+  if (!db) {
+    return 0;
+  }
+
+  const cutoffIso = new Date(
+    Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const purged = await hardDeleteNotes({ deletedAt: { $lt: cutoffIso } });
+  if (purged > 0) {
+    console.log(`Purged ${purged} note(s) from trash`);
+  }
+  return purged;
+}
+
+async function collectAttachmentReferences(userId) {
+  const referenced = new Set();
+  for (const name of ["notes", "note_revisions"]) {
+    const cursor = db
+      .collection(name)
+      .find({ userId, content: { $regex: "attachments/" } })
+      .project({ content: 1 });
+    for await (const doc of cursor) {
+      findAttachmentIds(doc.content).forEach((id) => referenced.add(id));
+    }
+  }
+  return referenced;
+}
+
+// An attachment is kept while any note, trashed note or revision of its
+// owner still points at it.
+async function purgeOrphanedAttachments() {
+  if (!db) {
+    return 0;
+  }
+
+  const files = db.collection(`${ATTACHMENT_BUCKET}.files`);
+  const cutoff = new Date(
+    Date.now() - ATTACHMENT_ORPHAN_GRACE_HOURS * 60 * 60 * 1000
+  );
+  const userIds = await files.distinct("metadata.userId", {
+    uploadDate: { $lt: cutoff }
+  });
+
+  let purged = 0;
+  for (const userId of userIds) {
+    const referenced = await collectAttachmentReferences(userId);
+    const candidates = await files
+      .find({ "metadata.userId": userId, uploadDate: { $lt: cutoff } })
+      .project({ _id: 1 })
+      .toArray();
+    for (const file of candidates) {
+      if (referenced.has(file._id.toString())) {
+        continue;
+      }
+      try {
+        await attachmentBucket.delete(file._id);
+        purged++;
+      } catch (error) {
+        // Already gone, e.g. removed by another server instance.
+        if (!/not found/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+  if (purged > 0) {
+    console.log(`Purged ${purged} orphaned attachment(s)`);
+  }
+  return purged;
+}
+
+function findCharLimitViolation(plan, note) {
+  if (normalizePlan(plan) === "pro") {
+    return null;
+  }
+
+  const limits = getPlanLimits(plan);
+  const charsInNote = countNoteChars(note);
+  if (charsInNote <= limits.maxCharsPerNote) {
+    return null;
+  }
+
+  return makeLimitErrorResponse({
+    plan,
+    error: "Oh No! You are out of words on this note.",
+    errorCode: "NOTE_CHAR_LIMIT_EXCEEDED",
+    limitType: "note_chars",
+    limits,
+    usage: {
+      charsInNote
+    }
+  });
+}
+
+// Revisions live in their own collection but count towards the same free
+// plan storage budget as the notes they belong to.
+async function findStorageLimitViolation({
+  userId,
+  plan,
+  note,
+  existingTarget,
+  recordsRevision = true
+}) {
+  if (normalizePlan(plan) === "pro") {
+    return null;
+  }
+
+  const limits = getPlanLimits(plan);
+  const usage = await computeStorageUsage(userId);
+  const noteCountAfter =
+    existingTarget && !existingTarget.deletedAt
+      ? usage.noteCount
+      : usage.noteCount + 1;
+  const oldBytes = existingTarget ? estimateNoteBytes(existingTarget) : 0;
+  const newBytes = estimateNoteBytes(note);
+  const storageBytesAfter =
+    usage.noteBytes -
+    oldBytes +
+    newBytes +
+    usage.revisionBytes +
+    usage.attachmentBytes +
+    (recordsRevision ? newBytes : 0);
+
+  if (noteCountAfter > limits.maxNotes) {
+    return makeLimitErrorResponse({
+      plan,
+      error: "Oh No! You are out of notes.",
+      errorCode: "NOTE_COUNT_LIMIT_EXCEEDED",
+      limitType: "notes",
+      limits,
+      usage: {
+        noteCount: noteCountAfter
+      }
+    });
+  }
+
+  if (storageBytesAfter > limits.maxStorageBytes) {
+    return makeLimitErrorResponse({
+      plan,
+      error: "Oh No! You have exceeded all of your storage.",
+      errorCode: "STORAGE_LIMIT_EXCEEDED",
+      limitType: "storage",
+      limits,
+      usage: {
+        storageBytes: storageBytesAfter
+      }
+    });
+  }
+
+  return null;
+}
+
+async function findAttachmentLimitViolation({ userId, plan, size }) {
+  if (normalizePlan(plan) === "pro") {
+    return null;
+  }
+
+  const limits = getPlanLimits(plan);
+  const usage = await computeStorageUsage(userId);
+  const storageBytesAfter =
+    usage.noteBytes + usage.revisionBytes + usage.attachmentBytes + size;
+  if (storageBytesAfter <= limits.maxStorageBytes) {
+    return null;
+  }
+
+  return makeLimitErrorResponse({
+    plan,
+    error: "Oh No! You have exceeded all of your storage.",
+    errorCode: "STORAGE_LIMIT_EXCEEDED",
+    limitType: "storage",
+    limits,
+    usage: {
+      storageBytes: storageBytesAfter
+    }
+  });
+}
+
+function sanitizeAiReply(text) {
+  return String(text || "").replace(/\b(google|gemini)\b/gi, "Chimera Core");
+}
+
+// Streams `sanitizeAiReply` output. Text is held back until a word ends, so
+// a name split across two chunks is still replaced.
+function createReplySanitizer(onText) {
+  let pending = "";
+  return {
+    push(text) {
+      pending += text;
+      const cut = pending.search(/\w*$/);
+      if (cut > 0) {
+        onText(sanitizeAiReply(pending.slice(0, cut)));
+        pending = pending.slice(cut);
+      }
+    },
+    flush() {
+      if (pending) {
+        onText(sanitizeAiReply(pending));
+        pending = "";
+      }
+    }
+  };
+}
+
+// Drops a trailing "Sources"/"References" section and bare URLs; the
+// sources are returned separately and rendered by the app.
+function removeSourceDetails(text) {
+  return String(text || "")
+    .replace(
+      /(^|\n)[ \t]*(#+[ \t]*)?(\*\*)?(sources?|references)(\*\*)?:?(\*\*)?[ \t]*(\n[\s\S]*)?$/i,
+      ""
+    )
+    .replace(/https?:\/\/[^\s)]+/gi, "")
+    .trim();
+}
+
+// Splits grouped markers like "[2, 5]" into "[2][5]" and drops markers that
+// point outside the source list.
+function normalizeCitationMarkers(text, sourceCount) {
+  return String(text || "").replace(
+    /([ \t]*)\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\](?!\()/g,
+    (_match, space, group) => {
+      const markers = group
+        .split(",")
+        .map((value) => Number(value.trim()))
+        .filter((index) => index >= 1 && index <= sourceCount)
+        .map((index) => `[${index}]`)
+        .join("");
+      return markers ? `${space}${markers}` : "";
+    }
+  );
+}
+
+function normalizeAiMode(mode) {
+  const value = String(mode || "").toLowerCase();
+  return value === "deep-search" || value === "vault" ? value : "chat";
+}
+
+function sanitizeNoteContext(noteContext) {
+  if (!noteContext || typeof noteContext !== "object") {
+    return null;
+  }
+
+  const title = String(noteContext.title || "").trim().slice(0, 160);
+  const folder = String(noteContext.folder || "").trim().slice(0, 120);
+  const content = String(noteContext.content || "").trim().slice(0, 9000);
+
+  if (!title && !content) {
+    return null;
+  }
+
+  return {
+    title: title || "Untitled Note",
+    folder: folder || "General",
+    content
+  };
+}
+
+function buildNoteContextBlock(noteContext) {
+  const safeContext = sanitizeNoteContext(noteContext);
+  if (!safeContext) {
+    return "";
+  }
+
+  return (
+    "Open note context (use this for grounded suggestions):\n" +
+    `Title: ${safeContext.title}\n` +
+    `Folder: ${safeContext.folder}\n` +
+    `Content:\n${safeContext.content || "(empty)"}\n`
+  );
+}
+
+function mapHistoryToMessages(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .slice(-12)
+    .map((entry) => {
+      const text = String(entry?.text || "").trim();
+      if (!text) {
+        return null;
+      }
+
+      const role = entry?.role === "assistant" ? "assistant" : "user";
+      return { role, text };
+    })
+    .filter(Boolean);
+}
+
+// The same page is often found by several passes, with tracking parameters
+// or a trailing slash added.
+function getSourceKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    [...parsed.searchParams.keys()]
+      .filter((key) => /^(utm_|fbclid$|gclid$)/i.test(key))
+      .forEach((key) => parsed.searchParams.delete(key));
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    return `${host}${parsed.pathname.replace(/\/+$/, "")}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+// Grounded links point at a redirect service, so the site is taken from the
+// title the search result came with when it looks like a domain.
+function describeSource({ url, title }, index) {
+  let domain = "";
+  try {
+    domain = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    domain = "";
+  }
+  const cleanTitle = String(title || "").trim().slice(0, 200);
+  if (
+    /(^|\.)vertexaisearch\.cloud\.google\.com$/.test(domain) &&
+    /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(cleanTitle)
+  ) {
+    domain = cleanTitle.toLowerCase().replace(/^www\./, "");
+  }
+  return {
+    index,
+    url,
+    title: cleanTitle || domain || url,
+    domain
+  };
+}
+
+// Asks each configured provider in turn until one answers, sanitizing the
+// reply whichever provider wrote it. With `onToken` the reply is streamed;
+// once a provider has streamed anything a failure is thrown instead of
+// retried on the next one, which would repeat text the client already shows.
+// `sanitize: false` leaves the text as written, for replies made of the
+// user's own note.
+async function generateReply({
+  systemText,
+  messages,
+  generationConfig = {},
+  useSearchTool = false,
+  sanitize = true,
+  onToken = null,
+  signal = null
+}) {
+  if (!aiProviders.length) {
+    throw new Error("No AI provider is configured (set AI_PROVIDERS)");
+  }
+
+  const sanitizer = typeof onToken === "function" ? createReplySanitizer(onToken) : null;
+  let streamed = false;
+  let lastError;
+
+  for (const provider of aiProviders) {
+    try {
+      const result = await provider.generate({
+        systemText,
+        messages,
+        temperature: generationConfig.temperature,
+        maxOutputTokens: generationConfig.maxOutputTokens,
+        useSearchTool: useSearchTool && provider.searchable,
+        onText: sanitizer
+          ? (text) => {
+              streamed = true;
+              sanitizer.push(text);
+            }
+          : null,
+        signal
+      });
+      sanitizer?.flush();
+      return {
+        reply: sanitize ? sanitizeAiReply(result.text) : String(result.text || ""),
+        sources: result.sources,
+        provider: provider.name,
+        model: result.model
+      };
+    } catch (error) {
+      if (signal?.aborted || streamed) {
+        throw error;
+      }
+      lastError = error;
+      console.error(`AI provider ${provider.name} failed:`, error.message);
+    }
+  }
+
+  throw lastError;
+}
+
+async function runDeepSearch({
+  message,
+  history,
+  noteContext,
+  onToken = null,
+  onProgress = null,
+  signal = null
+}) {
+  const sourcePool = new Map();
+  const researchChunks = [];
+  const noteBlock = buildNoteContextBlock(noteContext);
+  const hasNoteContext = Boolean(noteContext);
+  const researchAngles = [
     "Overview and key definitions",
     "Recent updates and latest developments",
     "Data, stats, and factual numbers",
@@ -524,6 +1483,7 @@ async function runDeepSearch({ message, history, noteContext }) {
 
   for (let index = 0; index < passCount; index += 1) {
     const angle = researchAngles[index];
+    onProgress?.({ stage: "research", pass: index + 1, total: passCount, angle });
     const passPrompt =
       `Research request: ${message}\n` +
       `Research angle ${index + 1}/${passCount}: ${angle}\n\n` +
@@ -534,13 +1494,10 @@ async function runDeepSearch({ message, history, noteContext }) {
       "- Do not include URLs or source lists in your written answer.\n\n" +
       (noteBlock ? `${noteBlock}\n` : "");
 
-    const contents = mapHistoryToContents(history).slice(-4);
-    contents.push({
-      role: "user",
-      parts: [{ text: passPrompt }]
-    });
+    const messages = mapHistoryToMessages(history).slice(-4);
+    messages.push({ role: "user", text: passPrompt });
 
-    const pass = await generateWithGemini({
+    const pass = await generateReply({
       systemText:
         "You are Chimera AI in Deep Search mode. Research thoroughly, compare sources, and be concise. " +
         (hasNoteContext
@@ -549,28 +1506,38 @@ async function runDeepSearch({ message, history, noteContext }) {
           : "") +
         "Never mention model providers, vendors, or product names. " +
         "If asked about internals, say only: 'I run on Chimera's private intelligence stack.'",
-      contents,
+      messages,
       generationConfig: {
         temperature: 0.35,
         maxOutputTokens: 900
       },
-      useSearchTool: true
+      useSearchTool: true,
+      signal
     });
 
     researchChunks.push(
       `Pass ${index + 1} - ${angle}\n${pass.reply}`.slice(0, 3800)
     );
-    pass.sources.forEach((url) => sourcePool.add(url));
+    pass.sources.forEach((source) => {
+      const key = getSourceKey(source.url);
+      if (!sourcePool.get(key)?.title) {
+        sourcePool.set(key, source);
+      }
+    });
 
     if (sourcePool.size >= DEEP_SEARCH_TARGET_SOURCES) {
       break;
     }
   }
 
-  const sources = Array.from(sourcePool);
-  const sourceListForPrompt = sources
+  const sources = Array.from(sourcePool.values())
     .slice(0, 120)
-    .map((url, idx) => `${idx + 1}. ${url}`)
+    .map((source, idx) => describeSource(source, idx + 1));
+  const sourceListForPrompt = sources
+    .map((source) =>
+      `[${source.index}] ${source.title}` +
+      (source.domain && source.domain !== source.title ? ` (${source.domain})` : "")
+    )
     .join("\n");
   const finalPrompt =
     `User question: ${message}\n\n` +
@@ -582,9 +1549,14 @@ async function runDeepSearch({ message, history, noteContext }) {
     "2) Deep summary (clear sections)\n" +
     "3) Action steps\n" +
     "Use plain language and keep it practical.\n" +
-    "Important: do not include source names, source sections, or URLs in your output.";
+    (sources.length
+      ? "Cite the source pool inline: put the source number in square brackets right after the claim it supports, " +
+        "e.g. [3] or [3][7]. Only use numbers from the list above.\n"
+      : "") +
+    "Important: do not include source names, source sections, or URLs in your output; the app lists the sources.";
 
-  const finalResult = await generateWithGemini({
+  onProgress?.({ stage: "synthesis", sources: sources.length });
+  const finalResult = await generateReply({
     systemText:
       "You are Chimera AI. Friendly, clear, practical. " +
       (hasNoteContext
@@ -593,54 +1565,239 @@ async function runDeepSearch({ message, history, noteContext }) {
         : "") +
       "Never mention model providers, vendors, or product names. " +
       "If asked about internals, say only: 'I run on Chimera's private intelligence stack.'",
-    contents: [{ role: "user", parts: [{ text: finalPrompt }] }],
+    messages: [{ role: "user", text: finalPrompt }],
     generationConfig: {
       temperature: 0.4,
       maxOutputTokens: 1500
     },
-    useSearchTool: false
+    useSearchTool: false,
+    onToken,
+    signal
   });
 
   return {
-    reply: removeSourceDetails(finalResult.reply),
+    reply: normalizeCitationMarkers(
+      removeSourceDetails(finalResult.reply),
+      sources.length
+    ),
     sources
   };
 }
 
-async function callGemini({ message, history, mode, noteContext }) {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("Missing GEMINI_API_KEY in environment");
+// Passages from the user's notes that best answer `question`: chunks ranked
+// by embedding similarity or, without an embedding provider, the best chunk
+// of each note the text index ranks highest. Returned grouped by note, best
+// note first, with each note's passages in the order they appear in it.
+async function findVaultPassages(userId, question) {
+  let matches;
+  if (embeddingProvider) {
+    await catchUpNoteEmbeddings(userId);
+    const [vector] = await embeddingProvider.embed([question], { kind: "query" });
+    matches = await rankChunksByVector(userId, vector);
+  } else {
+    const terms = tokenizeSearchQuery(question);
+    const docs = await db
+      .collection("notes")
+      .find(
+        { userId, deletedAt: null, $text: { $search: question } },
+        { projection: { score: { $meta: "textScore" } } }
+      )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(VAULT_MAX_PASSAGES)
+      .toArray();
+    matches = docs.map((doc) => {
+      const chunks = chunkNoteText(doc.title, doc.content);
+      const index = Math.max(
+        0,
+        chunks.findIndex((chunk) => findSearchHighlights(chunk.text, terms).length > 0)
+      );
+      return { noteId: doc._id, chunk: index, text: chunks[index].text };
+    });
+  }
+
+  const picked = [];
+  const perNote = new Map();
+  let chars = 0;
+  for (const match of matches) {
+    if (picked.length >= VAULT_MAX_PASSAGES) {
+      break;
+    }
+    const key = match.noteId.toString();
+    if (
+      !match.text ||
+      (perNote.get(key) || 0) >= VAULT_MAX_PASSAGES_PER_NOTE ||
+      chars + match.text.length > VAULT_CONTEXT_CHARS
+    ) {
+      continue;
+    }
+    perNote.set(key, (perNote.get(key) || 0) + 1);
+    chars += match.text.length;
+    picked.push(match);
+  }
+  if (picked.length === 0) {
+    return [];
+  }
+
+  const docs = await db
+    .collection("notes")
+    .find({ userId, deletedAt: null, _id: { $in: picked.map((match) => match.noteId) } })
+    .project({ title: 1, folder: 1, lastModified: 1, localId: 1 })
+    .toArray();
+  const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+  const groups = new Map();
+  for (const match of picked) {
+    const key = match.noteId.toString();
+    if (!byId.has(key)) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { note: byId.get(key), passages: [] });
+    }
+    groups.get(key).passages.push(match);
   }
+  return Array.from(groups.values()).map(({ note, passages }) => ({
+    note,
+    passages: passages.sort((a, b) => a.chunk - b.chunk).map((passage) => passage.text)
+  }));
+}
+
+function getVaultLinkTitle(title) {
+  return String(title || "Untitled Note").replace(/[[\]|]/g, " ").trim() || "Untitled Note";
+}
+
+function buildVaultContextBlock(sources) {
+  return sources
+    .map(({ note, passages }) => {
+      const edited = new Date(Number(note.lastModified) || Date.now()).toISOString().slice(0, 10);
+      return (
+        `### [[${getVaultLinkTitle(note.title)}]]\n` +
+        `Folder: ${note.folder || "General"} · Last edited: ${edited}\n\n` +
+        passages.join("\n\n…\n\n")
+      );
+    })
+    .join("\n\n");
+}
+
+// Keeps [[links]] only to notes the answer was given, spelled as the note is
+// titled; a link to any other title would point at a note that may not exist.
+function linkVaultCitations(text, sources) {
+  const titles = new Map(
+    sources.map(({ note }) => {
+      const title = getVaultLinkTitle(note.title);
+      return [title.toLowerCase(), title];
+    })
+  );
+  return String(text || "").replace(/\[\[([^[\]\n]+?)\]\]/g, (_match, inner) => {
+    const pipe = inner.indexOf("|");
+    const target = (pipe === -1 ? inner : inner.slice(0, pipe)).trim();
+    const label = pipe === -1 ? "" : inner.slice(pipe + 1).trim();
+    const title = titles.get(target.toLowerCase());
+    if (!title) {
+      return label || target;
+    }
+    return label ? `[[${title}|${label}]]` : `[[${title}]]`;
+  });
+}
+
+// "Ask your vault": answers from the signed-in user's own notes, citing the
+// notes it used as [[links]]. Progress reports the search, then the answer.
+async function runVaultSearch({
+  message,
+  history,
+  userId,
+  onToken = null,
+  onProgress = null,
+  signal = null
+}) {
+  onProgress?.({ stage: "vault" });
+  const sources = await findVaultPassages(userId, message);
+  onProgress?.({ stage: "synthesis", notes: sources.length });
 
+  const messages = mapHistoryToMessages(history);
+  messages.push({
+    role: "user",
+    text:
+      `${message}\n\n` +
+      (sources.length
+        ? `Passages from my notes, most relevant first:\n\n${buildVaultContextBlock(sources)}`
+        : "None of my notes matched this question.")
+  });
+
+  const result = await generateReply({
+    systemText:
+      "You are Chimera AI, answering questions from the user's own notes. " +
+      "Base the answer on the note passages provided; when they do not contain the answer, say so plainly " +
+      "instead of guessing. Cite the notes you rely on as [[Note Title]] links, spelled exactly as in the " +
+      "passage headings, right after the statement they support. Use the edit dates to reason about when " +
+      `something was decided. Today is ${new Date().toISOString().slice(0, 10)}. ` +
+      "Never mention model providers, vendors, or product names. " +
+      "If asked about internals, say only: 'I run on Chimera's private intelligence stack.'",
+    messages,
+    generationConfig: {
+      temperature: 0.3,
+      maxOutputTokens: 1200
+    },
+    useSearchTool: false,
+    onToken,
+    signal
+  });
+
+  return {
+    reply: linkVaultCitations(result.reply, sources),
+    sources: [],
+    notes: sources.map(({ note }) => ({
+      id: note._id.toString(),
+      localId: note.localId || null,
+      title: note.title
+    }))
+  };
+}
+
+// `onToken`, `onProgress` and `signal` are only passed by the streaming
+// route; without them the full reply is returned at once. Vault mode needs
+// the `userId` whose notes it searches.
+async function callAi({
+  message,
+  history,
+  mode,
+  noteContext,
+  userId = null,
+  onToken = null,
+  onProgress = null,
+  signal = null
+}) {
   const normalizedMode = normalizeAiMode(mode);
   const safeNoteContext = sanitizeNoteContext(noteContext);
 
+  if (normalizedMode === "vault") {
+    return runVaultSearch({ message, history, userId, onToken, onProgress, signal });
+  }
+
   if (normalizedMode === "deep-search") {
     return runDeepSearch({
       message,
       history,
-      noteContext: safeNoteContext
+      noteContext: safeNoteContext,
+      onToken,
+      onProgress,
+      signal
     });
   }
 
   const noteBlock = buildNoteContextBlock(safeNoteContext);
-  const contents = mapHistoryToContents(history);
-  contents.push({
+  const messages = mapHistoryToMessages(history);
+  messages.push({
     role: "user",
-    parts: [
-      {
-        text:
-          `${message}\n\n` +
-          (noteBlock
-            ? "Important: The following open note context is provided directly by the app and is available to you now. " +
-              "Do not say you cannot access it.\n\n" +
-              `${noteBlock}\nUse the note context to suggest improvements when relevant.`
-            : "")
-      }
-    ]
+    text:
+      `${message}\n\n` +
+      (noteBlock
+        ? "Important: The following open note context is provided directly by the app and is available to you now. " +
+          "Do not say you cannot access it.\n\n" +
+          `${noteBlock}\nUse the note context to suggest improvements when relevant.`
+        : "")
   });
 
-  const result = await generateWithGemini({
+  const result = await generateReply({
     systemText:
       "You are Chimera AI. Friendly and practical. " +
       (safeNoteContext
@@ -649,12 +1806,14 @@ async function callGemini({ message, history, mode, noteContext }) {
         : "") +
       "Never mention model providers, vendors, or product names. " +
       "If asked about internals, say only: 'I run on Chimera's private intelligence stack.'",
-    contents,
+    messages,
     generationConfig: {
       temperature: 0.7,
       maxOutputTokens: 900
     },
-    useSearchTool: false
+    useSearchTool: false,
+    onToken,
+    signal
   });
 
   return {
@@ -663,49 +1822,364 @@ async function callGemini({ message, history, mode, noteContext }) {
   };
 }
 
-// Verify Google ID token
-async function verifyGoogleToken(idToken) {
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    throw new Error("Missing GOOGLE_CLIENT_ID in environment");
+// Editor actions, each served at POST /ai/actions/<name>. The client sends
+// the selection (or the whole note) as `text`; `placement` says whether the
+// result replaces that text or goes before or after it.
+const AI_NOTE_ACTIONS = {
+  rewrite: {
+    placement: "replace",
+    temperature: 0.6,
+    instruction:
+      "Rewrite the text so it reads clearly and naturally. Keep its meaning, language and level of detail."
+  },
+  shorten: {
+    placement: "replace",
+    temperature: 0.4,
+    instruction:
+      "Make the text noticeably shorter, about half its length, keeping every important point."
+  },
+  expand: {
+    placement: "replace",
+    temperature: 0.7,
+    instruction:
+      "Expand the text with more explanation, detail and examples while keeping its tone and structure."
+  },
+  grammar: {
+    placement: "replace",
+    temperature: 0.1,
+    instruction:
+      "Fix spelling, grammar and punctuation only. Do not reword sentences that are already correct."
+  },
+  summarize: {
+    placement: "before",
+    temperature: 0.3,
+    instruction:
+      "Summarise the text in one to three sentences as a TL;DR. Reply with the summary sentences only.",
+    format: formatTldrBlock
+  },
+  outline: {
+    placement: "before",
+    temperature: 0.3,
+    instruction:
+      "Write an outline of the text as a nested Markdown bullet list of its main points, in order. " +
+      "Reply with the list only.",
+    format: (text) => `### Outline\n\n${text}`
+  },
+  continue: {
+    placement: "after",
+    temperature: 0.8,
+    instruction:
+      "Continue writing from where the text stops, with one or two new paragraphs in the same voice, " +
+      "language and formatting. Do not repeat the existing text."
+  },
+  "action-items": {
+    placement: "after",
+    temperature: 0.2,
+    instruction:
+      "List the concrete action items and to-dos in the text as a Markdown bullet list, one task per line. " +
+      "Reply with exactly NONE if there are none.",
+    format: formatActionItems
   }
+};
 
-  const ticket = await googleClient.verifyIdToken({
-    idToken,
-    audience: process.env.GOOGLE_CLIENT_ID
-  });
+// Models sometimes wrap the whole answer in a code fence.
+function cleanActionResult(text) {
+  const trimmed = String(text || "").trim();
+  const fenced = trimmed.match(/^```[\w-]*[ \t]*\n([\s\S]*?)\n```$/);
+  return (fenced ? fenced[1] : trimmed).trim();
+}
 
-  const payload = ticket.getPayload();
+function formatTldrBlock(text) {
+  const lines = text
+    .replace(/^(?:>\s*)*(?:\*\*)?TL;?DR:?(?:\*\*)?:?\s*/i, "")
+    .split("\n")
+    .map((line) => line.replace(/^>\s?/, ""));
+  return lines
+    .map((line, index) => (index === 0 ? `> **TL;DR:** ${line}` : `> ${line}`.trimEnd()))
+    .join("\n");
+}
+
+function formatActionItems(text) {
+  const items = text
+    .split("\n")
+    .map((line) => line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/)?.[1]?.trim())
+    .filter(Boolean);
+  if (!items.length) {
+    return "";
+  }
+  return `### Action items\n\n${items.map((item) => `- [ ] ${item}`).join("\n")}`;
+}
+
+async function runNoteAction(name, { text, scope, noteContext }) {
+  const action = AI_NOTE_ACTIONS[name];
+  const noteBlock = scope === "selection" ? buildNoteContextBlock(noteContext) : "";
+  const result = await generateReply({
+    systemText:
+      "You are Chimera AI, editing a Markdown note in place. " +
+      "Reply with the resulting Markdown only: no preamble, no explanation and no code fence around it. " +
+      "Keep Markdown formatting, [[wiki links]], #tags and the text's language unless told otherwise.",
+    messages: [
+      {
+        role: "user",
+        text:
+          `${action.instruction}\n\n` +
+          (noteBlock
+            ? `The text is a selection from this note:\n${noteBlock}\n`
+            : "") +
+          `Text:\n<<<\n${text}\n>>>`
+      }
+    ],
+    generationConfig: {
+      temperature: action.temperature,
+      maxOutputTokens: name === "expand" || name === "continue" ? 1600 : 1200
+    },
+    useSearchTool: false,
+    sanitize: false
+  });
+
+  const cleaned = cleanActionResult(result.reply);
+  const empty = !cleaned || (name === "action-items" && /^none\.?$/i.test(cleaned));
+  return {
+    action: name,
+    placement: action.placement,
+    result: empty ? "" : (action.format ? action.format(cleaned) : cleaned)
+  };
+}
+
+// Verify Google ID token
+async function verifyGoogleToken(idToken) {
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    throw new Error("Missing GOOGLE_CLIENT_ID in environment");
+  }
+
+  const ticket = await googleClient.verifyIdToken({
+    idToken,
+    audience: process.env.GOOGLE_CLIENT_ID
+  });
+
+  const payload = ticket.getPayload();
 
   return {
     userId: payload.sub,
     email: payload.email,
+    emailVerified: payload.email_verified === true,
     name: payload.name,
     picture: payload.picture
   };
 }
 
+// Sessions signed out through this server. Access tokens are not looked up
+// in Mongo, so another instance keeps accepting one until it expires.
+const revokedSessionIds = new Map();
+
+function rememberRevokedSession(sessionId) {
+  const now = Date.now();
+  revokedSessionIds.forEach((until, id) => {
+    if (until <= now) {
+      revokedSessionIds.delete(id);
+    }
+  });
+  revokedSessionIds.set(sessionId, now + AUTH_ACCESS_TOKEN_TTL_SECONDS * 1000);
+}
+
+function isSessionRevoked(sessionId) {
+  return (revokedSessionIds.get(sessionId) || 0) > Date.now();
+}
+
+function getRefreshExpiry(from = new Date()) {
+  return new Date(from.getTime() + AUTH_REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// The access token carries the profile and plan, so `auth` needs neither
+// Google nor the database; /auth/refresh reads them again.
+function issueAccessToken(user, sessionId) {
+  return signToken(
+    "access",
+    {
+      sub: user.userId,
+      sid: sessionId,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      plan: normalizePlan(user.plan)
+    },
+    AUTH_TOKEN_SECRET,
+    AUTH_ACCESS_TOKEN_TTL_SECONDS
+  );
+}
+
+function issueSessionTokens(user, session) {
+  return {
+    token: issueAccessToken(user, session._id),
+    refreshToken: signToken(
+      "refresh",
+      { sub: user.userId, sid: session._id, jti: session.refreshId },
+      AUTH_TOKEN_SECRET,
+      AUTH_REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60
+    ),
+    expiresIn: AUTH_ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+async function createAuthSession(userId, req) {
+  const now = new Date();
+  const session = {
+    _id: randomUUID(),
+    userId,
+    refreshId: randomUUID(),
+    previousRefreshId: null,
+    rotatedAt: now,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: getRefreshExpiry(now),
+    revokedAt: null,
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 200)
+  };
+  await db.collection("auth_sessions").insertOne(session);
+  return session;
+}
+
+async function revokeAuthSession(sessionId) {
+  await db.collection("auth_sessions").updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  rememberRevokedSession(sessionId);
+}
+
+async function revokeUserSessions(userId) {
+  const sessions = db.collection("auth_sessions");
+  const active = await sessions
+    .find({ userId, revokedAt: null })
+    .project({ _id: 1 })
+    .toArray();
+  await sessions.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  active.forEach((session) => rememberRevokedSession(session._id));
+}
+
+/**
+ * Swaps a refresh token for the session's next one. Each refresh token is
+ * good once; presenting an older one (after the grace period) means it was
+ * copied, so the whole session is revoked. Resolves null when the token
+ * cannot be used.
+ */
+async function rotateAuthSession(claims) {
+  const sessions = db.collection("auth_sessions");
+  const now = new Date();
+  const session = await sessions.findOne({ _id: claims.sid, userId: claims.sub });
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    return null;
+  }
+
+  const isCurrent = claims.jti === session.refreshId;
+  const isJustRotated =
+    claims.jti === session.previousRefreshId &&
+    now - session.rotatedAt < AUTH_REFRESH_GRACE_MS;
+  if (!isCurrent && !isJustRotated) {
+    await revokeAuthSession(session._id);
+    return null;
+  }
+
+  return sessions.findOneAndUpdate(
+    { _id: session._id, refreshId: session.refreshId },
+    {
+      $set: {
+        refreshId: randomUUID(),
+        previousRefreshId: session.refreshId,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: getRefreshExpiry(now)
+      }
+    },
+    { returnDocument: "after" }
+  );
+}
+
 // Middleware: require auth
-async function auth(req, res, next) {
+function auth(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
   if (!token) return res.status(401).json({ error: "Missing token" });
 
-  try {
-    const user = await verifyGoogleToken(token);
-    let plan = "free";
-    if (db) {
-      const account = await db.collection("users").findOne(
-        { userId: user.userId },
-        { projection: { plan: 1 } }
-      );
-      plan = normalizePlan(account?.plan);
-    }
-    req.user = { ...user, plan };
-    next();
-  } catch (err) {
+  const claims = verifyToken("access", token, AUTH_TOKEN_SECRET);
+  if (!claims || isSessionRevoked(claims.sid)) {
     return res.status(401).json({ error: "Invalid token" });
   }
+
+  req.user = {
+    userId: claims.sub,
+    email: claims.email,
+    name: claims.name,
+    picture: claims.picture,
+    plan: normalizePlan(claims.plan),
+    sessionId: claims.sid
+  };
+  next();
+}
+
+function hasWorkspaceRole(role, minRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+}
+
+// Middleware (after auth): the notes a request works on. With no
+// X-Workspace-Id header or `workspace` query that is the caller's own space;
+// otherwise the caller must be a member of that workspace with at least
+// `minRole`. Limits then follow the plan of the workspace owner.
+function authorizeSpace(minRole = "viewer") {
+  return async (req, res, next) => {
+    const requested = String(req.headers["x-workspace-id"] || req.query.workspace || "").trim();
+    if (!requested) {
+      req.space = {
+        id: req.user.userId,
+        workspaceId: null,
+        role: "owner",
+        ownerId: req.user.userId,
+        plan: req.user.plan
+      };
+      return next();
+    }
+
+    const workspaceId = parseNoteObjectId(requested);
+    if (!workspaceId) {
+      return res.status(400).json({ error: "Invalid workspace id" });
+    }
+
+    try {
+      const workspace = await db
+        .collection("workspaces")
+        .findOne({ _id: workspaceId, "members.userId": req.user.userId });
+      if (!workspace) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+
+      const role = workspace.members.find((member) => member.userId === req.user.userId).role;
+      if (!hasWorkspaceRole(role, minRole)) {
+        return res.status(403).json({
+          error: `This needs ${minRole} access to the workspace.`,
+          errorCode: "WORKSPACE_FORBIDDEN"
+        });
+      }
+
+      const owner =
+        workspace.ownerId === req.user.userId
+          ? req.user
+          : await db
+              .collection("users")
+              .findOne({ userId: workspace.ownerId }, { projection: { plan: 1 } });
+      req.space = {
+        id: getWorkspaceSpaceId(workspace._id),
+        workspaceId: String(workspace._id),
+        role,
+        ownerId: workspace.ownerId,
+        plan: normalizePlan(owner?.plan)
+      };
+      next();
+    } catch (err) {
+      console.error("Workspace lookup failed:", err.message);
+      res.status(500).json({ error: "Failed to open workspace" });
+    }
+  };
 }
 
 app.get("/health", (req, res) => {
@@ -713,30 +2187,98 @@ app.get("/health", (req, res) => {
     ok: true,
     db: Boolean(db),
     dbError: mongoLastError,
+    aiProviders: aiProviders.map((provider) => provider.name),
+    embeddings: embeddingProvider ? getEmbeddingModelKey() : null,
     timestamp: new Date().toISOString()
   });
 });
 
-// Login route
-app.post("/auth/google", ensureDb, async (req, res) => {
-  const { credential } = req.body;
+const ACCOUNT_PROJECTION = {
+  _id: 0,
+  userId: 1,
+  email: 1,
+  name: 1,
+  picture: 1,
+  plan: 1,
+  emailVerified: 1,
+  passwordHash: 1
+};
 
-  if (!credential) {
-    return res.status(400).json({ error: "Missing credential" });
-  }
+function normalizeEmail(value) {
+  const email = String(value || "").trim().toLowerCase();
+  return email.length <= 254 && EMAIL_PATTERN.test(email) ? email : "";
+}
 
-  try {
-    const user = await verifyGoogleToken(credential);
-    const nowIso = new Date().toISOString();
+// What a sign-in or refresh sends back: the profile, a session's tokens
+// and the plan. Password hashes never leave the server.
+function buildSessionReply(account, session) {
+  const plan = normalizePlan(account.plan);
+  const user = {
+    userId: account.userId,
+    email: account.email,
+    name: account.name,
+    picture: account.picture,
+    plan
+  };
+  return {
+    user,
+    ...issueSessionTokens(user, session),
+    plan,
+    limits: getPlanLimits(plan),
+    supportEmail: PRO_SUPPORT_EMAIL
+  };
+}
 
-    // Optional: create user doc if not exists
-    await db.collection("users").updateOne(
-      { userId: user.userId },
+async function signIn(req, res, account) {
+  await db.collection("users").updateOne(
+    { userId: account.userId },
+    { $set: { lastLoginAt: new Date().toISOString() } }
+  );
+  const session = await createAuthSession(account.userId, req);
+  res.json(buildSessionReply(account, session));
+}
+
+/**
+ * The account a Google sign-in belongs to. Accounts are matched by Google
+ * subject first, then by the user id older Google accounts were created
+ * with, then by a verified email, which links a local account to Google.
+ * An address Google has not verified is never saved: whoever proves they
+ * own it later would be matched to this account.
+ *
+ * Emails are unique. When the write collides, a concurrent sign-in has
+ * just created the account, so matching runs once more; a collision after
+ * that saves this account without the address.
+ */
+async function resolveGoogleAccount(profile, retried = false) {
+  const users = db.collection("users");
+  const email = normalizeEmail(profile.email);
+  const existing =
+    (await users.findOne({ googleSub: profile.userId })) ||
+    (await users.findOne({ userId: profile.userId })) ||
+    (email && profile.emailVerified ? await users.findOne({ email }) : null);
+
+  const nowIso = new Date().toISOString();
+  const update = {
+    googleSub: profile.userId,
+    name: profile.name || existing?.name,
+    picture: profile.picture
+  };
+  if (email && profile.emailVerified) {
+    update.email = email;
+    update.emailVerified = true;
+    // Whoever set a password on an address they never confirmed may not
+    // own it; Google has just proven who does.
+    if (existing && !existing.emailVerified) {
+      update.passwordHash = null;
+    }
+  }
+
+  const userId = existing?.userId || profile.userId;
+  const save = (fields) =>
+    users.updateOne(
+      { userId },
       {
-        $set: {
-          ...user,
-          lastLoginAt: nowIso
-        },
+        $set: fields,
         $setOnInsert: {
           createdAt: nowIso,
           plan: "free"
@@ -744,23 +2286,381 @@ app.post("/auth/google", ensureDb, async (req, res) => {
       },
       { upsert: true }
     );
+  try {
+    await save(update);
+  } catch (error) {
+    if (error?.code !== 11000) {
+      throw error;
+    }
+    if (!retried) {
+      return resolveGoogleAccount(profile, true);
+    }
+    delete update.email;
+    delete update.emailVerified;
+    await save(update);
+  }
+  return users.findOne({ userId }, { projection: ACCOUNT_PROJECTION });
+}
+
+// Login route
+app.post("/auth/google", ensureDb, async (req, res) => {
+  const { credential } = req.body;
+
+  if (!credential) {
+    return res.status(400).json({ error: "Missing credential" });
+  }
+
+  let profile;
+  try {
+    profile = await verifyGoogleToken(credential);
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid credential" });
+  }
+
+  try {
+    await signIn(req, res, await resolveGoogleAccount(profile));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to sign in" });
+  }
+});
+
+// Trade a refresh token for a new access token and the next refresh token.
+app.post("/auth/refresh", ensureDb, async (req, res) => {
+  const claims = verifyToken("refresh", req.body?.refreshToken, AUTH_TOKEN_SECRET);
+  if (!claims) {
+    return res.status(401).json({ error: "Invalid refresh token" });
+  }
+
+  try {
+    const session = await rotateAuthSession(claims);
+    if (!session) {
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    const account = await db.collection("users").findOne(
+      { userId: session.userId },
+      { projection: ACCOUNT_PROJECTION }
+    );
+    if (!account) {
+      await revokeAuthSession(session._id);
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    res.json(buildSessionReply(account, session));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+// Ends the session behind a refresh token; its access tokens stop working
+// here at once and everywhere else when they expire.
+app.post("/auth/logout", ensureDb, async (req, res) => {
+  const claims = verifyToken("refresh", req.body?.refreshToken, AUTH_TOKEN_SECRET);
+  if (!claims) {
+    return res.json({ ok: true });
+  }
+
+  try {
+    await revokeAuthSession(claims.sid);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to sign out" });
+  }
+});
+
+// Local accounts sign in with an email and password. Verification, sign-in
+// and password-reset links go out by email; a reset link also adds a
+// password to an account that was created through Google.
+const MAGIC_LINK_PURPOSES = {
+  verify: { subject: "Confirm your Chimera email", action: "confirm your email and sign in" },
+  signin: { subject: "Your Chimera sign-in link", action: "sign in" },
+  reset: { subject: "Reset your Chimera password", action: "choose a new password" },
+  // Sent instead of a verify link when someone registers an address that
+  // already has an account, so the reply to /auth/register stays the same.
+  existing: {
+    subject: "You already have a Chimera account",
+    intro:
+      "Someone, probably you, tried to create a Chimera account with this email address, " +
+      "but it already has one. Nothing was changed.",
+    action: "sign in to it, or ask for a password reset from the sign-in screen"
+  }
+};
+
+const loginFailures = new Map();
+
+function isLoginLocked(email) {
+  const entry = loginFailures.get(email);
+  return Boolean(entry && entry.count >= LOGIN_MAX_FAILURES && entry.until > Date.now());
+}
+
+function recordLoginFailure(email) {
+  const now = Date.now();
+  loginFailures.forEach((entry, key) => {
+    if (entry.until <= now) {
+      loginFailures.delete(key);
+    }
+  });
+  const count = (loginFailures.get(email)?.count || 0) + 1;
+  loginFailures.set(email, { count, until: now + LOGIN_LOCKOUT_MS });
+}
+
+// Links in emails have to point at the real app, so a request's Origin is
+// only used when CORS lists it, or while mail stays on this machine.
+function getAppBaseUrl(req) {
+  if (APP_BASE_URL) {
+    return APP_BASE_URL;
+  }
+  const origin = String(req.headers.origin || "");
+  if (/^https?:\/\//.test(origin) && (mailer.local || corsOrigins.includes(origin))) {
+    return origin;
+  }
+  return null;
+}
+
+function hashLinkToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Emails a one-time link for `purpose` to the account's address; only a
+ * hash of its token is stored. Resolves false without sending when a link
+ * of the same kind went out in the last minute.
+ */
+async function sendMagicLink(baseUrl, account, purpose) {
+  const links = db.collection("auth_links");
+  const now = new Date();
+  const recent = await links.findOne({
+    userId: account.userId,
+    purpose,
+    createdAt: { $gt: new Date(now.getTime() - MAGIC_LINK_RESEND_MS) }
+  });
+  if (recent) {
+    return false;
+  }
+
+  const token = randomBytes(32).toString("base64url");
+  await links.insertOne({
+    _id: hashLinkToken(token),
+    userId: account.userId,
+    email: account.email,
+    purpose,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+    usedAt: null
+  });
+
+  // In the fragment, so the token stays out of server logs and referrers.
+  const url = new URL(baseUrl);
+  url.hash = `magic=${token}`;
+  const { subject, intro, action } = MAGIC_LINK_PURPOSES[purpose];
+  await mailer.send({
+    to: account.email,
+    subject,
+    text: [
+      ...(intro ? [intro, ""] : []),
+      `Open this link to ${action}:`,
+      "",
+      url.toString(),
+      "",
+      `It works once and expires in ${MAGIC_LINK_TTL_MINUTES} minutes. ` +
+        "If you did not ask for it, you can ignore this email."
+    ].join("\n")
+  });
+  return true;
+}
+
+app.post("/auth/register", ensureDb, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const name = String(req.body?.name || "").trim().slice(0, ACCOUNT_NAME_MAX);
+  const password = String(req.body?.password || "");
 
+  if (!email) {
+    return res.status(400).json({ error: "Enter a valid email address." });
+  }
+  const problem = checkPassword(password);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const baseUrl = getAppBaseUrl(req);
+  if (!baseUrl) {
+    return res.status(503).json({ error: "Email sign-in is not configured on the server yet." });
+  }
+
+  // The reply is the same whether or not the address already has an
+  // account; only the email that follows differs. The password is hashed
+  // either way so the timing does not tell them apart.
+  const reply = {
+    ok: true,
+    message: `We sent a link to ${email}. Open it to finish creating your account.`
+  };
+  try {
+    const users = db.collection("users");
+    const account = {
+      userId: randomUUID(),
+      email,
+      name: name || email.split("@")[0],
+      picture: "",
+      emailVerified: false,
+      passwordHash: await hashPassword(password),
+      plan: "free",
+      createdAt: new Date().toISOString()
+    };
+    const existing = await users.findOne({ email }, { projection: ACCOUNT_PROJECTION });
+    if (existing) {
+      await sendMagicLink(baseUrl, existing, "existing");
+      return res.status(201).json(reply);
+    }
+
+    try {
+      await users.insertOne(account);
+    } catch (error) {
+      // Registered a moment ago by a concurrent request.
+      if (error?.code !== 11000) {
+        throw error;
+      }
+      const winner = await users.findOne({ email }, { projection: ACCOUNT_PROJECTION });
+      if (winner) {
+        await sendMagicLink(baseUrl, winner, "existing");
+      }
+      return res.status(201).json(reply);
+    }
+    await sendMagicLink(baseUrl, account, "verify");
+    res.status(201).json(reply);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create account" });
+  }
+});
+
+app.post("/auth/login", ensureDb, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const password = String(req.body?.password || "");
+
+  if (!email || !password) {
+    return res.status(400).json({ error: "Enter your email and password." });
+  }
+  if (isLoginLocked(email)) {
+    return res.status(429).json({
+      error: "Too many attempts. Try again in a few minutes, or sign in with an email link."
+    });
+  }
+
+  try {
     const account = await db.collection("users").findOne(
-      { userId: user.userId },
-      { projection: { plan: 1 } }
+      { email },
+      { projection: ACCOUNT_PROJECTION }
     );
-    const plan = normalizePlan(account?.plan);
-    const limits = getPlanLimits(plan);
+    if (!account?.passwordHash || !(await verifyPassword(password, account.passwordHash))) {
+      recordLoginFailure(email);
+      return res.status(401).json({ error: "Wrong email or password." });
+    }
+    loginFailures.delete(email);
+
+    if (!account.emailVerified) {
+      const baseUrl = getAppBaseUrl(req);
+      if (baseUrl) {
+        await sendMagicLink(baseUrl, account, "verify");
+      }
+      return res.status(403).json({
+        error: `Confirm your email first: open the link we sent to ${email}.`,
+        errorCode: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    await signIn(req, res, account);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to sign in" });
+  }
+});
+
+// Always answers the same way, so it cannot be used to find out which
+// addresses have accounts.
+app.post("/auth/magic-link", ensureDb, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const purpose = req.body?.purpose === "reset" ? "reset" : "signin";
+
+  if (!email) {
+    return res.status(400).json({ error: "Enter a valid email address." });
+  }
+  const baseUrl = getAppBaseUrl(req);
+  if (!baseUrl) {
+    return res.status(503).json({ error: "Email sign-in is not configured on the server yet." });
+  }
 
+  try {
+    const account = await db.collection("users").findOne(
+      { email },
+      { projection: ACCOUNT_PROJECTION }
+    );
+    if (account) {
+      await sendMagicLink(baseUrl, account, purpose);
+    }
     res.json({
-      user: { ...user, plan },
-      token: credential,
-      plan,
-      limits,
-      supportEmail: PRO_SUPPORT_EMAIL
+      ok: true,
+      message: `If ${email} has a Chimera account, a link is on its way.`
     });
   } catch (err) {
-    res.status(401).json({ error: "Invalid credential" });
+    res.status(500).json({ error: "Failed to send the email" });
+  }
+});
+
+// Opens a link from an email and signs its account in. Reset links need
+// the new password too; without one the link is left unused and the
+// reply asks for it.
+app.post("/auth/magic-link/redeem", ensureDb, async (req, res) => {
+  const token = String(req.body?.token || "");
+  const password = String(req.body?.password || "");
+  const invalidLink = {
+    error: "This link has expired or was already used. Ask for a new one.",
+    errorCode: "LINK_INVALID"
+  };
+
+  if (!token) {
+    return res.status(400).json({ error: "Missing link token" });
+  }
+
+  try {
+    const links = db.collection("auth_links");
+    const id = hashLinkToken(token);
+    const link = await links.findOne({ _id: id });
+    if (!link || link.usedAt || link.expiresAt <= new Date()) {
+      return res.status(400).json(invalidLink);
+    }
+
+    const update = { emailVerified: true };
+    if (link.purpose === "reset") {
+      if (!password) {
+        return res.status(400).json({
+          error: "Choose a new password.",
+          errorCode: "PASSWORD_REQUIRED"
+        });
+      }
+      const problem = checkPassword(password);
+      if (problem) {
+        return res.status(400).json({ error: problem, errorCode: "PASSWORD_REQUIRED" });
+      }
+      update.passwordHash = await hashPassword(password);
+    }
+
+    const claimed = await links.findOneAndUpdate(
+      { _id: id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    const users = db.collection("users");
+    const account = claimed
+      ? await users.findOne({ userId: link.userId }, { projection: ACCOUNT_PROJECTION })
+      : null;
+    if (!account || account.email !== link.email) {
+      return res.status(400).json(invalidLink);
+    }
+
+    await users.updateOne({ userId: account.userId }, { $set: update });
+    if (update.passwordHash) {
+      // Whoever knew the old password is signed out everywhere.
+      await revokeUserSessions(account.userId);
+    }
+    await signIn(req, res, account);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to open the link" });
   }
 });
 
@@ -810,199 +2710,2159 @@ app.post("/billing/upgrade", ensureDb, auth, async (req, res) => {
     { upsert: true }
   );
 
+  // The plan travels in the access token, so hand back one that says pro.
   res.json({
     ok: true,
     plan: "pro",
+    token: issueAccessToken({ ...req.user, plan: "pro" }, req.user.sessionId),
     limits: getPlanLimits("pro"),
     supportEmail: PRO_SUPPORT_EMAIL
   });
 });
 
-// Get notes
-app.get("/notes", ensureDb, auth, async (req, res) => {
-  const notes = await db
+// Get notes, optionally only those carrying every `tag`
+app.get("/notes", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const filter = { userId: req.space.id, deletedAt: null };
+    const tags = parseTagFilter(req.query.tag);
+    if (tags.length > 0) {
+      filter.$and = buildTagQuery(tags);
+    }
+
+    const notes = await db
+      .collection("notes")
+      .find(filter)
+      .sort({ lastModified: -1, updatedAt: -1 })
+      .toArray();
+
+    res.json(notes.map(serializeNoteDoc));
+  } catch (err) {
+    console.error("Note listing failed:", err.message);
+    res.status(500).json({ error: "Failed to load notes" });
+  }
+});
+
+// Tags across active notes with how many notes use each
+app.get("/tags", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const tags = await db
+      .collection("notes")
+      .aggregate([
+        { $match: { userId: req.space.id, deletedAt: null } },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ])
+      .toArray();
+
+    res.json({ tags: tags.map((entry) => ({ tag: entry._id, count: entry.count })) });
+  } catch (err) {
+    console.error("Tag listing failed:", err.message);
+    res.status(500).json({ error: "Failed to list tags" });
+  }
+});
+
+// Get trashed notes, most recently deleted first
+app.get("/notes/trash", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const notes = await db
+      .collection("notes")
+      .find({ userId: req.space.id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .toArray();
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      notes: notes.map((doc) => ({
+        ...serializeNoteDoc(doc),
+        purgeAt: getTrashPurgeAt(doc.deletedAt)
+      }))
+    });
+  } catch (err) {
+    console.error("Trash listing failed:", err.message);
+    res.status(500).json({ error: "Failed to load trash" });
+  }
+});
+
+// Full-text search over active notes, best matches first. `mode=semantic`
+// ranks notes by how close their meaning is to the query instead.
+app.get("/notes/search", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  const query = String(req.query.q || "")
+    .trim()
+    .slice(0, SEARCH_MAX_QUERY_LENGTH);
+  const terms = tokenizeSearchQuery(query);
+  if (terms.length === 0) {
+    return res.status(400).json({ error: "Search query is required." });
+  }
+
+  const semantic = req.query.mode === "semantic";
+  if (semantic && !embeddingProvider) {
+    return res.status(503).json({
+      error: "Semantic search needs an embedding provider (set EMBEDDING_PROVIDER)."
+    });
+  }
+
+  const filter = semantic
+    ? {}
+    : {
+        userId: req.space.id,
+        deletedAt: null,
+        $text: { $search: query }
+      };
+  const folder = String(req.query.folder || "").trim();
+  if (folder) {
+    filter.folder = folder;
+  }
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  if (Number.isFinite(from) && from > 0) {
+    filter.lastModified = { $gte: from };
+  }
+  if (Number.isFinite(to) && to > 0) {
+    filter.lastModified = { ...filter.lastModified, $lte: to };
+  }
+  const limit = Math.min(
+    SEARCH_MAX_RESULTS,
+    Math.max(1, Number(req.query.limit) || SEARCH_MAX_RESULTS)
+  );
+
+  if (semantic) {
+    try {
+      const pending = await catchUpNoteEmbeddings(req.space.id);
+      const [vector] = await embeddingProvider.embed([query], { kind: "query" });
+      const ranked = await rankNotesByVector(req.space.id, vector);
+      return res.json({
+        query,
+        mode: "semantic",
+        pending,
+        results: await loadRankedNotes(req.space.id, ranked, filter, limit, terms)
+      });
+    } catch (err) {
+      console.error("Semantic search failed:", err.message);
+      return res.status(503).json({ error: "Semantic search is unavailable right now." });
+    }
+  }
+
+  try {
+    const docs = await db
+      .collection("notes")
+      .find(filter, { projection: { score: { $meta: "textScore" } } })
+      .sort({ score: { $meta: "textScore" }, lastModified: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({
+      query,
+      results: docs.map((doc) => {
+        const note = serializeNoteDoc(doc);
+        return {
+          id: note.id,
+          localId: note.localId,
+          title: note.title,
+          folder: note.folder,
+          lastModified: note.lastModified,
+          score: Number(doc.score) || 0,
+          titleHighlights: findSearchHighlights(note.title, terms),
+          snippet: buildSearchSnippet(note.content, terms)
+        };
+      })
+    });
+  } catch (err) {
+    console.error("Search failed:", err.message);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+// Permanently delete everything in the trash
+app.delete("/notes/trash", ensureDb, auth, authorizeSpace("editor"), async (req, res) => {
+  try {
+    const purged = await hardDeleteNotes({
+      userId: req.space.id,
+      deletedAt: { $ne: null }
+    });
+
+    res.json({ ok: true, purged });
+  } catch (err) {
+    console.error("Emptying trash failed:", err.message);
+    res.status(500).json({ error: "Failed to empty trash" });
+  }
+});
+
+// Delta feed: every note (including trashed ones) and every hard delete
+// written after the cursor, oldest first
+app.get("/sync", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const since = Math.max(0, Number(req.query.since) || 0);
+    // Changes numbered at or above a write that has not landed yet wait for
+    // it, so the cursor never passes a change the client has not seen.
+    const settled = syncSequencer.settledThrough(req.space.id);
+    const filter = {
+      userId: req.space.id,
+      syncSeq: settled === null ? { $gt: since } : { $gt: since, $lte: settled }
+    };
+
+    const [notes, tombstones] = await Promise.all([
+      db
+        .collection("notes")
+        .find(filter)
+        .sort({ syncSeq: 1 })
+        .limit(SYNC_PAGE_SIZE + 1)
+        .toArray(),
+      db
+        .collection("note_tombstones")
+        .find(filter)
+        .sort({ syncSeq: 1 })
+        .limit(SYNC_PAGE_SIZE + 1)
+        .toArray()
+    ]);
+
+    const changes = [
+      ...notes.map((doc) => ({ kind: "note", doc })),
+      ...tombstones.map((doc) => ({ kind: "deleted", doc }))
+    ]
+      .sort((a, b) => a.doc.syncSeq - b.doc.syncSeq)
+      .slice(0, SYNC_PAGE_SIZE + 1);
+    const hasMore = changes.length > SYNC_PAGE_SIZE;
+    const page = changes.slice(0, SYNC_PAGE_SIZE);
+
+    res.json({
+      cursor: page.length > 0 ? page[page.length - 1].doc.syncSeq : since,
+      hasMore,
+      trashRetentionDays: TRASH_RETENTION_DAYS,
+      notes: page
+        .filter((change) => change.kind === "note")
+        .map((change) => serializeNoteDoc(change.doc)),
+      deleted: page
+        .filter((change) => change.kind === "deleted")
+        .map((change) => ({
+          id: change.doc.noteId.toString(),
+          localId: change.doc.localId || null
+        }))
+    });
+  } catch (err) {
+    console.error("Sync failed:", err.message);
+    res.status(500).json({ error: "Failed to load changes" });
+  }
+});
+
+// Save note
+app.post("/notes", ensureDb, auth, authorizeSpace("editor"), async (req, res) => {
+  try {
+    const { id } = req.body;
+    const note = normalizeNoteDoc(req.body, req.space.id);
+    const plan = normalizePlan(req.space.plan);
+    const limits = getPlanLimits(plan);
+
+    const charViolation = findCharLimitViolation(plan, note);
+    if (charViolation) {
+      return res.status(403).json(withSpacePlan(req.space, charViolation));
+    }
+
+    const existingById =
+      id && ObjectId.isValid(id)
+        ? await db.collection("notes").findOne({
+            _id: new ObjectId(id),
+            userId: req.space.id
+          })
+        : null;
+
+    const existingByLocalId =
+      !existingById && note.localId
+        ? await db.collection("notes").findOne({
+            userId: req.space.id,
+            localId: note.localId
+          })
+        : null;
+
+    const existingTarget = existingById || existingByLocalId;
+
+    if (id) {
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid note id" });
+      }
+      if (!existingTarget) {
+        return res.status(404).json({ error: "Note not found" });
+      }
+    }
+
+    // Callers that send baseRevision get a conditional write: if the stored
+    // note moved on since they last synced, they must merge first.
+    const hasBaseRevision =
+      req.body?.baseRevision !== undefined && req.body?.baseRevision !== null;
+    const baseRevision = Number(req.body?.baseRevision) || 0;
+    if (
+      existingTarget &&
+      hasBaseRevision &&
+      baseRevision !== (Number(existingTarget.revision) || 0)
+    ) {
+      return res.status(409).json(makeConflictResponse(existingTarget));
+    }
+
+    const latestRevision = existingTarget?._id
+      ? await findLatestRevision(req.space.id, existingTarget._id)
+      : null;
+    const storageViolation = await findStorageLimitViolation({
+      userId: req.space.ownerId,
+      plan,
+      note,
+      existingTarget,
+      recordsRevision: !isSameRevisionContent(latestRevision, note)
+    });
+    if (storageViolation) {
+      return res.status(403).json(withSpacePlan(req.space, storageViolation));
+    }
+
+    if (existingTarget?._id) {
+      // Editing a trashed note (e.g. from a device that missed the delete)
+      // brings it back out of the trash.
+      const updated = await syncSequencer.stamp(req.space.id, (syncSeq) =>
+        db.collection("notes").findOneAndUpdate(
+          {
+            _id: existingTarget._id,
+            userId: req.space.id,
+            ...(hasBaseRevision ? revisionFilter(existingTarget.revision) : {})
+          },
+          {
+            $set: { ...note, syncSeq },
+            $unset: { deletedAt: "" },
+            $inc: { revision: 1 }
+          },
+          { returnDocument: "after" }
+        )
+      );
+      if (!updated) {
+        const current = await db.collection("notes").findOne({
+          _id: existingTarget._id,
+          userId: req.space.id
+        });
+        return res.status(409).json(makeConflictResponse(current || existingTarget));
+      }
+      await recordNoteRevision(req.space.id, existingTarget._id, note);
+      scheduleNoteEmbedding(req.space.id, existingTarget._id);
+      return res.json(
+        withSpacePlan(req.space, {
+          ok: true,
+          id: existingTarget._id.toString(),
+          revision: Number(updated.revision) || 0,
+          syncSeq: Number(updated.syncSeq) || 0,
+          plan,
+          limits
+        })
+      );
+    }
+
+    const inserted = {
+      ...note,
+      revision: 1
+    };
+    let result;
+    try {
+      result = await syncSequencer.stamp(req.space.id, (syncSeq) => {
+        inserted.syncSeq = syncSeq;
+        return db.collection("notes").insertOne(inserted);
+      });
+    } catch (error) {
+      // Another tab created the same localId first.
+      if (error?.code === 11000 && note.localId) {
+        const current = await db.collection("notes").findOne({
+          userId: req.space.id,
+          localId: note.localId
+        });
+        if (current) {
+          return res.status(409).json(makeConflictResponse(current));
+        }
+      }
+      throw error;
+    }
+    await recordNoteRevision(req.space.id, result.insertedId, note);
+    scheduleNoteEmbedding(req.space.id, result.insertedId);
+    res.json(
+      withSpacePlan(req.space, {
+        ok: true,
+        id: result.insertedId.toString(),
+        revision: inserted.revision,
+        syncSeq: inserted.syncSeq,
+        plan,
+        limits
+      })
+    );
+  } catch (err) {
+    console.error("Note save failed:", err.message);
+    res.status(500).json({ error: "Failed to save note" });
+  }
+});
+
+// Notes closest in meaning to this one, best first
+app.get("/notes/:id/related", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  const noteId = parseNoteObjectId(req.params.id);
+  if (!noteId) {
+    return res.status(400).json({ error: "Invalid note id" });
+  }
+  if (!embeddingProvider) {
+    return res.status(503).json({
+      error: "Related notes need an embedding provider (set EMBEDDING_PROVIDER)."
+    });
+  }
+  const limit = Math.min(
+    RELATED_NOTES_MAX,
+    Math.max(1, Number(req.query.limit) || RELATED_NOTES_DEFAULT)
+  );
+
+  try {
+    const note = await db
+      .collection("notes")
+      .findOne({ _id: noteId, userId: req.space.id, deletedAt: null });
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    await embedNote(req.space.id, note);
+    const pending = await catchUpNoteEmbeddings(req.space.id);
+    const own = await db
+      .collection("note_embeddings")
+      .find({ userId: req.space.id, noteId, model: getEmbeddingModelKey() })
+      .project({ vector: 1 })
+      .toArray();
+    const ranked = await rankNotesByVector(
+      req.space.id,
+      averageVectors(own.map((chunk) => chunk.vector)),
+      noteId
+    );
+
+    res.json({
+      id: noteId.toString(),
+      pending,
+      results: await loadRankedNotes(req.space.id, ranked, {}, limit)
+    });
+  } catch (err) {
+    console.error("Related notes failed:", err.message);
+    res.status(503).json({ error: "Could not find related notes right now." });
+  }
+});
+
+// List revisions of a note, newest first
+app.get("/notes/:id/revisions", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const noteId = parseNoteObjectId(req.params.id);
+    if (!noteId) {
+      return res.status(400).json({ error: "Invalid note id" });
+    }
+
+    const note = await db.collection("notes").findOne(
+      { _id: noteId, userId: req.space.id },
+      { projection: { _id: 1 } }
+    );
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const revisions = await db
+      .collection("note_revisions")
+      .find({ userId: req.space.id, noteId })
+      .sort({ rev: -1 })
+      .toArray();
+
+    res.json(revisions.map((doc) => serializeRevisionDoc(doc)));
+  } catch (err) {
+    console.error("Revision listing failed:", err.message);
+    res.status(500).json({ error: "Failed to list revisions" });
+  }
+});
+
+// Get a single revision with its content
+app.get("/notes/:id/revisions/:rev", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  try {
+    const noteId = parseNoteObjectId(req.params.id);
+    const rev = Number(req.params.rev);
+    if (!noteId) {
+      return res.status(400).json({ error: "Invalid note id" });
+    }
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: "Invalid revision" });
+    }
+
+    const revision = await db.collection("note_revisions").findOne({
+      userId: req.space.id,
+      noteId,
+      rev
+    });
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json(serializeRevisionDoc(revision, { includeContent: true }));
+  } catch (err) {
+    console.error("Revision lookup failed:", err.message);
+    res.status(500).json({ error: "Failed to load revision" });
+  }
+});
+
+// Restore a note from the trash, or to an earlier revision when `rev` is set
+app.post("/notes/:id/restore", ensureDb, auth, authorizeSpace("editor"), async (req, res) => {
+  try {
+    const noteId = parseNoteObjectId(req.params.id);
+    const hasRev = req.body?.rev !== undefined && req.body?.rev !== null;
+    const rev = Number(req.body?.rev);
+    const plan = normalizePlan(req.space.plan);
+    const limits = getPlanLimits(plan);
+    if (!noteId) {
+      return res.status(400).json({ error: "Invalid note id" });
+    }
+    if (hasRev && (!Number.isInteger(rev) || rev < 1)) {
+      return res.status(400).json({ error: "Invalid revision" });
+    }
+
+    const existingTarget = await db.collection("notes").findOne({
+      _id: noteId,
+      userId: req.space.id
+    });
+    if (!existingTarget) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    if (!hasRev) {
+      if (!existingTarget.deletedAt) {
+        return res.json(
+          withSpacePlan(req.space, {
+            ok: true,
+            note: serializeNoteDoc(existingTarget),
+            plan,
+            limits
+          })
+        );
+      }
+
+      const violation = await findStorageLimitViolation({
+        userId: req.space.ownerId,
+        plan,
+        note: existingTarget,
+        existingTarget,
+        recordsRevision: false
+      });
+      if (violation) {
+        return res.status(403).json(withSpacePlan(req.space, violation));
+      }
+
+      const restored = await syncSequencer.stamp(req.space.id, (syncSeq) =>
+        db.collection("notes").findOneAndUpdate(
+          { _id: noteId, userId: req.space.id },
+          {
+            $set: { syncSeq },
+            $unset: { deletedAt: "" },
+            $inc: { revision: 1 }
+          },
+          { returnDocument: "after" }
+        )
+      );
+      return res.json(
+        withSpacePlan(req.space, {
+          ok: true,
+          note: serializeNoteDoc(restored || { ...existingTarget, deletedAt: null }),
+          plan,
+          limits
+        })
+      );
+    }
+
+    const revision = await db.collection("note_revisions").findOne({
+      userId: req.space.id,
+      noteId,
+      rev
+    });
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const now = Date.now();
+    const note = normalizeNoteDoc(
+      {
+        ...existingTarget,
+        title: revision.title,
+        content: revision.content,
+        folder: revision.folder,
+        links: revision.links,
+        lastModified: now,
+        updatedAt: new Date(now).toISOString()
+      },
+      req.space.id
+    );
+
+    const violation =
+      findCharLimitViolation(plan, note) ||
+      (await findStorageLimitViolation({
+        userId: req.space.ownerId,
+        plan,
+        note,
+        existingTarget
+      }));
+    if (violation) {
+      return res.status(403).json(withSpacePlan(req.space, violation));
+    }
+
+    const restored = await syncSequencer.stamp(req.space.id, (syncSeq) =>
+      db.collection("notes").findOneAndUpdate(
+        { _id: noteId, userId: req.space.id },
+        {
+          $set: { ...note, syncSeq },
+          $inc: { revision: 1 }
+        },
+        { returnDocument: "after" }
+      )
+    );
+    await recordNoteRevision(req.space.id, noteId, note, "restore");
+    scheduleNoteEmbedding(req.space.id, noteId);
+
+    res.json(
+      withSpacePlan(req.space, {
+        ok: true,
+        restoredFrom: rev,
+        note: serializeNoteDoc(restored || { ...existingTarget, ...note }),
+        plan,
+        limits
+      })
+    );
+  } catch (err) {
+    console.error("Note restore failed:", err.message);
+    res.status(500).json({ error: "Failed to restore note" });
+  }
+});
+
+// Move a note to the trash, or delete it for good with ?permanent=true
+app.delete("/notes/:id", ensureDb, auth, authorizeSpace("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const permanent = String(req.query.permanent || "").toLowerCase() === "true";
+
+    let objectId;
+    try {
+      objectId = new ObjectId(id);
+    } catch {
+      return res.status(400).json({ error: "Invalid note id" });
+    }
+
+    if (permanent) {
+      await hardDeleteNotes({ _id: objectId, userId: req.space.id });
+      return res.json({ ok: true, permanent: true });
+    }
+
+    const deletedAt = new Date().toISOString();
+    const trashed = await syncSequencer.stamp(req.space.id, (syncSeq) =>
+      db.collection("notes").findOneAndUpdate(
+        { _id: objectId, userId: req.space.id, deletedAt: null },
+        {
+          $set: { deletedAt, syncSeq },
+          $inc: { revision: 1 }
+        },
+        { returnDocument: "after" }
+      )
+    );
+
+    res.json({
+      ok: true,
+      deletedAt,
+      purgeAt: getTrashPurgeAt(deletedAt),
+      revision: Number(trashed?.revision) || 0
+    });
+  } catch (err) {
+    console.error("Note delete failed:", err.message);
+    res.status(500).json({ error: "Failed to delete note" });
+  }
+});
+
+// Export is a Pro feature; the app hides it, this enforces it. Like the
+// other limits it follows the plan of the space being exported.
+function requireExportAccess(req, res, next) {
+  const plan = normalizePlan(req.space.plan);
+  if (plan !== "pro") {
+    return res.status(403).json(
+      withSpacePlan(req.space, {
+        error: req.space.workspaceId
+          ? "Exporting this workspace needs its owner to be on Chimera Pro."
+          : "Exporting notes is available on Chimera Pro.",
+        errorCode: "PRO_REQUIRED",
+        requiresPro: true,
+        plan,
+        limits: getPlanLimits(plan)
+      })
+    );
+  }
+  next();
+}
+
+// Every active note as `<folder>/<title>.md`, in the same layout and with
+// the same frontmatter as the app's own zip export. Notes are streamed one
+// at a time so large accounts never sit in memory.
+app.get("/export", ensureDb, auth, authorizeSpace("viewer"), requireExportAccess, async (req, res) => {
+  const cursor = db
     .collection("notes")
-    .find({ userId: req.user.userId })
-    .sort({ lastModified: -1, updatedAt: -1 })
+    .find({ userId: req.space.id, deletedAt: null })
+    .project({ _id: 1, localId: 1, title: 1, content: 1, folder: 1, lastModified: 1 })
+    .sort({ folder: 1, title: 1 });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="chimera-cloud-${stamp}.zip"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const claimPath = createPathClaimer();
+  const zip = createZipWriter((bytes) => res.write(bytes));
+  try {
+    for await (const doc of cursor) {
+      const note = {
+        ...serializeNoteDoc(doc),
+        id: doc.localId || `cloud-${doc._id.toString()}`
+      };
+      zip.add({
+        path: claimPath(buildNotePath(note)),
+        data: serializeNoteFile(note),
+        lastModified: note.lastModified
+      });
+      if (res.writableNeedDrain) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+      }
+      if (res.destroyed) {
+        return;
+      }
+    }
+    zip.finish();
+    res.end();
+  } catch (error) {
+    // Headers are gone already; cutting the stream short is the only
+    // way left to tell the client the archive is incomplete.
+    console.error("Export failed:", error.message);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
+
+function serializeAttachment(file) {
+  return {
+    id: file._id.toString(),
+    name: file.filename || "attachment",
+    contentType: file.metadata?.contentType || "application/octet-stream",
+    size: Number(file.length) || 0,
+    createdAt: new Date(file.uploadDate || Date.now()).toISOString()
+  };
+}
+
+const readAttachmentBody = express.raw({
+  type: () => true,
+  limit: ATTACHMENT_MAX_BYTES
+});
+
+function parseAttachmentUpload(req, res, next) {
+  readAttachmentBody(req, res, (error) => {
+    if (error?.type === "entity.too.large") {
+      return res.status(413).json({
+        error: `Attachments can be at most ${
+          ATTACHMENT_MAX_BYTES >= 1024 * 1024
+            ? `${Math.floor(ATTACHMENT_MAX_BYTES / (1024 * 1024))} MB`
+            : `${Math.floor(ATTACHMENT_MAX_BYTES / 1024)} KB`
+        }.`,
+        errorCode: "ATTACHMENT_TOO_LARGE",
+        maxBytes: ATTACHMENT_MAX_BYTES
+      });
+    }
+    next(error);
+  });
+}
+
+// The body is the file itself, sent as application/octet-stream so the JSON
+// parser leaves it alone; name and type travel in the query. The client may
+// choose the id, which lets a note reference a file before it is uploaded.
+app.post("/attachments", ensureDb, auth, authorizeSpace("editor"), parseAttachmentUpload, async (req, res) => {
+  const bytes = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (bytes.length === 0) {
+    return res.status(400).json({ error: "The attachment is empty.", errorCode: "ATTACHMENT_EMPTY" });
+  }
+
+  const requestedId = String(req.query.id || "").toLowerCase();
+  if (requestedId && !ATTACHMENT_ID.test(requestedId)) {
+    return res.status(400).json({ error: "Invalid attachment id", errorCode: "ATTACHMENT_INVALID_ID" });
+  }
+  const id = requestedId ? new ObjectId(requestedId) : new ObjectId();
+
+  try {
+    const existing = await db.collection(`${ATTACHMENT_BUCKET}.files`).findOne({ _id: id });
+    if (existing) {
+      // A retried upload whose response was lost.
+      if (existing.metadata?.userId === req.space.id) {
+        return res.json({ attachment: serializeAttachment(existing) });
+      }
+      return res.status(409).json({ error: "This attachment id is taken.", errorCode: "ATTACHMENT_ID_TAKEN" });
+    }
+
+    const violation = await findAttachmentLimitViolation({
+      userId: req.space.ownerId,
+      plan: req.space.plan,
+      size: bytes.length
+    });
+    if (violation) {
+      return res.status(403).json(withSpacePlan(req.space, violation));
+    }
+
+    const name =
+      String(req.query.name || "")
+        .replace(/[\x00-\x1F\x7F]/g, "")
+        .trim()
+        .slice(0, 200) || "attachment";
+    const requestedType = String(req.query.type || "").toLowerCase();
+    const contentType = ATTACHMENT_CONTENT_TYPE.test(requestedType)
+      ? requestedType
+      : "application/octet-stream";
+
+    try {
+      const upload = attachmentBucket.openUploadStreamWithId(id, name, {
+        metadata: { userId: req.space.id, contentType }
+      });
+      await new Promise((resolve, reject) => {
+        upload.once("finish", resolve);
+        upload.once("error", reject);
+        upload.end(bytes);
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res.status(409).json({ error: "This attachment id is taken.", errorCode: "ATTACHMENT_ID_TAKEN" });
+      }
+      console.error("Attachment upload failed:", error.message);
+      return res.status(500).json({ error: "Could not store the attachment.", errorCode: "ATTACHMENT_UPLOAD_FAILED" });
+    }
+
+    res.status(201).json({
+      attachment: serializeAttachment({
+        _id: id,
+        filename: name,
+        metadata: { contentType },
+        length: bytes.length,
+        uploadDate: new Date()
+      })
+    });
+  } catch (err) {
+    console.error("Attachment upload failed:", err.message);
+    res.status(500).json({ error: "Could not store the attachment.", errorCode: "ATTACHMENT_UPLOAD_FAILED" });
+  }
+});
+
+// Attachments are only ever fetched by the app, never navigated to, so the
+// response is locked down in case a file is HTML or SVG.
+app.get("/attachments/:id", ensureDb, auth, authorizeSpace("viewer"), async (req, res) => {
+  const id = String(req.params.id || "").toLowerCase();
+  if (!ATTACHMENT_ID.test(id)) {
+    return res.status(400).json({ error: "Invalid attachment id", errorCode: "ATTACHMENT_INVALID_ID" });
+  }
+
+  try {
+    const file = await db.collection(`${ATTACHMENT_BUCKET}.files`).findOne({
+      _id: new ObjectId(id),
+      "metadata.userId": req.space.id
+    });
+    if (!file) {
+      return res.status(404).json({ error: "Attachment not found", errorCode: "ATTACHMENT_NOT_FOUND" });
+    }
+
+    const attachment = serializeAttachment(file);
+    res.setHeader("Content-Type", attachment.contentType);
+    res.setHeader("Content-Length", String(attachment.size));
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+    );
+    res.setHeader("Cache-Control", "private, max-age=31536000, immutable");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+    attachmentBucket
+      .openDownloadStream(file._id)
+      .on("error", (error) => {
+        console.error("Attachment download failed:", error.message);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error("Attachment lookup failed:", err.message);
+    res.status(500).json({ error: "Could not load the attachment.", errorCode: "ATTACHMENT_DOWNLOAD_FAILED" });
+  }
+});
+
+// Vault answers come from the caller's own notes (or the workspace they
+// have open), so that mode needs the database and a signed-in user; the
+// other modes stay open.
+function requireVaultAccess(req, res, next) {
+  if (normalizeAiMode(req.body?.mode) !== "vault") {
+    return next();
+  }
+  if (!String(req.headers.authorization || "").startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Sign in to ask about your notes." });
+  }
+  ensureDb(req, res, () => auth(req, res, () => authorizeSpace("viewer")(req, res, next)));
+}
+
+// Basic AI endpoint for frontend terminal wiring
+app.post("/ai/chat", requireVaultAccess, async (req, res) => {
+  const message = String(req.body?.message || "").trim();
+  const history = Array.isArray(req.body?.history) ? req.body.history : [];
+  const mode = normalizeAiMode(req.body?.mode);
+  const noteContext = sanitizeNoteContext(req.body?.noteContext);
+
+  if (!message) {
+    return res.status(400).json({ error: "Missing message" });
+  }
+
+  try {
+    const result = await callAi({
+      message,
+      history,
+      mode,
+      noteContext,
+      userId: req.space?.id
+    });
+    res.json({
+      reply: result?.reply || "",
+      mode,
+      sources: Array.isArray(result?.sources) ? result.sources : [],
+      notes: Array.isArray(result?.notes) ? result.notes : []
+    });
+  } catch (error) {
+    console.error("AI chat failed:", error.message);
+    res.status(503).json({
+      error:
+        "AI service unavailable. Check the AI provider settings (AI_PROVIDERS) in backend env and Render logs."
+    });
+  }
+});
+
+// The same request answered as Server-Sent Events: `progress` before each
+// deep-search pass and the synthesis, `token` for each piece of the reply as
+// the model writes it, then `done` with the final reply, its numbered
+// sources and, in vault mode, the notes it drew on (or `error`). The `done`
+// reply is authoritative; deep search and vault mode tidy it after streaming.
+// Closing the connection aborts the upstream model request.
+app.post("/ai/chat/stream", requireVaultAccess, async (req, res) => {
+  const message = String(req.body?.message || "").trim();
+  const history = Array.isArray(req.body?.history) ? req.body.history : [];
+  const mode = normalizeAiMode(req.body?.mode);
+  const noteContext = sanitizeNoteContext(req.body?.noteContext);
+
+  if (!message) {
+    return res.status(400).json({ error: "Missing message" });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  const send = (event, data) => {
+    if (!controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const heartbeat = setInterval(() => {
+    if (!controller.signal.aborted) {
+      res.write(": keep-alive\n\n");
+    }
+  }, AI_STREAM_HEARTBEAT_MS);
+
+  try {
+    const result = await callAi({
+      message,
+      history,
+      mode,
+      noteContext,
+      userId: req.space?.id,
+      onToken: (text) => send("token", { text }),
+      onProgress: (progress) => send("progress", progress),
+      signal: controller.signal
+    });
+    send("done", {
+      reply: result?.reply || "",
+      mode,
+      sources: Array.isArray(result?.sources) ? result.sources : [],
+      notes: Array.isArray(result?.notes) ? result.notes : []
+    });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error("AI chat stream failed:", error.message);
+      send("error", {
+        error:
+          "AI service unavailable. Check the AI provider settings (AI_PROVIDERS) in backend env and Render logs."
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Editor actions: POST /ai/actions/rewrite, /shorten, /expand, /grammar,
+// /summarize, /outline, /continue and /action-items. An empty `result` means
+// the model found nothing to add (e.g. no action items).
+Object.keys(AI_NOTE_ACTIONS).forEach((name) => {
+  app.post(`/ai/actions/${name}`, async (req, res) => {
+    const text = String(req.body?.text || "");
+    const scope = req.body?.scope === "selection" ? "selection" : "note";
+    const noteContext = sanitizeNoteContext(req.body?.noteContext);
+
+    if (!text.trim()) {
+      return res.status(400).json({ error: "Missing text" });
+    }
+    if (text.length > AI_ACTION_MAX_CHARS) {
+      return res.status(400).json({
+        error: `Text is too long for AI actions (max ${AI_ACTION_MAX_CHARS} characters). Select a smaller part of the note.`
+      });
+    }
+
+    try {
+      res.json(await runNoteAction(name, { text, scope, noteContext }));
+    } catch (error) {
+      console.error(`AI action ${name} failed:`, error.message);
+      res.status(503).json({
+        error:
+          "AI service unavailable. Check the AI provider settings (AI_PROVIDERS) in backend env and Render logs."
+      });
+    }
+  });
+});
+
+// AI conversations. Each thread keeps its messages in order and may be
+// attached to a note by the note's local id, so the panel can bring the
+// thread back when the note is opened again. The client appends each
+// exchange once the reply is complete.
+function sanitizeConversationTitle(title) {
+  return String(title || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, CONVERSATION_TITLE_MAX);
+}
+
+function sanitizeConversationNoteId(noteId) {
+  const value = String(noteId ?? "").trim();
+  return value && value.length <= 120 ? value : null;
+}
+
+function sanitizeConversationMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return [];
+  }
+  const now = new Date().toISOString();
+  return messages
+    .slice(0, CONVERSATION_MAX_APPEND)
+    .map((message) => {
+      const text = String(message?.text || "").slice(0, CONVERSATION_MAX_MESSAGE_CHARS);
+      if (!text.trim()) {
+        return null;
+      }
+      const entry = {
+        role: message?.role === "assistant" ? "assistant" : "user",
+        text,
+        createdAt: now
+      };
+      if (message?.stopped) {
+        entry.stopped = true;
+      }
+      const sources = Array.isArray(message?.sources)
+        ? message.sources
+            .filter((source) => Number.isInteger(source?.index) && /^https?:\/\//i.test(source?.url))
+            .slice(0, 120)
+            .map((source) => ({
+              index: source.index,
+              url: String(source.url).slice(0, 2000),
+              title: String(source.title || "").slice(0, 200),
+              domain: String(source.domain || "").slice(0, 200)
+            }))
+        : [];
+      if (sources.length > 0) {
+        entry.sources = sources;
+      }
+      return entry;
+    })
+    .filter(Boolean);
+}
+
+function deriveConversationTitle(messages) {
+  const first = messages.find((message) => message.role === "user");
+  return sanitizeConversationTitle(first?.text).slice(0, 80) || "New conversation";
+}
+
+// Accepts a full document or a summary from `listConversationSummaries`
+function serializeConversationDoc(doc, { includeMessages = false } = {}) {
+  const messages = Array.isArray(doc.messages) ? doc.messages : [];
+  const last = doc.lastMessage || messages[messages.length - 1];
+  const conversation = {
+    id: doc._id.toString(),
+    title: doc.title || "New conversation",
+    noteId: doc.noteId || null,
+    messageCount: Number(doc.messageCount ?? messages.length) || 0,
+    preview: String(last?.text || "").replace(/\s+/g, " ").trim().slice(0, 140),
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+  if (includeMessages) {
+    conversation.messages = messages;
+  }
+  return conversation;
+}
+
+function listConversationSummaries(filter, limit) {
+  return db
+    .collection("conversations")
+    .aggregate([
+      { $match: filter },
+      { $sort: { updatedAt: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          noteId: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          messageCount: { $size: "$messages" },
+          lastMessage: { $arrayElemAt: ["$messages", -1] }
+        }
+      }
+    ])
     .toArray();
+}
+
+// Most recently active first; `q` matches titles and message text,
+// `noteId` lists the threads attached to one note.
+app.get("/conversations", ensureDb, auth, async (req, res) => {
+  const filter = { userId: req.user.userId };
+  const noteId = sanitizeConversationNoteId(req.query.noteId);
+  if (noteId) {
+    filter.noteId = noteId;
+  }
+  const query = String(req.query.q || "").trim().slice(0, SEARCH_MAX_QUERY_LENGTH);
+  if (query) {
+    const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ title: pattern }, { "messages.text": pattern }];
+  }
+  const limit = Math.min(
+    CONVERSATION_LIST_LIMIT,
+    Math.max(1, Number(req.query.limit) || CONVERSATION_LIST_LIMIT)
+  );
+
+  try {
+    const docs = await listConversationSummaries(filter, limit);
+    res.json({ conversations: docs.map((doc) => serializeConversationDoc(doc)) });
+  } catch (err) {
+    console.error("Conversation listing failed:", err.message);
+    res.status(500).json({ error: "Failed to list conversations" });
+  }
+});
+
+app.post("/conversations", ensureDb, auth, async (req, res) => {
+  const messages = sanitizeConversationMessages(req.body?.messages);
+  const now = new Date().toISOString();
+  const doc = {
+    userId: req.user.userId,
+    title: sanitizeConversationTitle(req.body?.title) || deriveConversationTitle(messages),
+    noteId: sanitizeConversationNoteId(req.body?.noteId),
+    messages,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    const result = await db.collection("conversations").insertOne(doc);
+    res.status(201).json(serializeConversationDoc({ ...doc, _id: result.insertedId }, { includeMessages: true }));
+  } catch (err) {
+    console.error("Conversation create failed:", err.message);
+    res.status(500).json({ error: "Failed to create conversation" });
+  }
+});
+
+app.get("/conversations/:id", ensureDb, auth, async (req, res) => {
+  const conversationId = parseNoteObjectId(req.params.id);
+  if (!conversationId) {
+    return res.status(400).json({ error: "Invalid conversation id" });
+  }
+
+  try {
+    const doc = await db
+      .collection("conversations")
+      .findOne({ _id: conversationId, userId: req.user.userId });
+    if (!doc) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json(serializeConversationDoc(doc, { includeMessages: true }));
+  } catch (err) {
+    console.error("Conversation load failed:", err.message);
+    res.status(500).json({ error: "Failed to load conversation" });
+  }
+});
+
+// Renames a thread, or attaches it to a note (`noteId: null` detaches it)
+app.patch("/conversations/:id", ensureDb, auth, async (req, res) => {
+  const conversationId = parseNoteObjectId(req.params.id);
+  if (!conversationId) {
+    return res.status(400).json({ error: "Invalid conversation id" });
+  }
+
+  const update = {};
+  if (req.body?.title !== undefined) {
+    const title = sanitizeConversationTitle(req.body.title);
+    if (!title) {
+      return res.status(400).json({ error: "Title cannot be empty" });
+    }
+    update.title = title;
+  }
+  if (req.body?.noteId !== undefined) {
+    update.noteId = sanitizeConversationNoteId(req.body.noteId);
+  }
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  const filter = { _id: conversationId, userId: req.user.userId };
+  try {
+    await db.collection("conversations").updateOne(filter, { $set: update });
+    const [doc] = await listConversationSummaries(filter, 1);
+    if (!doc) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json(serializeConversationDoc(doc));
+  } catch (err) {
+    console.error("Conversation update failed:", err.message);
+    res.status(500).json({ error: "Failed to update conversation" });
+  }
+});
+
+// Appends messages; the oldest are dropped past CONVERSATION_MAX_MESSAGES
+app.post("/conversations/:id/messages", ensureDb, auth, async (req, res) => {
+  const conversationId = parseNoteObjectId(req.params.id);
+  if (!conversationId) {
+    return res.status(400).json({ error: "Invalid conversation id" });
+  }
+  const messages = sanitizeConversationMessages(req.body?.messages);
+  if (messages.length === 0) {
+    return res.status(400).json({ error: "No messages to add" });
+  }
+
+  const filter = { _id: conversationId, userId: req.user.userId };
+  try {
+    await db.collection("conversations").updateOne(filter, {
+      $push: { messages: { $each: messages, $slice: -CONVERSATION_MAX_MESSAGES } },
+      $set: { updatedAt: new Date().toISOString() }
+    });
+    const [doc] = await listConversationSummaries(filter, 1);
+    if (!doc) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json(serializeConversationDoc(doc));
+  } catch (err) {
+    console.error("Conversation append failed:", err.message);
+    res.status(500).json({ error: "Failed to save messages" });
+  }
+});
+
+app.delete("/conversations/:id", ensureDb, auth, async (req, res) => {
+  const conversationId = parseNoteObjectId(req.params.id);
+  if (!conversationId) {
+    return res.status(400).json({ error: "Invalid conversation id" });
+  }
+
+  try {
+    const result = await db
+      .collection("conversations")
+      .deleteOne({ _id: conversationId, userId: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Conversation delete failed:", err.message);
+    res.status(500).json({ error: "Failed to delete conversation" });
+  }
+});
+
+// Workspaces. A workspace is a shared space of notes and folders with
+// members who are an owner, editors or viewers; its notes are stored under
+// getWorkspaceSpaceId() and reached through authorizeSpace(). People join
+// by an invitation sent to their email address, which they accept once
+// signed in with that address. Workspace notes count towards the owner's
+// plan limits.
+function sanitizeWorkspaceName(name) {
+  return String(name || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, WORKSPACE_NAME_MAX);
+}
+
+function serializeWorkspaceDoc(doc, userId) {
+  const members = Array.isArray(doc.members) ? doc.members : [];
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    ownerId: doc.ownerId,
+    role: members.find((member) => member.userId === userId)?.role || null,
+    memberCount: members.length,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+}
+
+function serializeInvitationDoc(doc) {
+  return {
+    id: doc._id.toString(),
+    workspaceId: doc.workspaceId.toString(),
+    workspaceName: doc.workspaceName,
+    email: doc.email,
+    role: doc.role,
+    invitedBy: doc.invitedByName || null,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt
+  };
+}
+
+/**
+ * The workspace in `req.params.id` when the caller is a member with at least
+ * `minRole`. Otherwise answers the request itself and resolves null.
+ */
+async function findMemberWorkspace(req, res, minRole) {
+  const workspaceId = parseNoteObjectId(req.params.id);
+  if (!workspaceId) {
+    res.status(400).json({ error: "Invalid workspace id" });
+    return null;
+  }
+
+  const workspace = await db
+    .collection("workspaces")
+    .findOne({ _id: workspaceId, "members.userId": req.user.userId });
+  if (!workspace) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+
+  const role = workspace.members.find((member) => member.userId === req.user.userId).role;
+  if (!hasWorkspaceRole(role, minRole)) {
+    res.status(403).json({
+      error: `This needs ${minRole} access to the workspace.`,
+      errorCode: "WORKSPACE_FORBIDDEN"
+    });
+    return null;
+  }
+  return workspace;
+}
+
+// The caller's workspaces, and invitations waiting for their email address
+app.get("/workspaces", ensureDb, auth, async (req, res) => {
+  try {
+    const workspaces = await db
+      .collection("workspaces")
+      .find({ "members.userId": req.user.userId })
+      .sort({ name: 1 })
+      .toArray();
+    const email = await findVerifiedEmail(req.user.userId);
+    const invitations = email
+      ? await db
+          .collection("workspace_invitations")
+          .find({ email, expiresAt: { $gt: new Date() } })
+          .sort({ createdAt: -1 })
+          .toArray()
+      : [];
+
+    res.json({
+      workspaces: workspaces.map((doc) => serializeWorkspaceDoc(doc, req.user.userId)),
+      invitations: invitations.map(serializeInvitationDoc)
+    });
+  } catch (err) {
+    console.error("Workspace listing failed:", err.message);
+    res.status(500).json({ error: "Failed to list workspaces" });
+  }
+});
+
+app.post("/workspaces", ensureDb, auth, async (req, res) => {
+  const name = sanitizeWorkspaceName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: "Give the workspace a name." });
+  }
+
+  try {
+    const owned = await db
+      .collection("workspaces")
+      .countDocuments({ ownerId: req.user.userId });
+    if (owned >= WORKSPACE_MAX_OWNED) {
+      return res.status(403).json({
+        error: `You can own up to ${WORKSPACE_MAX_OWNED} workspaces.`,
+        errorCode: "WORKSPACE_LIMIT_EXCEEDED"
+      });
+    }
+
+    const now = new Date().toISOString();
+    const doc = {
+      name,
+      ownerId: req.user.userId,
+      members: [
+        {
+          userId: req.user.userId,
+          role: "owner",
+          name: req.user.name || "",
+          email: normalizeEmail(req.user.email),
+          joinedAt: now
+        }
+      ],
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await db.collection("workspaces").insertOne(doc);
+    res
+      .status(201)
+      .json(serializeWorkspaceDoc({ ...doc, _id: result.insertedId }, req.user.userId));
+  } catch (err) {
+    console.error("Workspace create failed:", err.message);
+    res.status(500).json({ error: "Failed to create workspace" });
+  }
+});
+
+// Members, plus pending invitations when the owner asks
+app.get("/workspaces/:id", ensureDb, auth, async (req, res) => {
+  try {
+    const workspace = await findMemberWorkspace(req, res, "viewer");
+    if (!workspace) {
+      return;
+    }
+
+    const isOwner = workspace.ownerId === req.user.userId;
+    const invitations = isOwner
+      ? await db
+          .collection("workspace_invitations")
+          .find({ workspaceId: workspace._id, expiresAt: { $gt: new Date() } })
+          .sort({ createdAt: -1 })
+          .toArray()
+      : [];
+
+    res.json({
+      ...serializeWorkspaceDoc(workspace, req.user.userId),
+      members: workspace.members.map((member) => ({
+        userId: member.userId,
+        role: member.role,
+        name: member.name || "",
+        email: member.email || "",
+        joinedAt: member.joinedAt || null
+      })),
+      invitations: invitations.map(serializeInvitationDoc)
+    });
+  } catch (err) {
+    console.error("Workspace load failed:", err.message);
+    res.status(500).json({ error: "Failed to load workspace" });
+  }
+});
+
+app.patch("/workspaces/:id", ensureDb, auth, async (req, res) => {
+  const name = sanitizeWorkspaceName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: "Give the workspace a name." });
+  }
+
+  try {
+    const workspace = await findMemberWorkspace(req, res, "owner");
+    if (!workspace) {
+      return;
+    }
+
+    const updatedAt = new Date().toISOString();
+    await db
+      .collection("workspaces")
+      .updateOne({ _id: workspace._id }, { $set: { name, updatedAt } });
+    await db
+      .collection("workspace_invitations")
+      .updateMany({ workspaceId: workspace._id }, { $set: { workspaceName: name } });
+    res.json(serializeWorkspaceDoc({ ...workspace, name, updatedAt }, req.user.userId));
+  } catch (err) {
+    console.error("Workspace rename failed:", err.message);
+    res.status(500).json({ error: "Failed to rename workspace" });
+  }
+});
+
+// Deletes the workspace with all of its notes, for every member
+app.delete("/workspaces/:id", ensureDb, auth, async (req, res) => {
+  try {
+    const workspace = await findMemberWorkspace(req, res, "owner");
+    if (!workspace) {
+      return;
+    }
+
+    const spaceId = getWorkspaceSpaceId(workspace._id);
+    // Notes go first, while the member list still finds their threads.
+    // Its attachments go with the next orphan purge.
+    await hardDeleteNotes({ userId: spaceId });
+    await db.collection("workspaces").deleteOne({ _id: workspace._id });
+    await db.collection("workspace_invitations").deleteMany({ workspaceId: workspace._id });
+    await db.collection("note_tombstones").deleteMany({ userId: spaceId });
+    await db.collection("sync_counters").deleteOne({ _id: spaceId });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Workspace delete failed:", err.message);
+    res.status(500).json({ error: "Failed to delete workspace" });
+  }
+});
+
+// Invites an email address as editor or viewer. Inviting the same address
+// again updates the role and sends the email again.
+app.post("/workspaces/:id/invitations", ensureDb, auth, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const role = String(req.body?.role || "editor");
+  if (!email) {
+    return res.status(400).json({ error: "Enter a valid email address." });
+  }
+  if (!["editor", "viewer"].includes(role)) {
+    return res.status(400).json({ error: "Invite as editor or viewer." });
+  }
+
+  try {
+    const workspace = await findMemberWorkspace(req, res, "owner");
+    if (!workspace) {
+      return;
+    }
+    if (workspace.members.some((member) => member.email === email)) {
+      return res.status(409).json({
+        error: "That person is already a member.",
+        errorCode: "ALREADY_MEMBER"
+      });
+    }
+
+    const invitations = db.collection("workspace_invitations");
+    const pending = await invitations.countDocuments({
+      workspaceId: workspace._id,
+      email: { $ne: email },
+      expiresAt: { $gt: new Date() }
+    });
+    if (workspace.members.length + pending >= WORKSPACE_MAX_MEMBERS) {
+      return res.status(403).json({
+        error: `A workspace can have up to ${WORKSPACE_MAX_MEMBERS} members.`,
+        errorCode: "WORKSPACE_MEMBER_LIMIT_EXCEEDED"
+      });
+    }
+
+    const now = new Date();
+    const invitation = await invitations.findOneAndUpdate(
+      { workspaceId: workspace._id, email },
+      {
+        $set: {
+          workspaceName: workspace.name,
+          role,
+          invitedBy: req.user.userId,
+          invitedByName: req.user.name || req.user.email || "",
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + WORKSPACE_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+        }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    // The invitation waits in the app for whoever signs in with this
+    // address, so a failed email only means they have to be told some
+    // other way.
+    let emailed = false;
+    const baseUrl = getAppBaseUrl(req);
+    if (baseUrl) {
+      try {
+        await mailer.send({
+          to: email,
+          subject: `You're invited to ${workspace.name} on Chimera`,
+          text: [
+            `${invitation.invitedByName || "Someone"} invited you to the workspace ` +
+              `"${workspace.name}" on Chimera as ${role === "editor" ? "an editor" : "a viewer"}.`,
+            "",
+            `Sign in with ${email} to accept:`,
+            "",
+            baseUrl,
+            "",
+            `The invitation expires in ${WORKSPACE_INVITE_TTL_DAYS} days.`
+          ].join("\n")
+        });
+        emailed = true;
+      } catch (error) {
+        console.error("Workspace invitation email failed:", error.message);
+      }
+    }
 
-  res.json(notes.map(serializeNoteDoc));
+    res.status(201).json({ ...serializeInvitationDoc(invitation), emailed });
+  } catch (err) {
+    console.error("Workspace invite failed:", err.message);
+    res.status(500).json({ error: "Failed to invite to workspace" });
+  }
 });
 
-// Save note
-app.post("/notes", ensureDb, auth, async (req, res) => {
-  const { id } = req.body;
-  const note = normalizeNoteDoc(req.body, req.user.userId);
-  const plan = normalizePlan(req.user.plan);
-  const limits = getPlanLimits(plan);
+app.delete("/workspaces/:id/invitations/:invitationId", ensureDb, auth, async (req, res) => {
+  const invitationId = parseNoteObjectId(req.params.invitationId);
+  if (!invitationId) {
+    return res.status(400).json({ error: "Invalid invitation id" });
+  }
 
-  if (plan !== "pro") {
-    const charsInNote = countNoteChars(note);
-    if (charsInNote > limits.maxCharsPerNote) {
-      return res.status(403).json(
-        makeLimitErrorResponse({
-          plan,
-          error: "Oh No! You are out of words on this note.",
-          errorCode: "NOTE_CHAR_LIMIT_EXCEEDED",
-          limitType: "note_chars",
-          limits,
-          usage: {
-            charsInNote
-          }
-        })
-      );
+  try {
+    const workspace = await findMemberWorkspace(req, res, "owner");
+    if (!workspace) {
+      return;
+    }
+
+    const result = await db
+      .collection("workspace_invitations")
+      .deleteOne({ _id: invitationId, workspaceId: workspace._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Invitation not found" });
     }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Workspace invitation delete failed:", err.message);
+    res.status(500).json({ error: "Failed to cancel invitation" });
   }
+});
 
-  const existingById =
-    id && ObjectId.isValid(id)
-      ? await db.collection("notes").findOne({
-          _id: new ObjectId(id),
-          userId: req.user.userId
-        })
-      : null;
+// Invitations are answered by whoever is signed in with the invited address
+// Invitations go to an address, so only an account that has proven it owns
+// that address may see or answer them. The token's email is not enough:
+// Google accounts may carry an address Google never verified.
+async function findVerifiedEmail(userId) {
+  const account = await db
+    .collection("users")
+    .findOne({ userId }, { projection: { _id: 0, email: 1, emailVerified: 1 } });
+  return account?.emailVerified ? normalizeEmail(account.email) : "";
+}
 
-  const existingByLocalId =
-    !existingById && note.localId
-      ? await db.collection("notes").findOne({
-          userId: req.user.userId,
-          localId: note.localId
-        })
-      : null;
+async function findOwnInvitation(req, res) {
+  const invitationId = parseNoteObjectId(req.params.id);
+  if (!invitationId) {
+    res.status(400).json({ error: "Invalid invitation id" });
+    return null;
+  }
 
-  const existingTarget = existingById || existingByLocalId;
+  const email = await findVerifiedEmail(req.user.userId);
+  if (!email) {
+    res.status(403).json({
+      error: "Confirm your email address to answer this invitation.",
+      errorCode: "EMAIL_NOT_VERIFIED"
+    });
+    return null;
+  }
 
-  if (id) {
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).json({ error: "Invalid note id" });
+  const invitation = await db.collection("workspace_invitations").findOne({
+    _id: invitationId,
+    email,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!invitation) {
+    res.status(404).json({ error: "Invitation not found" });
+    return null;
+  }
+  return invitation;
+}
+
+app.post("/workspaces/invitations/:id/accept", ensureDb, auth, async (req, res) => {
+  try {
+    const invitation = await findOwnInvitation(req, res);
+    if (!invitation) {
+      return;
     }
-    if (!existingTarget) {
-      return res.status(404).json({ error: "Note not found" });
+
+    const now = new Date().toISOString();
+    await db.collection("workspaces").updateOne(
+      { _id: invitation.workspaceId, "members.userId": { $ne: req.user.userId } },
+      {
+        $push: {
+          members: {
+            userId: req.user.userId,
+            role: invitation.role,
+            name: req.user.name || "",
+            email: invitation.email,
+            joinedAt: now
+          }
+        },
+        $set: { updatedAt: now }
+      }
+    );
+    await db.collection("workspace_invitations").deleteOne({ _id: invitation._id });
+
+    const workspace = await db
+      .collection("workspaces")
+      .findOne({ _id: invitation.workspaceId, "members.userId": req.user.userId });
+    if (!workspace) {
+      return res.status(404).json({ error: "Workspace not found" });
     }
+    res.json(serializeWorkspaceDoc(workspace, req.user.userId));
+  } catch (err) {
+    console.error("Workspace invitation accept failed:", err.message);
+    res.status(500).json({ error: "Failed to accept invitation" });
   }
+});
 
-  if (plan !== "pro") {
-    const notes = await db
-      .collection("notes")
-      .find({ userId: req.user.userId })
-      .project({
-        title: 1,
-        content: 1,
-        folder: 1,
-        updatedAt: 1,
-        lastModified: 1,
-        localId: 1,
-        links: 1
-      })
-      .toArray();
+app.delete("/workspaces/invitations/:id", ensureDb, auth, async (req, res) => {
+  try {
+    const invitation = await findOwnInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
 
-    const currentCount = notes.length;
-    const noteCountAfter = existingTarget ? currentCount : currentCount + 1;
-    const currentBytes = notes.reduce(
-      (sum, item) => sum + estimateNoteBytes(item),
-      0
+    await db.collection("workspace_invitations").deleteOne({ _id: invitation._id });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Workspace invitation decline failed:", err.message);
+    res.status(500).json({ error: "Failed to decline invitation" });
+  }
+});
+
+// Makes a member an editor or a viewer; ownership does not move
+app.patch("/workspaces/:id/members/:userId", ensureDb, auth, async (req, res) => {
+  const role = String(req.body?.role || "");
+  if (!["editor", "viewer"].includes(role)) {
+    return res.status(400).json({ error: "Choose editor or viewer." });
+  }
+
+  try {
+    const workspace = await findMemberWorkspace(req, res, "owner");
+    if (!workspace) {
+      return;
+    }
+    if (req.params.userId === workspace.ownerId) {
+      return res.status(400).json({ error: "The owner's role cannot change." });
+    }
+
+    const result = await db.collection("workspaces").updateOne(
+      { _id: workspace._id, "members.userId": req.params.userId },
+      { $set: { "members.$.role": role, updatedAt: new Date().toISOString() } }
     );
-    const oldBytes = existingTarget ? estimateNoteBytes(existingTarget) : 0;
-    const newBytes = estimateNoteBytes(note);
-    const storageBytesAfter = currentBytes - oldBytes + newBytes;
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    res.json({ ok: true, userId: req.params.userId, role });
+  } catch (err) {
+    console.error("Workspace role change failed:", err.message);
+    res.status(500).json({ error: "Failed to change member role" });
+  }
+});
 
-    if (noteCountAfter > limits.maxNotes) {
-      return res.status(403).json(
-        makeLimitErrorResponse({
-          plan,
-          error: "Oh No! You are out of notes.",
-          errorCode: "NOTE_COUNT_LIMIT_EXCEEDED",
-          limitType: "notes",
-          limits,
-          usage: {
-            noteCount: noteCountAfter
-          }
-        })
-      );
+// The owner removes a member, or a member leaves. Owners delete the
+// workspace instead of leaving it.
+app.delete("/workspaces/:id/members/:userId", ensureDb, auth, async (req, res) => {
+  const isSelf = req.params.userId === req.user.userId;
+  try {
+    const workspace = await findMemberWorkspace(req, res, isSelf ? "viewer" : "owner");
+    if (!workspace) {
+      return;
+    }
+    if (req.params.userId === workspace.ownerId) {
+      return res.status(400).json({
+        error: "The owner cannot leave; delete the workspace instead."
+      });
     }
 
-    if (storageBytesAfter > limits.maxStorageBytes) {
-      return res.status(403).json(
-        makeLimitErrorResponse({
-          plan,
-          error: "Oh No! You have exceeded all of your storage.",
-          errorCode: "STORAGE_LIMIT_EXCEEDED",
-          limitType: "storage",
-          limits,
-          usage: {
-            storageBytes: storageBytesAfter
-          }
-        })
-      );
+    const result = await db.collection("workspaces").updateOne(
+      { _id: workspace._id, "members.userId": req.params.userId },
+      {
+        $pull: { members: { userId: req.params.userId } },
+        $set: { updatedAt: new Date().toISOString() }
+      }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Member not found" });
     }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Workspace member removal failed:", err.message);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// P2P signaling and co-editing relay. Rooms live in memory and carry WebRTC
+// offers, answers and ICE candidates between peers, who receive their
+// messages by long-polling. Each room also holds the merged CRDT of the
+// shared note: edits relayed through it reach peers whose direct channel
+// failed, and the merged state is kept in Mongo (`collab_docs`) so a note
+// can be picked up again in a later session.
+function parseIceServers(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    console.error("Ignoring P2P_ICE_SERVERS: not valid JSON");
+    return [];
   }
+}
+
+function createShareCode() {
+  let code;
+  do {
+    code = Array.from(
+      { length: P2P_CODE_LENGTH },
+      () => P2P_CODE_ALPHABET[randomInt(P2P_CODE_ALPHABET.length)]
+    ).join("");
+  } while (p2pRooms.has(code));
+  return code;
+}
 
-  if (existingTarget?._id) {
-    await db.collection("notes").updateOne(
-      { _id: existingTarget._id, userId: req.user.userId },
-      { $set: note }
+function describePeer(peer) {
+  return { peerId: peer.peerId, name: peer.name, picture: peer.picture };
+}
+
+function isValidDocId(value) {
+  return /^[A-Za-z0-9_-]{8,64}$/.test(String(value || ""));
+}
+
+function fitsCollabState(state) {
+  return Buffer.byteLength(JSON.stringify(state || {}), "utf8") <= COLLAB_MAX_STATE_BYTES;
+}
+
+// Deleted characters take no room in a saved state but still one entry
+// each in memory, so a room's copy holds no more characters than a saved
+// state could carry bytes.
+function createCollabReplica(state) {
+  return createTextCrdt({ site: "server", state, maxChars: COLLAB_MAX_STATE_BYTES });
+}
+
+async function persistCollabDoc(room) {
+  if (room.persistTimer) {
+    clearTimeout(room.persistTimer);
+    room.persistTimer = null;
+  }
+  if (!db || !room.docDirty) {
+    return;
+  }
+  room.docDirty = false;
+  const state = room.doc.toState();
+  if (!fitsCollabState(state)) {
+    console.error(`Shared note ${room.docId} is too large to save`);
+    return;
+  }
+  const nowIso = new Date().toISOString();
+  try {
+    await db.collection("collab_docs").updateOne(
+      { _id: room.docId },
+      {
+        $set: {
+          state,
+          title: room.noteTitle,
+          updatedAt: new Date()
+        },
+        $addToSet: { members: { $each: Array.from(room.members) } },
+        $setOnInsert: { ownerUserId: room.ownerUserId, createdAt: nowIso }
+      },
+      { upsert: true }
     );
-    return res.json({
-      ok: true,
-      id: existingTarget._id.toString(),
-      plan,
-      limits
-    });
+  } catch (err) {
+    room.docDirty = true;
+    console.error("Saving shared note failed:", err.message);
   }
+}
 
-  const result = await db.collection("notes").insertOne(note);
-  res.json({
-    ok: true,
-    id: result.insertedId.toString(),
-    plan,
-    limits
+function scheduleCollabPersist(room) {
+  room.docDirty = true;
+  if (!room.persistTimer) {
+    room.persistTimer = setTimeout(() => persistCollabDoc(room), COLLAB_PERSIST_DELAY_MS);
+  }
+}
+
+function deliverToPeer(peer, message) {
+  if (peer.queue.length >= P2P_MAX_QUEUED_MESSAGES) {
+    peer.queue.shift();
+  }
+  peer.queue.push(message);
+  if (peer.waiter) {
+    const waiter = peer.waiter;
+    peer.waiter = null;
+    clearTimeout(waiter.timer);
+    waiter.res.json({ messages: peer.queue.splice(0) });
+  }
+}
+
+function broadcastToRoom(room, message, exceptPeerId) {
+  room.peers.forEach((peer) => {
+    if (peer.peerId !== exceptPeerId) {
+      deliverToPeer(peer, message);
+    }
   });
-});
+}
+
+function removePeer(room, peerId) {
+  const peer = room.peers.get(peerId);
+  if (!peer) {
+    return;
+  }
+  if (peer.waiter) {
+    clearTimeout(peer.waiter.timer);
+    peer.waiter.res.json({ messages: [], closed: true });
+  }
+  room.peers.delete(peerId);
+  broadcastToRoom(room, { type: "peer-left", from: peerId });
+  if (room.peers.size === 0) {
+    p2pRooms.delete(room.code);
+    persistCollabDoc(room);
+  }
+}
+
+function addPeer(room, user) {
+  const peer = {
+    peerId: randomUUID(),
+    userId: user.userId,
+    name: user.name || "Someone",
+    picture: user.picture || null,
+    queue: [],
+    waiter: null,
+    lastSeen: Date.now()
+  };
+  room.peers.set(peer.peerId, peer);
+  room.members.add(user.userId);
+  return peer;
+}
+
+function sweepP2PRooms() {
+  const cutoff = Date.now() - P2P_PEER_TTL_MS;
+  p2pRooms.forEach((room) => {
+    room.peers.forEach((peer) => {
+      if (!peer.waiter && peer.lastSeen < cutoff) {
+        removePeer(room, peer.peerId);
+      }
+    });
+  });
+}
+
+setInterval(sweepP2PRooms, P2P_POLL_TIMEOUT_MS).unref();
+
+// Without a database plans cannot be checked, so a signaling-only server
+// admits every signed-in user.
+function requireP2PAccess(req, res, next) {
+  if (db && req.user.plan !== "pro") {
+    return res.status(403).json({
+      error: "Collaboration is available on Chimera Pro.",
+      errorCode: "PRO_REQUIRED",
+      requiresPro: true,
+      plan: req.user.plan
+    });
+  }
+  next();
+}
+
+function findRoomPeer(req, res) {
+  const room = p2pRooms.get(normalizeInviteCode(req.params.code));
+  if (!room) {
+    res.status(404).json({ error: "This share code is not active.", errorCode: "P2P_ROOM_NOT_FOUND" });
+    return null;
+  }
+  const peerId = String(req.body?.peerId || req.query.peerId || "");
+  const peer = room.peers.get(peerId);
+  if (!peer || peer.userId !== req.user.userId) {
+    res.status(404).json({ error: "You are not in this room.", errorCode: "P2P_PEER_NOT_FOUND" });
+    return null;
+  }
+  peer.lastSeen = Date.now();
+  return { room, peer };
+}
+
+function describeRoom(room, peer) {
+  return {
+    code: room.code,
+    peerId: peer.peerId,
+    docId: room.docId,
+    noteTitle: room.noteTitle,
+    state: room.doc.toState(),
+    peers: Array.from(room.peers.values())
+      .filter((other) => other.peerId !== peer.peerId)
+      .map(describePeer),
+    iceServers: P2P_ICE_SERVERS
+  };
+}
+
+function joinRoom(room, user) {
+  const peer = addPeer(room, user);
+  broadcastToRoom(
+    room,
+    { type: "peer-joined", from: peer.peerId, name: peer.name, picture: peer.picture },
+    peer.peerId
+  );
+  return peer;
+}
 
-// Delete note
-app.delete("/notes/:id", ensureDb, auth, async (req, res) => {
-  const { id } = req.params;
+// Open a room for the note being shared. Sharing a note that is already
+// live elsewhere joins the existing room instead.
+app.post("/p2p/rooms", auth, requireP2PAccess, async (req, res) => {
+  const docId = String(req.body?.docId || "");
+  const state = req.body?.state || null;
+  if (!isValidDocId(docId)) {
+    return res.status(400).json({ error: "Invalid shared note id." });
+  }
+  if (state && !fitsCollabState(state)) {
+    return res.status(413).json({ error: "This note is too large to share live." });
+  }
+  if (state && createTextCrdt().checkState(state)) {
+    return res.status(400).json({ error: "Invalid shared note contents." });
+  }
 
-  let objectId;
   try {
-    objectId = new ObjectId(id);
-  } catch {
-    return res.status(400).json({ error: "Invalid note id" });
+    let room = Array.from(p2pRooms.values()).find((candidate) => candidate.docId === docId);
+    if (!room) {
+      const stored = db ? await db.collection("collab_docs").findOne({ _id: docId }) : null;
+      if (stored && !(stored.members || []).includes(req.user.userId)) {
+        return res.status(403).json({ error: "This shared note belongs to someone else." });
+      }
+      room = {
+        code: createShareCode(),
+        docId,
+        doc: createCollabReplica(stored?.state),
+        docDirty: false,
+        persistTimer: null,
+        ownerUserId: stored?.ownerUserId || req.user.userId,
+        members: new Set(stored?.members || []),
+        noteTitle: String(req.body?.noteTitle || stored?.title || "Untitled Note").slice(0, 200),
+        createdAt: Date.now(),
+        peers: new Map()
+      };
+    } else if (room.peers.size >= P2P_MAX_PEERS_PER_ROOM) {
+      return res.status(409).json({ error: "This share session is full.", errorCode: "P2P_ROOM_FULL" });
+    }
+
+    // Merged with what the room already holds, it must still fit.
+    if (state && room.doc.checkState(state)) {
+      return res.status(413).json({ error: "This note is too large to share live." });
+    }
+    p2pRooms.set(room.code, room);
+    if (state && room.doc.applyState(state)) {
+      scheduleCollabPersist(room);
+    }
+    const peer = joinRoom(room, req.user);
+    scheduleCollabPersist(room);
+    res.json(describeRoom(room, peer));
+  } catch (err) {
+    console.error("Opening share room failed:", err.message);
+    res.status(500).json({ error: "Could not start sharing." });
+  }
+});
+
+// Join a room; everyone already there is told to expect an offer
+app.post("/p2p/rooms/:code/join", auth, requireP2PAccess, (req, res) => {
+  const room = p2pRooms.get(normalizeInviteCode(req.params.code));
+  if (!room) {
+    return res.status(404).json({ error: "This share code is not active.", errorCode: "P2P_ROOM_NOT_FOUND" });
+  }
+  if (room.peers.size >= P2P_MAX_PEERS_PER_ROOM) {
+    return res.status(409).json({ error: "This share session is full.", errorCode: "P2P_ROOM_FULL" });
+  }
+
+  const peer = joinRoom(room, req.user);
+  scheduleCollabPersist(room);
+  res.json(describeRoom(room, peer));
+});
+
+// Merge CRDT operations into the room's copy and pass them, along with the
+// sender's cursor, to everyone else in the room
+app.post("/p2p/rooms/:code/relay", auth, (req, res) => {
+  const found = findRoomPeer(req, res);
+  if (!found) {
+    return;
+  }
+  const { room, peer } = found;
+  const ops = Array.isArray(req.body?.ops) ? req.body.ops.slice(0, COLLAB_MAX_OPS_PER_RELAY) : [];
+  const presence = req.body?.presence || null;
+  // One bad operation rejects the whole batch, before any of it reaches the
+  // room's copy or the other peers
+  if (ops.some((op) => room.doc.check(op))) {
+    return res.status(400).json({ error: "Invalid edit." });
+  }
+  if (ops.reduce((sum, op) => sum + countOpChars(op), 0) > COLLAB_MAX_STATE_BYTES) {
+    return res.status(413).json({ error: "This edit is too large to share live." });
   }
 
-  await db.collection("notes").deleteOne({
-    _id: objectId,
-    userId: req.user.userId
+  let changed = false;
+  ops.forEach((op) => {
+    changed = room.doc.apply(op) || changed;
   });
+  if (changed) {
+    scheduleCollabPersist(room);
+  }
+  if (typeof req.body?.title === "string") {
+    room.noteTitle = req.body.title.slice(0, 200) || room.noteTitle;
+  }
 
+  if (ops.length > 0 || presence || typeof req.body?.title === "string") {
+    broadcastToRoom(
+      room,
+      { type: "relay", from: peer.peerId, ops, presence, title: req.body?.title },
+      peer.peerId
+    );
+  }
   res.json({ ok: true });
 });
 
-// Basic AI endpoint for frontend terminal wiring
-app.post("/ai/chat", async (req, res) => {
-  const message = String(req.body?.message || "").trim();
-  const history = Array.isArray(req.body?.history) ? req.body.history : [];
-  const mode = normalizeAiMode(req.body?.mode);
-  const noteContext = sanitizeNoteContext(req.body?.noteContext);
+// Relay an offer, answer or ICE candidate to one peer
+app.post("/p2p/rooms/:code/signal", auth, (req, res) => {
+  const found = findRoomPeer(req, res);
+  if (!found) {
+    return;
+  }
+  const target = found.room.peers.get(String(req.body?.to || ""));
+  if (!target) {
+    return res.status(404).json({ error: "That peer has left.", errorCode: "P2P_PEER_NOT_FOUND" });
+  }
+  const payload = req.body?.payload;
+  if (!payload || Buffer.byteLength(JSON.stringify(payload), "utf8") > P2P_MAX_SIGNAL_BYTES) {
+    return res.status(400).json({ error: "Invalid signal payload." });
+  }
 
-  if (!message) {
-    return res.status(400).json({ error: "Missing message" });
+  deliverToPeer(target, {
+    type: "signal",
+    from: found.peer.peerId,
+    name: found.peer.name,
+    payload
+  });
+  res.json({ ok: true });
+});
+
+// Long-poll for messages addressed to this peer
+app.get("/p2p/rooms/:code/poll", auth, (req, res) => {
+  const found = findRoomPeer(req, res);
+  if (!found) {
+    return;
+  }
+  const { peer } = found;
+  if (peer.queue.length > 0) {
+    return res.json({ messages: peer.queue.splice(0) });
   }
 
-  try {
-    const result = await callGemini({ message, history, mode, noteContext });
-    res.json({
-      reply: result?.reply || "",
-      mode,
-      sources: []
-    });
-  } catch (error) {
-    console.error("AI chat failed:", error.message);
-    res.status(503).json({
-      error:
-        "AI service unavailable. Check GEMINI_API_KEY/model in backend env and Render logs."
-    });
+  if (peer.waiter) {
+    clearTimeout(peer.waiter.timer);
+    peer.waiter.res.json({ messages: [] });
+  }
+  const waiter = {
+    res,
+    timer: setTimeout(() => {
+      if (peer.waiter === waiter) {
+        peer.waiter = null;
+        peer.lastSeen = Date.now();
+        res.json({ messages: [] });
+      }
+    }, P2P_POLL_TIMEOUT_MS)
+  };
+  peer.waiter = waiter;
+  res.on("close", () => {
+    if (peer.waiter === waiter) {
+      clearTimeout(waiter.timer);
+      peer.waiter = null;
+      peer.lastSeen = Date.now();
+    }
+  });
+});
+
+app.post("/p2p/rooms/:code/leave", auth, (req, res) => {
+  const found = findRoomPeer(req, res);
+  if (!found) {
+    return;
   }
+  removePeer(found.room, found.peer.peerId);
+  res.json({ ok: true });
 });
 
 app.use((err, req, res, next) => {
@@ -1011,9 +4871,29 @@ app.use((err, req, res, next) => {
 });
 
 let reconnectTimer = null;
+let trashPurgeTimer = null;
+
+function startTrashPurgeJob() {
+  if (trashPurgeTimer) {
+    return;
+  }
+
+  const runPurge = async () => {
+    await purgeExpiredTrash().catch((error) => {
+      console.error("Trash purge failed:", error.message);
+    });
+    await purgeOrphanedAttachments().catch((error) => {
+      console.error("Attachment cleanup failed:", error.message);
+    });
+  };
+  runPurge();
+  trashPurgeTimer = setInterval(runPurge, TRASH_PURGE_INTERVAL_MS);
+}
+
 async function connectMongoWithRetry() {
   try {
     await connectMongo();
+    startTrashPurgeJob();
     if (reconnectTimer) {
       clearInterval(reconnectTimer);
       reconnectTimer = null;
@@ -1026,6 +4906,7 @@ async function connectMongoWithRetry() {
         try {
           await connectMongo();
           console.log("MongoDB reconnected");
+          startTrashPurgeJob();
           clearInterval(reconnectTimer);
           reconnectTimer = null;
         } catch (retryError) {
@@ -1038,6 +4919,9 @@ async function connectMongoWithRetry() {
 }
 
 function start() {
+  if (!process.env.AUTH_TOKEN_SECRET) {
+    console.warn("AUTH_TOKEN_SECRET is not set; sessions will not survive a restart");
+  }
   app.listen(PORT, () => {
     console.log(`Chimera backend running on port ${PORT}`);
   });
@@ -0,0 +1,89 @@
+/* ============================================================
+   Chimera Sync Sequence
+   - Every note write in a space is stamped with the next number
+     from that space's counter; /sync hands out changes above a
+     client's cursor
+   - A number is taken before its write lands, so a later write
+     can commit first. Until the earlier one lands, /sync must
+     not move a cursor past it, or that change is never sent
+   - Numbers in flight are tracked in this process, like the
+     live share rooms; one server instance is assumed
+   ============================================================ */
+
+/**
+ * `allocate(spaceId)` resolves to the space's next number.
+ * `reserve` takes one and keeps it in flight until `release`;
+ * `stamp` does the same around a write. `settledThrough` is the
+ * highest number below everything still in flight, or null when
+ * nothing is.
+ */
+export function createSyncSequencer(allocate) {
+  const inFlight = new Map();
+  const lastAllocated = new Map();
+
+  function track(spaceId, seq) {
+    if (!inFlight.has(spaceId)) {
+      inFlight.set(spaceId, new Map());
+    }
+    const pending = inFlight.get(spaceId);
+    pending.set(seq, (pending.get(seq) || 0) + 1);
+  }
+
+  function untrack(spaceId, seq) {
+    const pending = inFlight.get(spaceId);
+    const count = pending?.get(seq) || 0;
+    if (count > 1) {
+      pending.set(seq, count - 1);
+    } else if (count === 1) {
+      pending.delete(seq);
+      if (pending.size === 0) {
+        inFlight.delete(spaceId);
+      }
+    }
+  }
+
+  // While the counter is being asked, the number is not known yet, only
+  // that it is above every number this process had already received.
+  async function reserve(spaceId) {
+    const floor = (lastAllocated.get(spaceId) || 0) + 1;
+    track(spaceId, floor);
+    let seq;
+    try {
+      seq = await allocate(spaceId);
+      track(spaceId, seq);
+      lastAllocated.set(spaceId, Math.max(lastAllocated.get(spaceId) || 0, seq));
+    } finally {
+      untrack(spaceId, floor);
+    }
+
+    let released = false;
+    return {
+      seq,
+      release() {
+        if (!released) {
+          released = true;
+          untrack(spaceId, seq);
+        }
+      }
+    };
+  }
+
+  async function stamp(spaceId, write) {
+    const claim = await reserve(spaceId);
+    try {
+      return await write(claim.seq);
+    } finally {
+      claim.release();
+    }
+  }
+
+  function settledThrough(spaceId) {
+    const pending = inFlight.get(spaceId);
+    if (!pending) {
+      return null;
+    }
+    return Math.min(...pending.keys()) - 1;
+  }
+
+  return { reserve, stamp, settledThrough };
+}
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { countOpChars, createTextCrdt } from "../note-crdt.js";
+
+function applyAll(replica, ops) {
+  ops.forEach((op) => replica.apply(op));
+}
+
+test("replicas converge whatever order the edits arrive in", () => {
+  const alice = createTextCrdt({ site: "alice" });
+  const bob = createTextCrdt({ site: "bob" });
+  const hello = alice.insert(0, "hello");
+  bob.apply(hello);
+
+  const aliceOps = [alice.insert(5, " world"), alice.remove(0, 1)];
+  const bobOps = [bob.insert(5, "!"), bob.insert(0, "Oh, ")];
+  applyAll(alice, bobOps);
+  applyAll(bob, [...aliceOps].reverse());
+
+  const carol = createTextCrdt({ site: "carol" });
+  applyAll(carol, [...bobOps, ...aliceOps, hello].reverse());
+
+  assert.equal(alice.text(), bob.text());
+  assert.equal(carol.text(), alice.text());
+  assert.match(alice.text(), /^Oh, ello/);
+});
+
+test("a state rebuilds the same text, deleted characters included", () => {
+  const alice = createTextCrdt({ site: "alice" });
+  alice.insert(0, "abcdef");
+  alice.remove(1, 2);
+  const copy = createTextCrdt({ site: "bob", state: alice.toState() });
+  assert.equal(copy.text(), "adef");
+
+  const later = alice.insert(4, "g");
+  copy.apply(later);
+  assert.equal(copy.text(), "adefg");
+  assert.equal(copy.applyState(alice.toState()), false);
+});
+
+test("malformed operations are refused", () => {
+  const replica = createTextCrdt({ site: "server" });
+  assert.equal(replica.check({ type: "insert", site: "", counter: 1, after: null, text: "x" }), "Invalid site");
+  assert.equal(replica.check({ type: "insert", site: "a", counter: 1e15, after: null, text: "x" }), "Invalid counter");
+  assert.equal(replica.check({ type: "delete", ranges: [{ s: "a", c: 1, n: 0 }] }), "Invalid ranges");
+  assert.equal(replica.check({ type: "move" }), "Unknown operation");
+  assert.equal(replica.apply({ type: "delete", ranges: [] }), false);
+  assert.equal(replica.checkState({ runs: [{ s: "a", c: 1, a: null, n: 2, t: "x" }] }), "Invalid state");
+});
+
+test("deletes cost the characters held, not the width of their ranges", () => {
+  const replica = createTextCrdt({ site: "server" });
+  replica.apply({ type: "insert", site: "a", counter: 1, after: null, text: "hello" });
+  const wide = { type: "delete", ranges: Array.from({ length: 50 }, (_, i) => ({ s: `s${i}`, c: 1, n: 150000 })) };
+  assert.equal(countOpChars(wide), 7500000);
+
+  const started = Date.now();
+  for (let i = 0; i < 500; i++) {
+    replica.apply(wide);
+  }
+  // Every later edit replays the deletes still waiting for their characters.
+  replica.apply({ type: "insert", site: "a", counter: 6, after: "5@a", text: "!" });
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(replica.text(), "hello!");
+
+  replica.apply({ type: "delete", ranges: [{ s: "a", c: 2, n: 1000 }] });
+  assert.equal(replica.text(), "h");
+});
+
+test("a delete may not name more characters than the clock allows", () => {
+  const replica = createTextCrdt({ site: "server" });
+  const ranges = Array.from({ length: 3 }, (_, i) => ({ s: `s${i}`, c: 1, n: 8 * 1024 * 1024 }));
+  assert.equal(replica.check({ type: "delete", ranges }), "Too many characters");
+});
+
+test("a replica refuses edits and states past its size", () => {
+  const replica = createTextCrdt({ site: "server", maxChars: 10 });
+  assert.equal(replica.apply({ type: "insert", site: "a", counter: 1, after: null, text: "12345678" }), true);
+  assert.equal(replica.check({ type: "insert", site: "a", counter: 9, after: "8@a", text: "abc" }), "Too many characters");
+  // Characters it already holds do not count twice.
+  assert.equal(replica.check({ type: "insert", site: "a", counter: 1, after: null, text: "12345678" }), null);
+
+  const tombstones = { version: 1, runs: [{ s: "b", c: 1, a: null, n: 8000000, t: "", d: 1 }] };
+  assert.equal(replica.checkState(tombstones), "Too many characters");
+  assert.equal(replica.applyState(tombstones), false);
+  assert.equal(replica.text(), "12345678");
+});
+
+test("characters waiting on an earlier edit count toward the size", () => {
+  const replica = createTextCrdt({ site: "server", maxChars: 10 });
+  replica.apply({ type: "insert", site: "a", counter: 2, after: "1@a", text: "23456" });
+  assert.equal(replica.check({ type: "insert", site: "b", counter: 1, after: null, text: "abcdef" }), "Too many characters");
+  replica.apply({ type: "insert", site: "a", counter: 1, after: null, text: "1" });
+  assert.equal(replica.text(), "123456");
+});
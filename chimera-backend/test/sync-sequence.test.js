@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSyncSequencer } from "../sync-sequence.js";
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+// A counter and a note store with just enough of /sync to follow a cursor.
+function createSpace() {
+  const counters = new Map();
+  const changes = [];
+  const sequencer = createSyncSequencer(async (spaceId) => {
+    const seq = (counters.get(spaceId) || 0) + 1;
+    counters.set(spaceId, seq);
+    return seq;
+  });
+
+  function sync(spaceId, since) {
+    const settled = sequencer.settledThrough(spaceId);
+    const page = changes
+      .filter((change) => change.spaceId === spaceId && change.seq > since)
+      .filter((change) => settled === null || change.seq <= settled)
+      .sort((a, b) => a.seq - b.seq);
+    return {
+      cursor: page.length > 0 ? page[page.length - 1].seq : since,
+      names: page.map((change) => change.name)
+    };
+  }
+
+  return { sequencer, changes, sync };
+}
+
+test("a write that lands late is still sent after a later one", async () => {
+  const { sequencer, changes, sync } = createSpace();
+  const slowLanded = deferred();
+
+  // The slow write takes number 1 but commits after the fast one (2).
+  const slow = sequencer.stamp("space", async (seq) => {
+    await slowLanded.promise;
+    changes.push({ spaceId: "space", seq, name: "slow" });
+  });
+  await sequencer.stamp("space", async (seq) => {
+    changes.push({ spaceId: "space", seq, name: "fast" });
+  });
+
+  const early = sync("space", 0);
+  assert.deepEqual(early, { cursor: 0, names: [] });
+
+  slowLanded.resolve();
+  await slow;
+  const late = sync("space", early.cursor);
+  assert.deepEqual(late, { cursor: 2, names: ["slow", "fast"] });
+  assert.equal(sequencer.settledThrough("space"), null);
+});
+
+test("numbers held for a batch are released together", async () => {
+  const { sequencer, changes, sync } = createSpace();
+  const first = await sequencer.reserve("space");
+  const second = await sequencer.reserve("space");
+  changes.push({ spaceId: "space", seq: second.seq, name: "second" });
+
+  assert.equal(sequencer.settledThrough("space"), 0);
+  assert.deepEqual(sync("space", 0).names, []);
+
+  changes.push({ spaceId: "space", seq: first.seq, name: "first" });
+  first.release();
+  second.release();
+  second.release();
+  assert.deepEqual(sync("space", 0).names, ["first", "second"]);
+});
+
+test("a number being allocated already holds the cursor back", async () => {
+  const allocated = deferred();
+  const sequencer = createSyncSequencer(() => allocated.promise);
+  const pending = sequencer.reserve("space");
+
+  assert.equal(sequencer.settledThrough("space"), 0);
+  allocated.resolve(1);
+  const claim = await pending;
+  assert.equal(sequencer.settledThrough("space"), 0);
+  claim.release();
+  assert.equal(sequencer.settledThrough("space"), null);
+});
+
+test("a failed write releases its number", async () => {
+  const { sequencer } = createSpace();
+  await assert.rejects(
+    sequencer.stamp("space", async () => {
+      throw new Error("write failed");
+    }),
+    /write failed/
+  );
+  assert.equal(sequencer.settledThrough("space"), null);
+});
+
+test("spaces do not hold each other back", async () => {
+  const { sequencer } = createSpace();
+  const claim = await sequencer.reserve("ws:team");
+  assert.equal(sequencer.settledThrough("user-1"), null);
+  assert.equal(sequencer.settledThrough("ws:team"), 0);
+  claim.release();
+});
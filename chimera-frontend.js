@@ -1,8 +1,11 @@
 /* ============================================================
    Chimera Frontend Core
-   - Google Identity Services login
-   - Backend authentication
-   - Cloud note load/save
+   - Google Identity Services login, and email/password or
+     emailed-link sign-in for local accounts
+   - Backend authentication, with access tokens refreshed
+     and requests retried when they expire
+   - Cloud note load/save, for the user's own notes or a
+     shared workspace they belong to
    - Large draggable/resizable AI panel
    ============================================================ */
 
@@ -11,6 +14,16 @@ export let chimeraToken = null;
 export let chimeraPlan = "free";
 export let chimeraLimits = null;
 export let chimeraSupportEmail = "aaravkedeveloper@gmail.com";
+// Traded at /auth/refresh for a new access token (`chimeraToken`).
+let chimeraRefreshToken = null;
+// The Google credential, until the backend has exchanged it for a session.
+let pendingGoogleCredential = null;
+// The refresh in flight; concurrent requests wait for the same one.
+let sessionRefresh = null;
+// Access tokens this close to expiry are refreshed before being sent.
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+// The workspace note requests go to; null means the user's own notes.
+let activeWorkspaceId = null;
 
 const backendBaseUrl =
   window.CHIMERA_BACKEND_URL ||
@@ -18,12 +31,30 @@ const backendBaseUrl =
   (window.location.hostname.includes("github.io")
     ? "https://chimera-test-2.onrender.com"
     : "http://localhost:4000");
+// P2P signaling can run on its own server; it defaults to the backend.
+const signalingBaseUrl =
+  window.CHIMERA_SIGNALING_URL ||
+  localStorage.getItem("chimeraSignalingUrl") ||
+  backendBaseUrl;
 
 const MAX_HISTORY_MESSAGES = 12;
+const AI_GREETING = "Chimera AI is online. Ask anything and I will help.";
 const aiState = {
   initialized: false,
   history: [],
-  mode: "chat"
+  mode: "chat",
+  // Aborts the reply being streamed; set while the panel is busy.
+  controller: null,
+  // The thread on screen. `id` is set once its first exchange is saved;
+  // `noteId` is the note it is attached to. Starting another thread
+  // replaces the object, so saves still in flight update the old one.
+  thread: { id: null, noteId: null },
+  openNoteId: null,
+  // Saves run one at a time so a thread is created before it is appended to.
+  saveQueue: Promise.resolve(),
+  // Only the latest lookup of each kind is applied.
+  noteRequest: 0,
+  threadListRequest: 0
 };
 
 function normalizePlan(plan) {
@@ -83,11 +114,111 @@ function syncUserUi() {
 }
 
 function getJsonHeaders() {
-  const headers = { "Content-Type": "application/json" };
-  if (chimeraToken) {
-    headers.Authorization = `Bearer ${chimeraToken}`;
+  return { "Content-Type": "application/json" };
+}
+
+function isTokenExpiring(token) {
+  const expiresAt = Number(decodeJwtPayload(token || "")?.exp) * 1000;
+  return Number.isFinite(expiresAt) && expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+}
+
+function applySession(data) {
+  chimeraToken = data.token;
+  chimeraRefreshToken = data.refreshToken || null;
+  pendingGoogleCredential = null;
+}
+
+function endSession() {
+  chimeraToken = null;
+  chimeraRefreshToken = null;
+  pendingGoogleCredential = null;
+  window.dispatchEvent(new CustomEvent("chimera-session-expired"));
+}
+
+// Revokes a session on the backend; failures only leave it to expire.
+function revokeSession(refreshToken) {
+  fetch(`${backendBaseUrl}/auth/logout`, {
+    method: "POST",
+    headers: getJsonHeaders(),
+    body: JSON.stringify({ refreshToken })
+  }).catch(() => {});
+}
+
+// Gets a new access token, or the first one for a Google sign-in. Resolves
+// with the backend's reply, or null when there is no session to continue;
+// a backend that rejects the session ends it and fires
+// `chimera-session-expired`.
+async function requestSession() {
+  let res;
+  if (chimeraRefreshToken) {
+    res = await fetch(`${backendBaseUrl}/auth/refresh`, {
+      method: "POST",
+      headers: getJsonHeaders(),
+      body: JSON.stringify({ refreshToken: chimeraRefreshToken })
+    });
+  } else if (pendingGoogleCredential) {
+    res = await fetch(`${backendBaseUrl}/auth/google`, {
+      method: "POST",
+      headers: getJsonHeaders(),
+      body: JSON.stringify({ credential: pendingGoogleCredential })
+    });
+  } else {
+    return null;
+  }
+
+  if (res.status === 401) {
+    endSession();
+    return null;
+  }
+  if (!res.ok) {
+    return null;
+  }
+
+  const data = await res.json();
+  applySession(data);
+  if (normalizePlan(data.plan) !== chimeraPlan) {
+    setPlanState(data.plan, data.limits);
+  }
+  return data;
+}
+
+function refreshSession() {
+  if (!sessionRefresh) {
+    sessionRefresh = requestSession().finally(() => {
+      sessionRefresh = null;
+    });
+  }
+  return sessionRefresh;
+}
+
+/**
+ * fetch() with the signed-in user's access token. A token about to expire
+ * is refreshed first, and a request the backend turns away with 401 is
+ * sent once more after refreshing, so callers never see an expired token.
+ */
+async function authorizedFetch(url, options = {}) {
+  if (pendingGoogleCredential || (chimeraRefreshToken && isTokenExpiring(chimeraToken))) {
+    // A failure here is retried below if the request itself is turned away.
+    await refreshSession().catch(() => null);
+  }
+
+  // Read once, so a retry goes to the same workspace as the first attempt.
+  const workspaceId = activeWorkspaceId;
+  const send = () =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(chimeraToken ? { Authorization: `Bearer ${chimeraToken}` } : {}),
+        ...(workspaceId ? { "X-Workspace-Id": workspaceId } : {})
+      }
+    });
+
+  const res = await send();
+  if (res.status !== 401 || !(chimeraRefreshToken || pendingGoogleCredential)) {
+    return res;
   }
-  return headers;
+  return (await refreshSession()) ? send() : res;
 }
 
 async function extractErrorPayload(response) {
@@ -98,6 +229,17 @@ async function extractErrorPayload(response) {
   }
 }
 
+function createCloudError(data, fallbackMessage, fallbackCode) {
+  const error = new Error(data?.error || fallbackMessage);
+  error.code = data?.errorCode || fallbackCode;
+  error.limitType = data?.limitType || null;
+  error.requiresPro = Boolean(data?.requiresPro);
+  error.plan = data?.plan || chimeraPlan;
+  error.limits = data?.limits || chimeraLimits;
+  error.usage = data?.usage || null;
+  return error;
+}
+
 function clamp(value, min, max) {
   return Math.max(min, Math.min(value, max));
 }
@@ -113,8 +255,10 @@ function appendAiMessage(kind, text) {
   messageEl.textContent = text;
   messages.appendChild(messageEl);
   messages.scrollTop = messages.scrollHeight;
+  return messageEl;
 }
 
+// While busy the Send button turns into Stop, which aborts the reply.
 function setAiBusy(isBusy) {
   const input = document.getElementById("chimera-ai-input");
   const send = document.getElementById("chimera-ai-send");
@@ -122,8 +266,9 @@ function setAiBusy(isBusy) {
     input.disabled = isBusy;
   }
   if (send) {
-    send.disabled = isBusy;
-    send.textContent = "Send";
+    send.classList.toggle("stop", isBusy);
+    send.textContent = isBusy ? "Stop" : "Send";
+    send.title = isBusy ? "Stop generating" : "";
   }
 }
 
@@ -140,16 +285,23 @@ function appendThinkingMessage() {
   messages.appendChild(messageEl);
   messages.scrollTop = messages.scrollHeight;
 
-  const frames = ["Thinking", "Thinking.", "Thinking..", "Thinking..."];
+  let label = "Thinking";
   let index = 0;
-  textEl.textContent = frames[index];
+  const render = () => {
+    textEl.textContent = `${label}${".".repeat(index)}`;
+  };
+  render();
 
   const timer = window.setInterval(() => {
-    index = (index + 1) % frames.length;
-    textEl.textContent = frames[index];
+    index = (index + 1) % 4;
+    render();
   }, 320);
 
   return {
+    setLabel: (value) => {
+      label = String(value || "Thinking").replace(/\.+$/, "");
+      render();
+    },
     stop: () => window.clearInterval(timer),
     remove: () => {
       window.clearInterval(timer);
@@ -159,7 +311,7 @@ function appendThinkingMessage() {
 }
 
 function normalizeAiMode(mode) {
-  return mode === "deep-search" ? "deep-search" : "chat";
+  return mode === "deep-search" || mode === "vault" ? mode : "chat";
 }
 
 function getOpenNoteContext() {
@@ -185,6 +337,7 @@ function setAiMode(mode) {
   aiState.mode = normalizeAiMode(mode);
   const chatBtn = document.getElementById("chimera-ai-mode-chat");
   const deepBtn = document.getElementById("chimera-ai-mode-deep");
+  const vaultBtn = document.getElementById("chimera-ai-mode-vault");
   const badge = document.getElementById("chimera-ai-mode-badge");
   const input = document.getElementById("chimera-ai-input");
 
@@ -192,17 +345,20 @@ function setAiMode(mode) {
     chatBtn.classList.toggle("active", aiState.mode === "chat");
     deepBtn.classList.toggle("active", aiState.mode === "deep-search");
   }
+  vaultBtn?.classList.toggle("active", aiState.mode === "vault");
 
   if (badge) {
-    badge.textContent =
-      aiState.mode === "deep-search" ? "Deep Search Mode" : "Chat Mode";
+    badge.textContent = {
+      "deep-search": "Deep Search Mode",
+      vault: "Vault Mode"
+    }[aiState.mode] || "Chat Mode";
   }
 
   if (input) {
-    input.placeholder =
-      aiState.mode === "deep-search"
-        ? "Ask for deep research. Example: Compare top coding laptops for school."
-        : "Ask Chimera AI anything...";
+    input.placeholder = {
+      "deep-search": "Ask for deep research. Example: Compare top coding laptops for school.",
+      vault: "Ask about your notes. Example: What did we decide about pricing last month?"
+    }[aiState.mode] || "Ask Chimera AI anything...";
   }
 }
 
@@ -269,28 +425,46 @@ function ensureAiPanel() {
       <div id="chimera-ai-panel-header" class="chimera-ai-panel-header">
         <div class="chimera-ai-panel-title">Chimera AI</div>
         <div class="chimera-ai-panel-actions">
-          <button id="chimera-ai-clear" type="button">Clear</button>
+          <button id="chimera-ai-threads-toggle" type="button">Threads</button>
+          <button id="chimera-ai-clear" type="button">New chat</button>
           <button id="chimera-ai-close" type="button">Close</button>
         </div>
       </div>
-      <div class="chimera-ai-mode-row">
-        <div class="chimera-ai-mode-switch">
-          <button id="chimera-ai-mode-chat" type="button" class="active">Chat</button>
-          <button id="chimera-ai-mode-deep" type="button">Deep Search</button>
+      <div class="chimera-ai-main">
+        <aside id="chimera-ai-threads" class="chimera-ai-threads hidden" aria-label="Past conversations">
+          <input
+            id="chimera-ai-thread-search"
+            class="chimera-ai-thread-search"
+            type="search"
+            placeholder="Search conversations"
+          />
+          <div id="chimera-ai-thread-list" class="chimera-ai-thread-list"></div>
+        </aside>
+        <div class="chimera-ai-chat">
+          <div class="chimera-ai-mode-row">
+            <div class="chimera-ai-mode-switch">
+              <button id="chimera-ai-mode-chat" type="button" class="active">Chat</button>
+              <button id="chimera-ai-mode-deep" type="button">Deep Search</button>
+              <button id="chimera-ai-mode-vault" type="button" title="Answer from your own notes">Vault</button>
+            </div>
+            <div class="chimera-ai-note-actions">
+              <button id="chimera-ai-note-link" type="button" disabled>Link to Note</button>
+              <button id="chimera-ai-note-suggest" type="button">Suggest from Open Note</button>
+            </div>
+          </div>
+          <div id="chimera-ai-mode-badge" class="chimera-ai-mode-badge">Chat Mode</div>
+          <div id="chimera-ai-messages" class="chimera-ai-messages"></div>
+          <form id="chimera-ai-form" class="chimera-ai-form">
+            <textarea
+              id="chimera-ai-input"
+              class="chimera-ai-input"
+              rows="3"
+              placeholder="Ask Chimera AI anything..."
+            ></textarea>
+            <button id="chimera-ai-send" type="submit">Send</button>
+          </form>
         </div>
-        <button id="chimera-ai-note-suggest" type="button">Suggest from Open Note</button>
       </div>
-      <div id="chimera-ai-mode-badge" class="chimera-ai-mode-badge">Chat Mode</div>
-      <div id="chimera-ai-messages" class="chimera-ai-messages"></div>
-      <form id="chimera-ai-form" class="chimera-ai-form">
-        <textarea
-          id="chimera-ai-input"
-          class="chimera-ai-input"
-          rows="3"
-          placeholder="Ask Chimera AI anything..."
-        ></textarea>
-        <button id="chimera-ai-send" type="submit">Send</button>
-      </form>
     </section>
   `;
 
@@ -300,20 +474,266 @@ function ensureAiPanel() {
   return panel;
 }
 
-async function sendAiMessage(message) {
+const CITATION_MARKER = /\[(\d{1,3})\](?!\()/g;
+const NOTE_LINK = /\[\[([^[\]\n]+?)\]\]/g;
+
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(String(url || ""));
+}
+
+function createSourceItem(source) {
+  const item = document.createElement("li");
+  item.value = source.index;
+  item.dataset.sourceIndex = String(source.index);
+  const link = document.createElement("a");
+  link.href = source.url;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = source.title || source.domain || source.url;
+  item.appendChild(link);
+  if (source.domain && source.domain !== link.textContent) {
+    const domain = document.createElement("span");
+    domain.className = "chimera-ai-source-domain";
+    domain.textContent = source.domain;
+    item.append(" ", domain);
+  }
+  return item;
+}
+
+// The sources the reply cites, in the order of their numbers.
+function getCitedSources(text, sources) {
+  const byIndex = new Map(sources.map((source) => [source.index, source]));
+  const cited = new Set();
+  for (const match of String(text).matchAll(CITATION_MARKER)) {
+    const source = byIndex.get(Number(match[1]));
+    if (source) {
+      cited.add(source);
+    }
+  }
+  return [...cited].sort((a, b) => a.index - b.index);
+}
+
+// Footnote labels continue after the note's own numbered footnotes.
+function buildReferencedMarkdown(text, sources, noteContent = "") {
+  const cited = getCitedSources(text, sources);
+  const formatLink = (source) =>
+    `[${String(source.title).replace(/([[\]\\])/g, "\\$1")}](` +
+    `${source.url.replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`)})` +
+    (source.domain && source.domain !== source.title ? ` — ${source.domain}` : "");
+
+  if (!cited.length) {
+    return sources.length
+      ? `${text}\n\n## References\n\n${sources.map((source) => `- ${formatLink(source)}`).join("\n")}`
+      : text;
+  }
+
+  const offset = Math.max(
+    0,
+    ...[...String(noteContent).matchAll(/\[\^(\d+)\]/g)].map((match) => Number(match[1]))
+  );
+  const citedIndexes = new Set(cited.map((source) => source.index));
+  const body = String(text).replace(CITATION_MARKER, (marker, index) =>
+    citedIndexes.has(Number(index)) ? `[^${Number(index) + offset}]` : marker
+  );
+  const references = cited
+    .map((source) => `[^${source.index + offset}]: ${formatLink(source)}`)
+    .join("\n");
+  return `${body}\n\n## References\n\n${references}`;
+}
+
+// Reply text with each [[Note Title]] as a link that opens the note. The
+// app answers the "chimera-open-note" event when it has a note by that title.
+function appendReplyText(parent, text) {
+  let last = 0;
+  for (const match of String(text).matchAll(NOTE_LINK)) {
+    parent.append(text.slice(last, match.index));
+    const pipe = match[1].indexOf("|");
+    const title = (pipe === -1 ? match[1] : match[1].slice(0, pipe)).trim();
+    const link = document.createElement("a");
+    link.href = "#";
+    link.className = "chimera-ai-wikilink";
+    link.title = `Open ${title}`;
+    link.textContent = (pipe === -1 ? "" : match[1].slice(pipe + 1).trim()) || title;
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      const detail = { title, opened: false };
+      window.dispatchEvent(new CustomEvent("chimera-open-note", { detail }));
+      if (!detail.opened) {
+        appendAiMessage("assistant", `"${title}" is not on this device yet.`);
+      }
+    });
+    parent.appendChild(link);
+    last = match.index + match[0].length;
+  }
+  parent.append(text.slice(last));
+}
+
+// Renders a reply's "[n]" markers as links to the numbered sources listed
+// under it, followed by an action that appends the reply to the open note.
+function renderAiReply(messageEl, text, sources) {
+  const usable = sources
+    .filter((source) => Number.isInteger(source?.index) && isWebUrl(source?.url));
+  if (!usable.length) {
+    messageEl.replaceChildren();
+    appendReplyText(messageEl, text);
+    return;
+  }
+
+  const byIndex = new Map(usable.map((source) => [source.index, source]));
+  const body = document.createElement("div");
+  let last = 0;
+  for (const match of text.matchAll(CITATION_MARKER)) {
+    const source = byIndex.get(Number(match[1]));
+    if (!source) {
+      continue;
+    }
+    appendReplyText(body, text.slice(last, match.index));
+    const marker = document.createElement("a");
+    marker.className = "chimera-ai-cite";
+    marker.href = source.url;
+    marker.title = source.title;
+    marker.textContent = String(source.index);
+    marker.addEventListener("click", (event) => {
+      event.preventDefault();
+      const footnote = messageEl.querySelector(`li[data-source-index="${source.index}"]`);
+      if (footnote) {
+        footnote.scrollIntoView({ block: "nearest", behavior: "smooth" });
+        footnote.classList.remove("highlight");
+        void footnote.offsetWidth;
+        footnote.classList.add("highlight");
+      }
+    });
+    const sup = document.createElement("sup");
+    sup.appendChild(marker);
+    body.appendChild(sup);
+    last = match.index + match[0].length;
+  }
+  appendReplyText(body, text.slice(last));
+
+  const cited = getCitedSources(text, usable);
+  const others = usable.filter((source) => !cited.includes(source));
+  const footer = document.createElement("div");
+  footer.className = "chimera-ai-sources";
+  if (cited.length) {
+    const list = document.createElement("ol");
+    cited.forEach((source) => list.appendChild(createSourceItem(source)));
+    footer.appendChild(list);
+  }
+  if (others.length) {
+    const more = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = cited.length
+      ? `${others.length} more source${others.length === 1 ? "" : "s"}`
+      : `Sources (${others.length})`;
+    const list = document.createElement("ol");
+    others.forEach((source) => list.appendChild(createSourceItem(source)));
+    more.append(summary, list);
+    footer.appendChild(more);
+  }
+
+  const insert = document.createElement("button");
+  insert.type = "button";
+  insert.className = "chimera-ai-insert";
+  insert.textContent = "Insert into note";
+  insert.addEventListener("click", () => {
+    const detail = {
+      markdown: buildReferencedMarkdown(text, usable, getOpenNoteContext()?.content || ""),
+      inserted: false
+    };
+    window.dispatchEvent(new CustomEvent("chimera-insert-into-note", { detail }));
+    if (!detail.inserted) {
+      appendAiMessage("assistant", "Open a note first, then insert the answer.");
+      return;
+    }
+    insert.textContent = "Inserted";
+    window.setTimeout(() => {
+      insert.textContent = "Insert into note";
+    }, 1600);
+  });
+  footer.appendChild(insert);
+
+  messageEl.replaceChildren(body, footer);
+}
+
+function formatAiProgress(progress) {
+  if (progress?.stage === "vault") {
+    return "Searching your notes";
+  }
+  if (progress?.stage === "synthesis") {
+    return "Writing the answer";
+  }
+  if (progress?.pass && progress?.total) {
+    return `Pass ${progress.pass}/${progress.total}: ${progress.angle || "Researching"}`;
+  }
+  return "Thinking";
+}
+
+// Calls `onEvent(name, data)` for every event of a Server-Sent Events
+// response.
+async function readAiEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const emit = (block) => {
+    let name = "message";
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("event:")) {
+        name = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).replace(/^ /, ""));
+      }
+    });
+    if (data.length) {
+      onEvent(name, JSON.parse(data.join("\n")));
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary >= 0) {
+      emit(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+  emit(buffer + decoder.decode());
+}
+
+// Streams the reply from /ai/chat/stream, passing each piece of text to
+// `onToken` and deep-search passes to `onProgress`. Aborting `signal` stops
+// the reply and resolves with `stopped: true`. Backends without the stream
+// route get the whole reply from /ai/chat instead.
+async function sendAiMessage(message, { onToken, onProgress, signal } = {}) {
   const noteContext = getOpenNoteContext();
+  const body = JSON.stringify({
+    message,
+    history: aiState.history,
+    mode: aiState.mode,
+    noteContext
+  });
   try {
-    const response = await fetch(`${backendBaseUrl}/ai/chat`, {
+    let response = await authorizedFetch(`${backendBaseUrl}/ai/chat/stream`, {
       method: "POST",
       headers: getJsonHeaders(),
-      body: JSON.stringify({
-        message,
-        history: aiState.history,
-        mode: aiState.mode,
-        noteContext
-      })
+      body,
+      signal
     });
 
+    if (response.status === 404) {
+      response = await authorizedFetch(`${backendBaseUrl}/ai/chat`, {
+        method: "POST",
+        headers: getJsonHeaders(),
+        body,
+        signal
+      });
+    }
+
     if (!response.ok) {
       const errorPayload = await response
         .json()
@@ -323,106 +743,440 @@ async function sendAiMessage(message) {
           reply:
             errorPayload.error ||
             "AI service is waking up or misconfigured on the backend.",
-          sources: []
+          sources: [],
+          failed: true
         };
       }
-      return { reply: errorPayload.error || "AI request failed.", sources: [] };
+      return { reply: errorPayload.error || "AI request failed.", sources: [], failed: true };
     }
 
-    const data = await response.json();
-    return {
-      reply: data.reply || "No response returned.",
-      sources: Array.isArray(data.sources) ? data.sources : []
-    };
+    if (!String(response.headers.get("Content-Type")).includes("text/event-stream")) {
+      const data = await response.json();
+      return {
+        reply: data.reply || "No response returned.",
+        sources: Array.isArray(data.sources) ? data.sources : []
+      };
+    }
+
+    let streamed = "";
+    let result = null;
+    await readAiEventStream(response, (event, data) => {
+      if (event === "token") {
+        streamed += data.text || "";
+        onToken?.(data.text || "", streamed);
+      } else if (event === "progress") {
+        onProgress?.(data);
+      } else if (event === "done") {
+        result = {
+          reply: data.reply || streamed || "No response returned.",
+          sources: Array.isArray(data.sources) ? data.sources : []
+        };
+      } else if (event === "error") {
+        result = { reply: data.error || "AI request failed.", sources: [], failed: true };
+      }
+    });
+    return result || { reply: streamed || "AI request failed.", sources: [] };
   } catch (error) {
-    return { reply: "Could not reach the backend.", sources: [] };
+    if (signal?.aborted) {
+      return { reply: "", sources: [], stopped: true };
+    }
+    return { reply: "Could not reach the backend.", sources: [], failed: true };
   }
 }
 
-async function submitAiMessage() {
-  const input = document.getElementById("chimera-ai-input");
-  if (!input) {
+async function requestConversations(path, { method = "GET", body } = {}) {
+  const res = await authorizedFetch(`${backendBaseUrl}/conversations${path}`, {
+    method,
+    headers: getJsonHeaders(),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw new Error(data.error || "Could not reach your conversations.");
+  }
+  return data;
+}
+
+function toThreadMessage(role, text, { sources = [], stopped = false } = {}) {
+  const message = { role, text };
+  if (sources.length) {
+    message.sources = sources;
+  }
+  if (stopped) {
+    message.stopped = true;
+  }
+  return message;
+}
+
+// Saves a finished exchange to the thread it happened in, creating the
+// thread on its first exchange. Signed-out chats stay in memory only.
+function saveAiExchange(thread, messages) {
+  if (!chimeraToken) {
     return;
   }
+  aiState.saveQueue = aiState.saveQueue
+    .then(async () => {
+      if (thread.id) {
+        await requestConversations(`/${encodeURIComponent(thread.id)}/messages`, {
+          method: "POST",
+          body: { messages }
+        });
+      } else {
+        const created = await requestConversations("", {
+          method: "POST",
+          body: { noteId: thread.noteId, messages }
+        });
+        thread.id = created.id;
+      }
+      refreshAiThreadList();
+    })
+    .catch((error) => {
+      console.warn("Could not save the AI conversation:", error.message);
+    });
+}
 
-  const text = input.value.trim();
-  if (!text) {
+function renderAiThread(messages) {
+  const container = document.getElementById("chimera-ai-messages");
+  if (container) {
+    container.innerHTML = "";
+  }
+  messages.forEach((message) => {
+    const messageEl = appendAiMessage(message.role === "assistant" ? "assistant" : "user", message.text);
+    if (messageEl && message.role === "assistant") {
+      renderAiReply(messageEl, message.text, Array.isArray(message.sources) ? message.sources : []);
+      messageEl.classList.toggle("stopped", Boolean(message.stopped));
+    }
+  });
+  aiState.history = messages
+    .map((message) => ({ role: message.role, text: message.text }))
+    .slice(-MAX_HISTORY_MESSAGES);
+}
+
+function startAiThread(greeting = AI_GREETING, { noteId = null } = {}) {
+  aiState.controller?.abort();
+  aiState.controller = null;
+  aiState.thread = { id: null, noteId };
+  renderAiThread([]);
+  appendAiMessage("assistant", greeting);
+  updateAiNoteLink();
+  refreshAiThreadList();
+}
+
+async function openAiThread(id) {
+  if (aiState.controller || id === aiState.thread.id) {
     return;
   }
+  try {
+    const conversation = await requestConversations(`/${encodeURIComponent(id)}`);
+    aiState.thread = { id: conversation.id, noteId: conversation.noteId };
+    renderAiThread(conversation.messages || []);
+    updateAiNoteLink();
+    refreshAiThreadList();
+  } catch (error) {
+    appendAiMessage("assistant", error.message);
+  }
+}
 
-  input.value = "";
-  appendAiMessage("user", text);
+function updateAiNoteLink() {
+  const button = document.getElementById("chimera-ai-note-link");
+  if (!button) {
+    return;
+  }
+  const linked = Boolean(aiState.openNoteId) && aiState.thread.noteId === aiState.openNoteId;
+  button.disabled = !chimeraToken || !aiState.openNoteId;
+  button.classList.toggle("active", linked);
+  button.textContent = linked ? "Linked to Note" : "Link to Note";
+  button.title = linked
+    ? "This conversation reopens with the note. Click to unlink it."
+    : "Reopen this conversation whenever the open note is opened";
+}
+
+async function toggleAiNoteLink() {
+  if (!aiState.openNoteId) {
+    return;
+  }
+  const thread = aiState.thread;
+  const previous = thread.noteId;
+  thread.noteId = previous === aiState.openNoteId ? null : aiState.openNoteId;
+  updateAiNoteLink();
+  if (!thread.id) {
+    return;
+  }
+  try {
+    await requestConversations(`/${encodeURIComponent(thread.id)}`, {
+      method: "PATCH",
+      body: { noteId: thread.noteId }
+    });
+    refreshAiThreadList();
+  } catch (error) {
+    thread.noteId = previous;
+    updateAiNoteLink();
+    appendAiMessage("assistant", error.message);
+  }
+}
+
+function formatThreadDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString();
+}
+
+function createThreadItem(conversation) {
+  const item = document.createElement("div");
+  item.className = "chimera-ai-thread";
+  item.classList.toggle("active", conversation.id === aiState.thread.id);
+
+  const open = document.createElement("button");
+  open.type = "button";
+  open.className = "chimera-ai-thread-open";
+  const title = document.createElement("span");
+  title.className = "chimera-ai-thread-title";
+  title.textContent = conversation.title;
+  const meta = document.createElement("span");
+  meta.className = "chimera-ai-thread-meta";
+  meta.textContent = [
+    formatThreadDate(conversation.updatedAt),
+    `${conversation.messageCount} message${conversation.messageCount === 1 ? "" : "s"}`,
+    conversation.noteId ? "linked to a note" : ""
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  open.append(title, meta);
+  open.addEventListener("click", () => openAiThread(conversation.id));
+
+  const rename = document.createElement("button");
+  rename.type = "button";
+  rename.className = "chimera-ai-thread-action";
+  rename.textContent = "Rename";
+  rename.addEventListener("click", async () => {
+    const next = window.prompt("Rename conversation:", conversation.title);
+    if (!next || !next.trim() || next.trim() === conversation.title) {
+      return;
+    }
+    try {
+      await requestConversations(`/${encodeURIComponent(conversation.id)}`, {
+        method: "PATCH",
+        body: { title: next.trim() }
+      });
+      refreshAiThreadList();
+    } catch (error) {
+      appendAiMessage("assistant", error.message);
+    }
+  });
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "chimera-ai-thread-action";
+  remove.textContent = "Delete";
+  remove.addEventListener("click", async () => {
+    if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await requestConversations(`/${encodeURIComponent(conversation.id)}`, { method: "DELETE" });
+      if (conversation.id === aiState.thread.id) {
+        startAiThread("Conversation deleted. Ready for your next prompt.");
+      } else {
+        refreshAiThreadList();
+      }
+    } catch (error) {
+      appendAiMessage("assistant", error.message);
+    }
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "chimera-ai-thread-actions";
+  actions.append(rename, remove);
+  item.append(open, actions);
+  return item;
+}
+
+// Redraws the sidebar when it is open.
+async function refreshAiThreadList() {
+  const sidebar = document.getElementById("chimera-ai-threads");
+  const list = document.getElementById("chimera-ai-thread-list");
+  if (!sidebar || !list || sidebar.classList.contains("hidden")) {
+    return;
+  }
+
+  const showNote = (text) => {
+    const note = document.createElement("p");
+    note.className = "chimera-ai-thread-empty";
+    note.textContent = text;
+    list.replaceChildren(note);
+  };
+  if (!chimeraToken) {
+    showNote("Sign in to keep your conversations.");
+    return;
+  }
+
+  const request = ++aiState.threadListRequest;
+  const query = String(document.getElementById("chimera-ai-thread-search")?.value || "").trim();
+  try {
+    const data = await requestConversations(query ? `?q=${encodeURIComponent(query)}` : "");
+    if (request !== aiState.threadListRequest) {
+      return;
+    }
+    const conversations = Array.isArray(data.conversations) ? data.conversations : [];
+    if (!conversations.length) {
+      showNote(query ? "No conversations match." : "No saved conversations yet.");
+      return;
+    }
+    list.replaceChildren(...conversations.map(createThreadItem));
+  } catch (error) {
+    if (request === aiState.threadListRequest) {
+      showNote(error.message);
+    }
+  }
+}
+
+/**
+ * Tells the AI panel which note is open (`null` for none). A thread linked
+ * to that note is brought back; a thread linked to another note is put away
+ * for a fresh one.
+ */
+export async function setAiOpenNote(noteId) {
+  const value = noteId === null || noteId === undefined ? null : String(noteId);
+  if (value === aiState.openNoteId) {
+    return;
+  }
+  aiState.openNoteId = value;
+  updateAiNoteLink();
+  if (!aiState.initialized || aiState.controller || (value && aiState.thread.noteId === value)) {
+    return;
+  }
+
+  const request = ++aiState.noteRequest;
+  let linked = null;
+  if (value && chimeraToken) {
+    try {
+      const data = await requestConversations(`?noteId=${encodeURIComponent(value)}&limit=1`);
+      linked = data.conversations?.[0] || null;
+    } catch (error) {
+      console.warn("Could not look up the note's AI conversation:", error.message);
+    }
+  }
+  if (request !== aiState.noteRequest || aiState.controller) {
+    return;
+  }
+
+  if (linked) {
+    await openAiThread(linked.id);
+  } else if (aiState.thread.noteId) {
+    startAiThread();
+  }
+}
 
-  aiState.history.push({ role: "user", text });
+// Sends `prompt` as the user's next message and streams the reply into the
+// panel. Partial text is kept when the user stops it.
+async function runAiExchange(prompt) {
+  const thread = aiState.thread;
+  appendAiMessage("user", prompt);
+  aiState.history.push({ role: "user", text: prompt });
   aiState.history = aiState.history.slice(-MAX_HISTORY_MESSAGES);
 
+  const controller = new AbortController();
+  aiState.controller = controller;
   setAiBusy(true);
   const thinkingMessage = appendThinkingMessage();
-  const result = await sendAiMessage(text);
+  let replyEl = null;
+  let streamed = "";
+
+  const result = await sendAiMessage(prompt, {
+    signal: controller.signal,
+    onProgress: (progress) => thinkingMessage?.setLabel(formatAiProgress(progress)),
+    onToken: (_text, soFar) => {
+      streamed = soFar;
+      if (!replyEl) {
+        thinkingMessage?.remove();
+        replyEl = appendAiMessage("assistant streaming", "");
+      }
+      if (replyEl) {
+        replyEl.textContent = soFar;
+        const messages = replyEl.parentElement;
+        const pinned = messages.scrollHeight - messages.scrollTop - messages.clientHeight < 48;
+        if (pinned) {
+          messages.scrollTop = messages.scrollHeight;
+        }
+      }
+    }
+  });
+
   thinkingMessage?.remove();
   setAiBusy(false);
+  if (aiState.controller !== controller) {
+    // The chat was cleared while this reply was streaming.
+    return;
+  }
+  aiState.controller = null;
 
-  const responseText = result?.reply || "No response returned.";
-  appendAiMessage("assistant", responseText);
+  const responseText = result?.stopped ? streamed : result?.reply || "No response returned.";
+  if (!replyEl) {
+    replyEl = appendAiMessage("assistant", responseText || "Stopped.");
+  }
+  if (replyEl) {
+    replyEl.classList.remove("streaming");
+    replyEl.classList.toggle("stopped", Boolean(result?.stopped));
+    if (!result?.stopped) {
+      renderAiReply(replyEl, responseText, result?.sources || []);
+    }
+  }
 
-  aiState.history.push({ role: "assistant", text: responseText });
-  aiState.history = aiState.history.slice(-MAX_HISTORY_MESSAGES);
+  if (responseText && !result?.failed) {
+    aiState.history.push({ role: "assistant", text: responseText });
+    aiState.history = aiState.history.slice(-MAX_HISTORY_MESSAGES);
+    saveAiExchange(thread, [
+      toThreadMessage("user", prompt),
+      toThreadMessage("assistant", responseText, {
+        sources: result?.stopped ? [] : result?.sources || [],
+        stopped: Boolean(result?.stopped)
+      })
+    ]);
+  }
 }
 
-export async function handleGoogleCredential(credential) {
-  if (!credential) {
-    console.error("Missing Google credential");
+async function submitAiMessage() {
+  const input = document.getElementById("chimera-ai-input");
+  if (!input) {
     return;
   }
 
-  // Always allow app entry after Google sign-in, even if backend is unreachable.
-  chimeraToken = credential;
-  const payload = decodeJwtPayload(credential);
-  if (payload) {
-    chimeraUser = {
-      userId: payload.sub,
-      email: payload.email,
-      name: payload.name,
-      picture: payload.picture
-    };
-    localStorage.setItem("chimeraUser", JSON.stringify(chimeraUser));
+  const text = input.value.trim();
+  if (!text) {
+    return;
   }
-  syncUserUi();
-  showMainApp();
-
-  let cloudNotes = [];
-  let authPlan = "free";
-  let authLimits = null;
-  let authSupportEmail = chimeraSupportEmail;
 
-  try {
-    const res = await fetch(`${backendBaseUrl}/auth/google`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ credential })
-    });
+  input.value = "";
+  await runAiExchange(text);
+}
 
-    if (res.ok) {
-      const data = await res.json();
-      chimeraUser = data.user || chimeraUser;
-      chimeraToken = data.token || chimeraToken;
-      authPlan = data.plan || data.user?.plan || "free";
-      authLimits = data.limits || null;
-      authSupportEmail = data.supportEmail || chimeraSupportEmail;
-      if (chimeraUser) {
-        localStorage.setItem("chimeraUser", JSON.stringify(chimeraUser));
-      }
-      syncUserUi();
-    } else {
-      console.warn(`Backend auth failed (${res.status}); continuing in local mode.`);
-    }
-  } catch (err) {
-    console.warn("Backend auth unavailable; continuing in local mode.", err);
+// Shows the app for `user`, starting in their own notes. A different
+// account's AI thread is closed, as it must not stay on screen or be
+// appended to.
+function setSignedInUser(user, previousUserId) {
+  chimeraUser = user;
+  activeWorkspaceId = null;
+  localStorage.setItem("chimeraUser", JSON.stringify(chimeraUser));
+  syncUserUi();
+  showMainApp();
+  if (aiState.initialized && previousUserId && previousUserId !== chimeraUser?.userId) {
+    startAiThread();
+  } else {
+    updateAiNoteLink();
   }
+}
 
-  setPlanState(authPlan, authLimits);
-  setSupportEmail(authSupportEmail);
+// Applies the plan from the backend's sign-in reply (free without one),
+// loads the account's cloud notes and tells the app who signed in.
+async function announceSignIn(data) {
+  setPlanState(data?.plan || data?.user?.plan || "free", data?.limits || null);
+  setSupportEmail(data?.supportEmail || chimeraSupportEmail);
 
+  let cloudNotes = [];
   try {
     cloudNotes = await loadNotesFromCloud();
   } catch {
@@ -442,15 +1196,140 @@ export async function handleGoogleCredential(credential) {
   );
 }
 
-export async function loadNotesFromCloud() {
-  if (!chimeraToken) {
-    return [];
+export async function handleGoogleCredential(credential) {
+  if (!credential) {
+    console.error("Missing Google credential");
+    return;
   }
 
-  const res = await fetch(`${backendBaseUrl}/notes`, {
-    headers: { Authorization: `Bearer ${chimeraToken}` }
-  });
-
+  // Always allow app entry after Google sign-in, even if backend is unreachable.
+  const previousUserId = chimeraUser?.userId || null;
+  if (chimeraRefreshToken) {
+    revokeSession(chimeraRefreshToken);
+  }
+  chimeraToken = credential;
+  chimeraRefreshToken = null;
+  pendingGoogleCredential = credential;
+  const payload = decodeJwtPayload(credential);
+  setSignedInUser(
+    payload
+      ? {
+          userId: payload.sub,
+          email: payload.email,
+          name: payload.name,
+          picture: payload.picture
+        }
+      : chimeraUser,
+    previousUserId
+  );
+
+  let data = null;
+  try {
+    // Shared with any cloud request made while signing in, so only one
+    // session is opened for this credential.
+    data = await refreshSession();
+    if (data) {
+      // A Google account linked to a local one signs in as that account.
+      chimeraUser = data.user || chimeraUser;
+      localStorage.setItem("chimeraUser", JSON.stringify(chimeraUser));
+      syncUserUi();
+    } else {
+      console.warn("Backend auth failed; continuing in local mode.");
+    }
+  } catch (err) {
+    console.warn("Backend auth unavailable; continuing in local mode.", err);
+  }
+
+  await announceSignIn(data);
+}
+
+async function postAccountRequest(path, body, fallbackMessage) {
+  const res = await fetch(`${backendBaseUrl}${path}`, {
+    method: "POST",
+    headers: getJsonHeaders(),
+    body: JSON.stringify(body)
+  });
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw createCloudError(data, fallbackMessage, "ACCOUNT_REQUEST_FAILED");
+  }
+  return data;
+}
+
+// Starts the session in a sign-in reply from the backend.
+async function startAccountSession(data) {
+  const previousUserId = chimeraUser?.userId || null;
+  if (chimeraRefreshToken) {
+    revokeSession(chimeraRefreshToken);
+  }
+  applySession(data);
+  setSignedInUser(data.user, previousUserId);
+  await announceSignIn(data);
+}
+
+export async function signInWithPassword(email, password) {
+  const data = await postAccountRequest(
+    "/auth/login",
+    { email, password },
+    "Could not sign in."
+  );
+  await startAccountSession(data);
+}
+
+// Creates a local account. It can be used once the link emailed to
+// `email` has been opened; resolves with the message to show meanwhile.
+export async function registerAccount({ name, email, password }) {
+  const data = await postAccountRequest(
+    "/auth/register",
+    { name, email, password },
+    "Could not create the account."
+  );
+  return data.message;
+}
+
+// Emails a sign-in link, or a password-reset link for `purpose: "reset"`.
+export async function requestMagicLink(email, purpose = "signin") {
+  const data = await postAccountRequest(
+    "/auth/magic-link",
+    { email, purpose },
+    "Could not send the email."
+  );
+  return data.message;
+}
+
+/**
+ * Signs in with the token from an emailed link. Reset links also need the
+ * new password; without it this throws with code PASSWORD_REQUIRED.
+ */
+export async function redeemMagicLink(token, password) {
+  const data = await postAccountRequest(
+    "/auth/magic-link/redeem",
+    { token, password },
+    "Could not open the link."
+  );
+  await startAccountSession(data);
+}
+
+export async function checkBackendHealth() {
+  try {
+    const res = await fetch(`${backendBaseUrl}/health`);
+    if (!res.ok) {
+      return false;
+    }
+    const data = await res.json();
+    return data?.db === true;
+  } catch {
+    return false;
+  }
+}
+
+export async function loadNotesFromCloud() {
+  if (!chimeraToken) {
+    return [];
+  }
+
+  const res = await authorizedFetch(`${backendBaseUrl}/notes`);
+
   if (!res.ok) {
     console.error("Failed to load notes");
     return [];
@@ -464,11 +1343,10 @@ export async function saveNoteToCloud(note) {
     return null;
   }
 
-  const res = await fetch(`${backendBaseUrl}/notes`, {
+  const res = await authorizedFetch(`${backendBaseUrl}/notes`, {
     method: "POST",
     headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${chimeraToken}`
+      "Content-Type": "application/json"
     },
     body: JSON.stringify(note)
   });
@@ -479,13 +1357,12 @@ export async function saveNoteToCloud(note) {
       setPlanState(data.plan, data.limits);
     }
 
-    const error = new Error(data.error || "Could not save note to cloud.");
-    error.code = data.errorCode || "NOTE_SAVE_FAILED";
-    error.limitType = data.limitType || null;
-    error.requiresPro = Boolean(data.requiresPro);
-    error.plan = data.plan || chimeraPlan;
-    error.limits = data.limits || chimeraLimits;
-    error.usage = data.usage || null;
+    const error = createCloudError(
+      data,
+      "Could not save note to cloud.",
+      res.status === 409 ? "NOTE_CONFLICT" : "NOTE_SAVE_FAILED"
+    );
+    error.current = data.current || null;
     throw error;
   }
 
@@ -493,7 +1370,89 @@ export async function saveNoteToCloud(note) {
     setPlanState(data.plan, data.limits);
   }
 
-  return data.id || null;
+  if (!data.id) {
+    return null;
+  }
+
+  return {
+    id: data.id,
+    revision: Number(data.revision) || 0
+  };
+}
+
+export async function loadSyncChanges(since = 0) {
+  if (!chimeraToken) {
+    return null;
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/sync?since=${encodeURIComponent(since)}`
+  );
+
+  if (!res.ok) {
+    console.error("Failed to load sync changes");
+    return null;
+  }
+
+  const data = await res.json();
+  return {
+    cursor: Number(data?.cursor) || 0,
+    hasMore: Boolean(data?.hasMore),
+    trashRetentionDays: Number(data?.trashRetentionDays) || null,
+    notes: Array.isArray(data?.notes) ? data.notes : [],
+    deleted: Array.isArray(data?.deleted) ? data.deleted : []
+  };
+}
+
+export async function searchNotesInCloud(query, filters = {}) {
+  if (!chimeraToken) {
+    return null;
+  }
+
+  const params = new URLSearchParams({ q: String(query || "") });
+  if (filters.folder) {
+    params.set("folder", filters.folder);
+  }
+  if (filters.from) {
+    params.set("from", String(filters.from));
+  }
+  if (filters.to) {
+    params.set("to", String(filters.to));
+  }
+  if (filters.mode === "semantic") {
+    params.set("mode", "semantic");
+  }
+
+  const res = await authorizedFetch(`${backendBaseUrl}/notes/search?${params}`);
+
+  if (!res.ok) {
+    console.error("Failed to search notes");
+    return null;
+  }
+
+  const data = await res.json();
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+// Notes closest in meaning to the cloud note `remoteId`, or null when the
+// backend cannot tell (signed out, offline or no embedding provider).
+export async function getRelatedNotes(remoteId, limit = 5) {
+  if (!chimeraToken || !remoteId) {
+    return null;
+  }
+
+  const params = new URLSearchParams({ limit: String(limit) });
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(remoteId)}/related?${params}`
+  );
+
+  if (!res.ok) {
+    console.error("Failed to load related notes");
+    return null;
+  }
+
+  const data = await res.json();
+  return Array.isArray(data?.results) ? data.results : [];
 }
 
 export async function deleteNoteFromCloud(id) {
@@ -501,12 +1460,391 @@ export async function deleteNoteFromCloud(id) {
     return false;
   }
 
-  const res = await fetch(`${backendBaseUrl}/notes/${id}`, {
-    method: "DELETE",
-    headers: { Authorization: `Bearer ${chimeraToken}` }
+  const res = await authorizedFetch(`${backendBaseUrl}/notes/${id}`, {
+    method: "DELETE"
+  });
+
+  if (!res.ok) {
+    const error = createCloudError(
+      await extractErrorPayload(res),
+      "Could not move note to trash in the cloud.",
+      "NOTE_DELETE_FAILED"
+    );
+    error.status = res.status;
+    throw error;
+  }
+
+  return true;
+}
+
+export async function restoreNoteFromCloud(id) {
+  if (!chimeraToken || !id) {
+    return null;
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(id)}/restore`,
+    {
+      method: "POST",
+      headers: getJsonHeaders(),
+      body: JSON.stringify({})
+    }
+  );
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    if (data?.plan || data?.limits) {
+      setPlanState(data.plan, data.limits);
+    }
+    const error = createCloudError(
+      data,
+      "Could not restore note from trash.",
+      "NOTE_RESTORE_FAILED"
+    );
+    error.status = res.status;
+    throw error;
+  }
+
+  return data.note || null;
+}
+
+export async function purgeNoteFromCloud(id) {
+  if (!chimeraToken || !id) {
+    return false;
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(id)}?permanent=true`,
+    {
+      method: "DELETE"
+    }
+  );
+
+  if (!res.ok) {
+    const error = createCloudError(
+      await extractErrorPayload(res),
+      "Could not delete note from the cloud.",
+      "NOTE_PURGE_FAILED"
+    );
+    error.status = res.status;
+    throw error;
+  }
+
+  return true;
+}
+
+export async function listNoteRevisions(remoteId) {
+  if (!chimeraToken || !remoteId) {
+    return [];
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(remoteId)}/revisions`
+  );
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw new Error(data.error || "Could not load note history.");
+  }
+
+  return Array.isArray(data) ? data : [];
+}
+
+export async function getNoteRevision(remoteId, rev) {
+  if (!chimeraToken || !remoteId) {
+    return null;
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(remoteId)}/revisions/` +
+      `${encodeURIComponent(rev)}`
+  );
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw new Error(data.error || "Could not load this revision.");
+  }
+
+  return data;
+}
+
+export async function restoreNoteRevision(remoteId, rev) {
+  if (!chimeraToken || !remoteId) {
+    throw new Error("Sign in first.");
+  }
+
+  const res = await authorizedFetch(
+    `${backendBaseUrl}/notes/${encodeURIComponent(remoteId)}/restore`,
+    {
+      method: "POST",
+      headers: getJsonHeaders(),
+      body: JSON.stringify({ rev })
+    }
+  );
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    if (data?.plan || data?.limits) {
+      setPlanState(data.plan, data.limits);
+    }
+
+    throw createCloudError(
+      data,
+      "Could not restore this revision.",
+      "NOTE_RESTORE_FAILED"
+    );
+  }
+
+  if (data?.plan || data?.limits) {
+    setPlanState(data.plan, data.limits);
+  }
+
+  return data.note || null;
+}
+
+// Sends an attachment under the id the note already references
+export async function uploadAttachment({ id, name, type, blob }) {
+  if (!chimeraToken) {
+    throw new Error("Sign in first.");
+  }
+
+  const params = new URLSearchParams({ id, name: name || "", type: type || "" });
+  const res = await authorizedFetch(`${backendBaseUrl}/attachments?${params}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/octet-stream"
+    },
+    body: blob
+  });
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    if (data?.plan || data?.limits) {
+      setPlanState(data.plan, data.limits);
+    }
+
+    throw createCloudError(
+      data,
+      "Could not upload this attachment.",
+      "ATTACHMENT_UPLOAD_FAILED"
+    );
+  }
+
+  return data.attachment || null;
+}
+
+export async function downloadAttachment(id) {
+  if (!chimeraToken || !id) {
+    return null;
+  }
+
+  const res = await authorizedFetch(`${backendBaseUrl}/attachments/${encodeURIComponent(id)}`);
+
+  if (res.status === 404) {
+    return null;
+  }
+  if (!res.ok) {
+    const data = await extractErrorPayload(res);
+    throw new Error(data.error || "Could not load this attachment.");
+  }
+
+  return res.blob();
+}
+
+// The server's zip of every cloud note, in the local zip export's layout
+export async function downloadCloudExport() {
+  if (!chimeraToken) {
+    throw new Error("Sign in first.");
+  }
+
+  const res = await authorizedFetch(`${backendBaseUrl}/export`);
+
+  if (!res.ok) {
+    const data = await extractErrorPayload(res);
+    if (data?.plan) {
+      setPlanState(data.plan, data.limits);
+    }
+    throw new Error(data.error || "Could not export your cloud notes.");
+  }
+
+  return res.blob();
+}
+
+// Points note requests at a workspace, or back at the user's own notes.
+export function setActiveWorkspace(id) {
+  activeWorkspaceId = id ? String(id) : null;
+}
+
+async function requestWorkspaces(path, { method = "GET", body } = {}) {
+  if (!chimeraToken) {
+    throw new Error("Sign in first.");
+  }
+
+  const res = await authorizedFetch(`${backendBaseUrl}/workspaces${path}`, {
+    method,
+    headers: getJsonHeaders(),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw createCloudError(data, "Could not reach your workspaces.", "WORKSPACE_REQUEST_FAILED");
+  }
+  return data;
+}
+
+// `{ workspaces, invitations }`: the user's workspaces with their role in
+// each, and invitations waiting for their email address
+export function listWorkspaces() {
+  return requestWorkspaces("");
+}
+
+export function createWorkspace(name) {
+  return requestWorkspaces("", { method: "POST", body: { name } });
+}
+
+// The workspace with its members, and pending invitations for its owner
+export function getWorkspace(id) {
+  return requestWorkspaces(`/${encodeURIComponent(id)}`);
+}
+
+export function renameWorkspace(id, name) {
+  return requestWorkspaces(`/${encodeURIComponent(id)}`, { method: "PATCH", body: { name } });
+}
+
+export function deleteWorkspace(id) {
+  return requestWorkspaces(`/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+// Resolves the invitation; `emailed` is false when no email went out.
+export function inviteToWorkspace(id, email, role = "editor") {
+  return requestWorkspaces(`/${encodeURIComponent(id)}/invitations`, {
+    method: "POST",
+    body: { email, role }
+  });
+}
+
+export function cancelWorkspaceInvitation(id, invitationId) {
+  return requestWorkspaces(
+    `/${encodeURIComponent(id)}/invitations/${encodeURIComponent(invitationId)}`,
+    { method: "DELETE" }
+  );
+}
+
+export function acceptWorkspaceInvitation(invitationId) {
+  return requestWorkspaces(`/invitations/${encodeURIComponent(invitationId)}/accept`, {
+    method: "POST"
+  });
+}
+
+export function declineWorkspaceInvitation(invitationId) {
+  return requestWorkspaces(`/invitations/${encodeURIComponent(invitationId)}`, {
+    method: "DELETE"
+  });
+}
+
+export function setWorkspaceMemberRole(id, userId, role) {
+  return requestWorkspaces(`/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, {
+    method: "PATCH",
+    body: { role }
+  });
+}
+
+// Removes a member; with the user's own id, leaves the workspace.
+export function removeWorkspaceMember(id, userId) {
+  return requestWorkspaces(`/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, {
+    method: "DELETE"
+  });
+}
+
+async function postShareRoom(path, body, fallbackMessage, fallbackCode) {
+  if (!chimeraToken) {
+    throw new Error("Sign in first.");
+  }
+
+  const res = await authorizedFetch(`${signalingBaseUrl}/p2p/rooms${path}`, {
+    method: "POST",
+    headers: getJsonHeaders(),
+    body: JSON.stringify(body)
   });
 
-  return res.ok;
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw createCloudError(data, fallbackMessage, fallbackCode);
+  }
+  return data;
+}
+
+export function createShareRoom(noteTitle, docId, state) {
+  return postShareRoom(
+    "",
+    { noteTitle, docId, state },
+    "Could not start sharing.",
+    "P2P_CREATE_FAILED"
+  );
+}
+
+export function joinShareRoom(code) {
+  return postShareRoom(
+    `/${encodeURIComponent(String(code || "").trim())}/join`,
+    {},
+    "Could not join this share code.",
+    "P2P_JOIN_FAILED"
+  );
+}
+
+export function sendShareSignal(code, peerId, to, payload) {
+  return postShareRoom(
+    `/${encodeURIComponent(code)}/signal`,
+    { peerId, to, payload },
+    "Could not reach the other device.",
+    "P2P_SIGNAL_FAILED"
+  );
+}
+
+// Sends CRDT operations, cursor presence and/or a new title through the
+// server, which merges and stores them.
+export function relayShareUpdate(code, peerId, update) {
+  return postShareRoom(
+    `/${encodeURIComponent(code)}/relay`,
+    { peerId, ...update },
+    "Could not send changes.",
+    "P2P_RELAY_FAILED"
+  );
+}
+
+export async function leaveShareRoom(code, peerId) {
+  try {
+    await postShareRoom(
+      `/${encodeURIComponent(code)}/leave`,
+      { peerId },
+      "Could not leave the share session.",
+      "P2P_LEAVE_FAILED"
+    );
+  } catch (error) {
+    console.warn(error.message);
+  }
+}
+
+// Resolves once messages arrive or the server's poll window ends.
+export async function pollShareSignals(code, peerId, signal) {
+  if (!chimeraToken) {
+    throw new Error("Sign in first.");
+  }
+
+  const params = new URLSearchParams({ peerId });
+  const res = await authorizedFetch(
+    `${signalingBaseUrl}/p2p/rooms/${encodeURIComponent(code)}/poll?${params}`,
+    { signal }
+  );
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw createCloudError(data, "Lost the share session.", "P2P_POLL_FAILED");
+  }
+  return {
+    messages: Array.isArray(data.messages) ? data.messages : [],
+    closed: Boolean(data.closed)
+  };
 }
 
 export function isProUser() {
@@ -523,11 +1861,10 @@ export async function upgradeToPro(code) {
     throw new Error("Enter your Pro code.");
   }
 
-  const res = await fetch(`${backendBaseUrl}/billing/upgrade`, {
+  const res = await authorizedFetch(`${backendBaseUrl}/billing/upgrade`, {
     method: "POST",
     headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${chimeraToken}`
+      "Content-Type": "application/json"
     },
     body: JSON.stringify({ code: normalizedCode })
   });
@@ -537,6 +1874,7 @@ export async function upgradeToPro(code) {
     throw new Error(data.error || "Upgrade failed.");
   }
 
+  chimeraToken = data.token || chimeraToken;
   setPlanState(data.plan, data.limits);
   setSupportEmail(data.supportEmail);
   return {
@@ -546,6 +1884,35 @@ export async function upgradeToPro(code) {
   };
 }
 
+// Runs an editor action (rewrite, summarize, ...) on `text`, the selection
+// or the whole open note. Resolves with `{ action, placement, result }`.
+export async function runAiNoteAction(action, { text, scope, signal } = {}) {
+  let res;
+  try {
+    res = await authorizedFetch(`${backendBaseUrl}/ai/actions/${encodeURIComponent(action)}`, {
+      method: "POST",
+      headers: getJsonHeaders(),
+      body: JSON.stringify({ text, scope, noteContext: getOpenNoteContext() }),
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw new Error("Could not reach the backend.");
+  }
+
+  const data = await extractErrorPayload(res);
+  if (!res.ok) {
+    throw createCloudError(data, "AI action failed.", "AI_ACTION_FAILED");
+  }
+  return {
+    action: data.action || action,
+    placement: data.placement || "replace",
+    result: String(data.result || "")
+  };
+}
+
 export function initAiTerminal() {
   if (aiState.initialized) {
     return;
@@ -553,17 +1920,18 @@ export function initAiTerminal() {
 
   ensureAiPanel();
   aiState.initialized = true;
-  appendAiMessage(
-    "assistant",
-    "Chimera AI is online. Ask anything and I will help."
-  );
+  appendAiMessage("assistant", AI_GREETING);
 
   const form = document.getElementById("chimera-ai-form");
   const input = document.getElementById("chimera-ai-input");
   const close = document.getElementById("chimera-ai-close");
   const clear = document.getElementById("chimera-ai-clear");
+  const threadsToggle = document.getElementById("chimera-ai-threads-toggle");
+  const threadSearch = document.getElementById("chimera-ai-thread-search");
+  const noteLinkButton = document.getElementById("chimera-ai-note-link");
   const chatModeButton = document.getElementById("chimera-ai-mode-chat");
   const deepModeButton = document.getElementById("chimera-ai-mode-deep");
+  const vaultModeButton = document.getElementById("chimera-ai-mode-vault");
   const suggestButton = document.getElementById("chimera-ai-note-suggest");
   const toolbarButton = document.getElementById("btn-open-ai");
 
@@ -572,6 +1940,10 @@ export function initAiTerminal() {
   if (form) {
     form.addEventListener("submit", async (event) => {
       event.preventDefault();
+      if (aiState.controller) {
+        aiState.controller.abort();
+        return;
+      }
       await submitAiMessage();
     });
   }
@@ -580,6 +1952,9 @@ export function initAiTerminal() {
     input.addEventListener("keydown", async (event) => {
       if (event.key === "Enter" && !event.shiftKey) {
         event.preventDefault();
+        if (aiState.controller) {
+          return;
+        }
         await submitAiMessage();
       }
     });
@@ -596,18 +1971,38 @@ export function initAiTerminal() {
 
   if (clear) {
     clear.addEventListener("click", () => {
-      aiState.history = [];
-      const messages = document.getElementById("chimera-ai-messages");
-      if (messages) {
-        messages.innerHTML = "";
+      startAiThread("New conversation. Ready for your next prompt.");
+    });
+  }
+
+  if (threadsToggle) {
+    threadsToggle.addEventListener("click", () => {
+      const sidebar = document.getElementById("chimera-ai-threads");
+      if (!sidebar) {
+        return;
+      }
+      const opening = sidebar.classList.contains("hidden");
+      sidebar.classList.toggle("hidden", !opening);
+      threadsToggle.classList.toggle("active", opening);
+      if (opening) {
+        refreshAiThreadList();
+        threadSearch?.focus();
       }
-      appendAiMessage(
-        "assistant",
-        "Chat cleared. Ready for your next prompt."
-      );
     });
   }
 
+  if (threadSearch) {
+    let searchTimer = null;
+    threadSearch.addEventListener("input", () => {
+      window.clearTimeout(searchTimer);
+      searchTimer = window.setTimeout(refreshAiThreadList, 250);
+    });
+  }
+
+  if (noteLinkButton) {
+    noteLinkButton.addEventListener("click", toggleAiNoteLink);
+  }
+
   if (chatModeButton) {
     chatModeButton.addEventListener("click", () => {
       setAiMode("chat");
@@ -625,6 +2020,18 @@ export function initAiTerminal() {
     });
   }
 
+  if (vaultModeButton) {
+    vaultModeButton.addEventListener("click", () => {
+      setAiMode("vault");
+      appendAiMessage(
+        "assistant",
+        chimeraToken
+          ? "Vault mode enabled. I will answer from your synced notes and link the ones I use."
+          : "Vault mode enabled. Sign in so I can search your synced notes."
+      );
+    });
+  }
+
   if (suggestButton) {
     suggestButton.addEventListener("click", async () => {
       const noteContext = getOpenNoteContext();
@@ -636,22 +2043,13 @@ export function initAiTerminal() {
         return;
       }
 
+      if (aiState.controller) {
+        return;
+      }
       setAiMode("chat");
-      const prompt =
-        "Read my current note and give practical suggestions to improve clarity, structure, and next actions.";
-      appendAiMessage("user", prompt);
-      aiState.history.push({ role: "user", text: prompt });
-      aiState.history = aiState.history.slice(-MAX_HISTORY_MESSAGES);
-      setAiBusy(true);
-      const thinkingMessage = appendThinkingMessage();
-      const result = await sendAiMessage(prompt);
-      thinkingMessage?.remove();
-      setAiBusy(false);
-
-      const responseText = result?.reply || "No response returned.";
-      appendAiMessage("assistant", responseText);
-      aiState.history.push({ role: "assistant", text: responseText });
-      aiState.history = aiState.history.slice(-MAX_HISTORY_MESSAGES);
+      await runAiExchange(
+        "Read my current note and give practical suggestions to improve clarity, structure, and next actions."
+      );
     });
   }
 
@@ -0,0 +1,889 @@
+/* ============================================================
+   Chimera Import
+   - Obsidian vaults: Markdown with [[links]], embeds and
+     attachment folders
+   - Notion exports: Markdown pages and CSV databases, with the
+     page id Notion appends to every file and folder name removed
+   - Evernote .enex exports: ENML converted to Markdown
+   - Internal links become [[Title]] links; source folders become
+     Chimera folders
+   - Files the notes embed or link to are given attachment ids
+     and their references rewritten to `attachments/<id>`
+   ============================================================ */
+
+const NOTION_ID = /\s+[0-9a-f]{32}$/i;
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const TEXT_FILE = /\.(md|markdown|csv|enex)$/i;
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const WIKI_LINK = /(!?)\[\[([^\[\]\n]+?)\]\]/g;
+const MARKDOWN_LINK = /(!?)\[([^\]\n]*)\]\((<[^>\n]+>|[^()\s]+(?:\([^()\s]*\)[^()\s]*)*)(?:\s+"[^"\n]*")?\)/g;
+const CHECKLIST_ITEM = /^- \[[ x]\] [^\n]*$/;
+const ENEX_DATE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+const MAX_CSV_ROWS = 2000;
+// Extensions browsers and zips do not give a type for; anything else is
+// uploaded as application/octet-stream.
+const ATTACHMENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  bmp: "image/bmp",
+  avif: "image/avif",
+  pdf: "application/pdf",
+  txt: "text/plain",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime"
+};
+const MAX_TITLE_LENGTH = 200;
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  middot: "·",
+  bull: "•"
+};
+const XML_VOID_TAGS = new Set(["br", "hr", "img", "en-media", "en-todo", "col", "input", "meta", "link"]);
+const XML_TAG =
+  /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+const XML_ATTRIBUTE = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const ENML_BLOCK_TAGS = new Set([
+  "div",
+  "p",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "ul",
+  "ol",
+  "pre",
+  "blockquote",
+  "table",
+  "hr",
+  "center",
+  "section",
+  "article",
+  "header",
+  "footer",
+  "en-note"
+]);
+
+function decodeText(bytes) {
+  return new TextDecoder("utf-8").decode(bytes).replace(/^\uFEFF/, "");
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function safeDecodeUri(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * A forgiving XML reader for ENEX and ENML: elements become
+ * `{ name, attrs, children }`, text and CDATA become strings. Mismatched
+ * closing tags close the nearest matching element instead of failing.
+ */
+export function parseXml(text) {
+  const root = { name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const append = (value) => {
+    if (value) {
+      stack[stack.length - 1].children.push(value);
+    }
+  };
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf("<", position);
+    if (open === -1) {
+      append(decodeEntities(text.slice(position)));
+      break;
+    }
+    if (open > position) {
+      append(decodeEntities(text.slice(position, open)));
+    }
+
+    if (text.startsWith("<![CDATA[", open)) {
+      const close = text.indexOf("]]>", open);
+      const end = close === -1 ? text.length : close;
+      append(text.slice(open + 9, end));
+      position = end + 3;
+      continue;
+    }
+    if (text.startsWith("<!--", open)) {
+      const close = text.indexOf("-->", open);
+      position = close === -1 ? text.length : close + 3;
+      continue;
+    }
+    if (text[open + 1] === "?" || text[open + 1] === "!") {
+      let close = text.indexOf(">", open);
+      const subset = text.indexOf("[", open);
+      if (text.startsWith("<!DOCTYPE", open) && subset !== -1 && close !== -1 && subset < close) {
+        close = text.indexOf("]>", subset) + 1;
+      }
+      position = close <= 0 ? text.length : close + 1;
+      continue;
+    }
+
+    XML_TAG.lastIndex = open;
+    const tag = XML_TAG.exec(text);
+    if (!tag) {
+      append("<");
+      position = open + 1;
+      continue;
+    }
+    position = XML_TAG.lastIndex;
+    const name = tag[2].toLowerCase();
+
+    if (tag[1]) {
+      const index = stack.map((element) => element.name).lastIndexOf(name);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const attrs = {};
+    for (const attribute of tag[3].matchAll(XML_ATTRIBUTE)) {
+      attrs[attribute[1].toLowerCase()] = decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? "");
+    }
+    const element = { name, attrs, children: [] };
+    append(element);
+    if (!tag[4] && !XML_VOID_TAGS.has(name)) {
+      stack.push(element);
+    }
+  }
+  return root;
+}
+
+function findChild(element, name) {
+  return element.children.find((child) => typeof child !== "string" && child.name === name) || null;
+}
+
+function findChildren(element, name) {
+  return element.children.filter((child) => typeof child !== "string" && child.name === name);
+}
+
+function textOf(element) {
+  if (!element) {
+    return "";
+  }
+  return element.children.map((child) => (typeof child === "string" ? child : textOf(child))).join("");
+}
+
+/* ------------------------------------------------------------
+   ENML to Markdown
+   ------------------------------------------------------------ */
+
+function renderInline(nodes) {
+  return nodes.map(renderInlineNode).join("");
+}
+
+function wrapInline(marker, content) {
+  const inner = content.trim();
+  if (!inner) {
+    return content;
+  }
+  const lead = content.match(/^\s*/)[0];
+  const trail = content.match(/\s*$/)[0];
+  return `${lead}${marker}${inner}${marker}${trail}`;
+}
+
+function renderInlineNode(node) {
+  if (typeof node === "string") {
+    return node.replace(/\s+/g, " ");
+  }
+  const content = () => renderInline(node.children);
+  switch (node.name) {
+    case "br":
+      return "\n";
+    case "b":
+    case "strong":
+      return wrapInline("**", content());
+    case "i":
+    case "em":
+      return wrapInline("*", content());
+    case "s":
+    case "strike":
+    case "del":
+      return wrapInline("~~", content());
+    case "code":
+    case "tt":
+      return wrapInline("`", textOf(node));
+    case "a": {
+      const label = content().trim();
+      const href = node.attrs.href || "";
+      return href ? `[${label || href}](${href.includes(" ") ? `<${href}>` : href})` : label;
+    }
+    case "img":
+      return /^https?:/i.test(node.attrs.src || "") ? `![${node.attrs.alt || ""}](${node.attrs.src})` : "";
+    case "en-todo":
+      return node.attrs.checked === "true" ? "[x] " : "[ ] ";
+    case "en-media":
+      return `*[attachment: ${node.attrs.type || "file"}]*`;
+    case "en-crypt":
+      return "*[encrypted text]*";
+    default:
+      return ENML_BLOCK_TAGS.has(node.name) || node.name === "li" ? ` ${content()} ` : content();
+  }
+}
+
+function finishParagraph(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+$/g, "").replace(/^[ \t]+/, ""))
+    .filter((line, index, all) => line || (index > 0 && index < all.length - 1));
+  const paragraph = lines.join("  \n").trim();
+  // Evernote checklists are a checkbox at the start of a line.
+  return paragraph.replace(/^\[( |x)\] /gm, "- [$1] ");
+}
+
+function renderList(list, depth) {
+  const ordered = list.name === "ol";
+  const indent = "   ".repeat(depth);
+  const lines = [];
+  findChildren(list, "li").forEach((item, index) => {
+    const marker = ordered ? `${index + 1}.` : "-";
+    const inline = [];
+    const nested = [];
+    for (const child of item.children) {
+      if (typeof child !== "string" && (child.name === "ul" || child.name === "ol")) {
+        nested.push(child);
+      } else {
+        inline.push(child);
+      }
+    }
+    const text = finishParagraph(renderInline(inline)).replace(/^- (\[[ x]\] )/, "$1");
+    lines.push(`${indent}${marker} ${text.replace(/\n/g, `\n${indent}   `)}`);
+    nested.forEach((child) => lines.push(renderList(child, depth + 1)));
+  });
+  return lines.join("\n");
+}
+
+function renderTable(table) {
+  const rows = [];
+  const collect = (element) => {
+    for (const child of element.children) {
+      if (typeof child === "string") {
+        continue;
+      }
+      if (child.name === "tr") {
+        rows.push(
+          child.children
+            .filter((cell) => typeof cell !== "string" && (cell.name === "td" || cell.name === "th"))
+            .map((cell) => escapeTableCell(finishParagraph(renderInline(cell.children))))
+        );
+      } else if (child.name === "thead" || child.name === "tbody" || child.name === "tfoot") {
+        collect(child);
+      }
+    }
+  };
+  collect(table);
+  return buildMarkdownTable(rows);
+}
+
+function renderBlocks(nodes, blocks) {
+  let inline = [];
+  const flush = () => {
+    const paragraph = finishParagraph(renderInline(inline));
+    if (paragraph) {
+      blocks.push(paragraph);
+    }
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (typeof node === "string" || !(ENML_BLOCK_TAGS.has(node.name) || node.name === "li")) {
+      inline.push(node);
+      continue;
+    }
+    flush();
+    const heading = node.name.match(/^h([1-6])$/);
+    if (heading) {
+      const text = finishParagraph(renderInline(node.children)).replace(/\s*\n\s*/g, " ");
+      if (text) {
+        blocks.push(`${"#".repeat(Number(heading[1]))} ${text}`);
+      }
+    } else if (node.name === "ul" || node.name === "ol") {
+      blocks.push(renderList(node, 0));
+    } else if (node.name === "pre") {
+      const code = textOf(node).replace(/\n+$/, "");
+      const fence = code.includes("```") ? "~~~" : "```";
+      blocks.push(`${fence}\n${code}\n${fence}`);
+    } else if (node.name === "blockquote") {
+      const inner = [];
+      renderBlocks(node.children, inner);
+      blocks.push(
+        inner
+          .join("\n\n")
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n")
+      );
+    } else if (node.name === "table") {
+      blocks.push(renderTable(node));
+    } else if (node.name === "hr") {
+      blocks.push("---");
+    } else {
+      renderBlocks(node.children, blocks);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/** Converts an ENML document (the body of an Evernote note) to Markdown. */
+export function enmlToMarkdown(enml) {
+  const root = parseXml(String(enml || ""));
+  const note = findChild(root, "en-note") || root;
+  const blocks = renderBlocks(note.children, []);
+  // Checklist lines are separate divs in ENML but one list here.
+  return blocks
+    .map((block, index) =>
+      index > 0 && CHECKLIST_ITEM.test(blocks[index - 1]) && CHECKLIST_ITEM.test(block) ? `\n${block}` : `\n\n${block}`
+    )
+    .join("")
+    .slice(2);
+}
+
+/* ------------------------------------------------------------
+   CSV
+   ------------------------------------------------------------ */
+
+/** RFC 4180 CSV: quoted fields may contain commas, quotes and newlines. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ").trim();
+}
+
+function buildMarkdownTable(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const width = Math.max(...rows.map((row) => row.length));
+  const pad = (row) => Array.from({ length: width }, (_, index) => row[index] ?? "");
+  const line = (row) => `| ${pad(row).join(" | ")} |`;
+  return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+/* ------------------------------------------------------------
+   Paths, titles and links
+   ------------------------------------------------------------ */
+
+// Notion appends a 32-character page id to every file and folder name.
+function cleanName(name) {
+  return safeDecodeUri(String(name || ""))
+    .replace(NOTION_ID, "")
+    .replace(/[\[\]|#^]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TITLE_LENGTH);
+}
+
+function stripExtension(name) {
+  return name.replace(/\.[^./]+$/, "");
+}
+
+function splitPath(path) {
+  const parts = path.split("/");
+  const fileName = parts.pop();
+  return { directory: parts, fileName };
+}
+
+function normalizePath(path) {
+  const parts = [];
+  for (const part of path.split("/")) {
+    if (!part || part === ".") {
+      continue;
+    }
+    if (part === "..") {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.join("/");
+}
+
+// Zips and picked folders usually wrap everything in one top-level folder
+// (the vault or export name); it is not a Chimera folder of its own.
+function stripCommonRoot(files) {
+  const first = files[0]?.path.split("/")[0];
+  const shared =
+    files.length > 0 && files.every((file) => file.path.includes("/") && file.path.split("/")[0] === first);
+  return shared ? files.map((file) => ({ ...file, path: file.path.slice(first.length + 1) })) : files;
+}
+
+function pathKey(path) {
+  return stripExtension(normalizePath(path)).toLowerCase();
+}
+
+function createLinkResolver(notes, attachmentFiles) {
+  const byPath = new Map();
+  const byName = new Map();
+  const byTitle = new Map();
+  for (const note of notes) {
+    if (note.path) {
+      byPath.set(pathKey(note.path), note);
+      const name = stripExtension(splitPath(note.path).fileName).toLowerCase();
+      if (!byName.has(name)) {
+        byName.set(name, note);
+      }
+    }
+    const title = note.title.toLowerCase();
+    if (!byTitle.has(title)) {
+      byTitle.set(title, note);
+    }
+  }
+  const attachmentsByKey = new Map(
+    attachmentFiles.map((file) => [normalizePath(file.path).toLowerCase(), file])
+  );
+
+  return {
+    // Relative to the linking file first, then from the vault root, then
+    // by file name anywhere, the way Obsidian resolves links.
+    resolve(fromPath, target) {
+      const decoded = safeDecodeUri(target.replace(/^<|>$/g, "")).split("#")[0].split("?")[0];
+      if (!decoded || URL_SCHEME.test(decoded)) {
+        return null;
+      }
+      const directory = fromPath ? splitPath(fromPath).directory.join("/") : "";
+      const candidates = [
+        directory ? `${directory}/${decoded}` : decoded,
+        decoded,
+        `${decoded}.md`
+      ];
+      for (const candidate of candidates) {
+        const note = byPath.get(pathKey(candidate));
+        if (note) {
+          return note;
+        }
+      }
+      const name = stripExtension(splitPath(normalizePath(decoded)).fileName).toLowerCase();
+      return byName.get(name) || byTitle.get(cleanName(name).toLowerCase()) || null;
+    },
+    byTitle(title) {
+      return byTitle.get(String(title || "").trim().toLowerCase()) || null;
+    },
+    findAttachment(fromPath, target) {
+      const decoded = safeDecodeUri(target.replace(/^<|>$/g, "")).split("#")[0];
+      const directory = fromPath ? splitPath(fromPath).directory.join("/") : "";
+      const suffix = `/${decoded.toLowerCase()}`;
+      return (
+        attachmentsByKey.get(normalizePath(directory ? `${directory}/${decoded}` : decoded).toLowerCase()) ||
+        attachmentsByKey.get(normalizePath(decoded).toLowerCase()) ||
+        [...attachmentsByKey].find(([key]) => key.endsWith(suffix))?.[1] ||
+        null
+      );
+    }
+  };
+}
+
+function formatWikiLink(title, label) {
+  const shown = String(label || "").trim();
+  return shown && shown.toLowerCase() !== title.toLowerCase() ? `[[${title}|${shown}]]` : `[[${title}]]`;
+}
+
+function escapeLinkLabel(label) {
+  return label.replace(/\s+/g, " ").replace(/[\[\]\\]/g, "\\$&");
+}
+
+function guessAttachmentType(path) {
+  const extension = path.split(".").pop().toLowerCase();
+  return ATTACHMENT_TYPES[extension] || "application/octet-stream";
+}
+
+// Rewrites links between imported notes as [[Title]] and references to
+// linked attachments as `attachments/<id>`; code is left alone.
+function convertLinks(content, note, resolver, stats, linkAttachment) {
+  const attachmentTarget = (target) => {
+    const file = resolver.findAttachment(note.path, target);
+    const linked = file && linkAttachment(file);
+    if (!linked) {
+      stats.attachmentLinks++;
+    }
+    return linked;
+  };
+  const convertProse = (text) =>
+    text
+      .replace(WIKI_LINK, (match, embed, inner) => {
+        const pipe = inner.indexOf("|");
+        const target = (pipe === -1 ? inner : inner.slice(0, pipe)).trim();
+        const alias = pipe === -1 ? "" : inner.slice(pipe + 1).trim();
+        const page = target.split("#")[0].trim();
+        if (!page) {
+          return alias || target.replace(/^#+\^?/, "");
+        }
+        if (embed && (resolver.findAttachment(note.path, page) || /\.(?!md$|markdown$)[a-z0-9]+$/i.test(page))) {
+          const linked = attachmentTarget(page);
+          if (!linked) {
+            return match;
+          }
+          // An alias on an image embed is its display size, not a caption.
+          const label = escapeLinkLabel(alias && !/^\d+(?:x\d+)?$/.test(alias) ? alias : linked.name);
+          const bang = linked.type.startsWith("image/") ? "!" : "";
+          return `${bang}[${label}](attachments/${linked.id})`;
+        }
+        const linked = resolver.resolve(note.path, page);
+        stats.links++;
+        return formatWikiLink(linked ? linked.title : cleanName(splitPath(page).fileName), alias);
+      })
+      .replace(MARKDOWN_LINK, (match, image, label, target) => {
+        if (image) {
+          if (!resolver.findAttachment(note.path, target)) {
+            return match;
+          }
+          const attachment = attachmentTarget(target);
+          return attachment ? `![${label}](attachments/${attachment.id})` : match;
+        }
+        const linked = /^evernote:/i.test(target) ? resolver.byTitle(label) : resolver.resolve(note.path, target);
+        if (!linked) {
+          if (!resolver.findAttachment(note.path, target)) {
+            return match;
+          }
+          const attachment = attachmentTarget(target);
+          return attachment ? `[${label}](attachments/${attachment.id})` : match;
+        }
+        stats.links++;
+        return formatWikiLink(linked.title, label);
+      });
+
+  let fence = null;
+  return content
+    .split("\n")
+    .map((line) => {
+      const marker = line.match(FENCE);
+      if (fence) {
+        if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+          fence = null;
+        }
+        return line;
+      }
+      if (marker) {
+        fence = marker[1];
+        return line;
+      }
+      return line
+        .split(/(`+[^`]*`+)/)
+        .map((part, index) => (index % 2 === 1 ? part : convertProse(part)))
+        .join("");
+    })
+    .join("\n");
+}
+
+/* ------------------------------------------------------------
+   Sources
+   ------------------------------------------------------------ */
+
+function folderFor(directory, options) {
+  const parts = directory.map(cleanName).filter(Boolean);
+  if (options.folder) {
+    parts.unshift(options.folder);
+  }
+  return parts.join("/") || options.defaultFolder;
+}
+
+function readMarkdownPage(file, options) {
+  const { directory, fileName } = splitPath(file.path);
+  const notion = NOTION_ID.test(stripExtension(fileName)) || directory.some((part) => NOTION_ID.test(part));
+  const title = cleanName(stripExtension(fileName)) || "Untitled Note";
+  let content = decodeText(file.bytes);
+  // Notion repeats the page title as a heading on the first line.
+  if (notion) {
+    const heading = content.match(/^# (.+)\r?\n+/);
+    if (heading && cleanName(heading[1]).toLowerCase() === title.toLowerCase()) {
+      content = content.slice(heading[0].length);
+    }
+  }
+  return {
+    title,
+    folder: folderFor(directory, options),
+    content,
+    lastModified: file.lastModified || Date.now(),
+    source: notion ? "notion" : "markdown",
+    path: file.path
+  };
+}
+
+function readCsvDatabase(file, options, warnings) {
+  const { directory, fileName } = splitPath(file.path);
+  const rows = parseCsv(decodeText(file.bytes));
+  if (rows.length > MAX_CSV_ROWS + 1) {
+    warnings.push(`"${fileName}" has ${rows.length - 1} rows; only the first ${MAX_CSV_ROWS} were kept.`);
+  }
+  return {
+    title: cleanName(stripExtension(fileName)) || "Untitled Table",
+    folder: folderFor(directory, options),
+    rows: rows.slice(0, MAX_CSV_ROWS + 1),
+    lastModified: file.lastModified || Date.now(),
+    source: "csv",
+    path: null
+  };
+}
+
+function parseEnexDate(value) {
+  const match = String(value || "").trim().match(ENEX_DATE);
+  return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : null;
+}
+
+function readEnexNotes(file, options) {
+  const { directory, fileName } = splitPath(file.path);
+  const notebook = cleanName(stripExtension(fileName));
+  const folder = folderFor([...directory, notebook], options);
+  const root = parseXml(decodeText(file.bytes));
+  const exported = findChild(root, "en-export") || root;
+
+  return findChildren(exported, "note").map((note) => {
+    const created = parseEnexDate(textOf(findChild(note, "created")));
+    const updated = parseEnexDate(textOf(findChild(note, "updated")));
+    const tags = findChildren(note, "tag")
+      .map((tag) => textOf(tag).trim().replace(/\s+/g, "-").replace(/[,\[\]]/g, ""))
+      .filter(Boolean);
+    const properties = [];
+    if (tags.length > 0) {
+      properties.push(`tags: [${tags.join(", ")}]`);
+    }
+    if (created) {
+      properties.push(`created: ${new Date(created).toISOString()}`);
+    }
+    const body = enmlToMarkdown(textOf(findChild(note, "content")));
+    return {
+      title: cleanName(textOf(findChild(note, "title"))) || "Untitled Note",
+      folder,
+      content: properties.length > 0 ? `---\n${properties.join("\n")}\n---\n${body}` : body,
+      lastModified: updated || created || file.lastModified || Date.now(),
+      source: "evernote",
+      path: null,
+      attachments: findChildren(note, "resource").length
+    };
+  });
+}
+
+/**
+ * Turns exported files into the notes to create, without writing
+ * anything: `files` is `[{ path, bytes, size, lastModified }]` from a
+ * zip, a picked folder or single files (`bytes` may be null for
+ * attachments).
+ *
+ * Resolves to `{ notes, attachments, linkedAttachments, skipped,
+ * warnings, stats }`, where every note is `{ title, folder, content,
+ * lastModified, source }` and `attachments` lists every other file.
+ * `options.folder` puts everything under one Chimera folder;
+ * `options.defaultFolder` receives files that sit at the top level.
+ *
+ * With `options.createAttachmentId`, each attachment a note embeds or
+ * links to gets an id and its references point at `attachments/<id>`;
+ * `linkedAttachments` is then `[{ id, name, type, size, file }]`, where
+ * `file` is the entry from `files` to upload. Files over
+ * `options.maxAttachmentBytes` are left out and their references kept.
+ */
+export function buildImportPlan(files, options = {}) {
+  const settings = {
+    folder: String(options.folder || "").trim().replace(/^\/+|\/+$/g, ""),
+    defaultFolder: options.defaultFolder || "General"
+  };
+  const maxAttachmentBytes = Number(options.maxAttachmentBytes) || Infinity;
+  const warnings = [];
+  const skipped = [];
+  const attachmentFiles = [];
+  const pages = [];
+  const tables = [];
+  const stats = { markdown: 0, notion: 0, csv: 0, evernote: 0, links: 0, attachmentLinks: 0 };
+
+  const visible = files.filter(
+    (file) => !file.path.split("/").some((part) => part.startsWith(".") || part === "__MACOSX")
+  );
+  const entries = stripCommonRoot(visible);
+  // Notion exports each database twice; the "_all" copy adds nothing.
+  const csvPaths = new Set(entries.filter((file) => /\.csv$/i.test(file.path)).map((file) => file.path));
+
+  for (const file of entries) {
+    try {
+      if (MARKDOWN_FILE.test(file.path) && file.bytes) {
+        pages.push(readMarkdownPage(file, settings));
+      } else if (/\.csv$/i.test(file.path) && file.bytes) {
+        const duplicate = /_all\.csv$/i.test(file.path) && csvPaths.has(file.path.replace(/_all\.csv$/i, ".csv"));
+        if (!duplicate) {
+          tables.push(readCsvDatabase(file, settings, warnings));
+        }
+      } else if (/\.enex$/i.test(file.path) && file.bytes) {
+        const notes = readEnexNotes(file, settings);
+        notes.forEach((note) => {
+          stats.attachmentLinks += note.attachments;
+          delete note.attachments;
+        });
+        pages.push(...notes);
+      } else if (!TEXT_FILE.test(file.path)) {
+        attachmentFiles.push(file);
+      } else {
+        skipped.push({ path: file.path, reason: "unreadable" });
+      }
+    } catch (error) {
+      skipped.push({ path: file.path, reason: error.message || "unreadable" });
+    }
+  }
+
+  const linked = new Map();
+  const tooLarge = new Set();
+  const linkAttachment = (file) => {
+    if (typeof options.createAttachmentId !== "function") {
+      return null;
+    }
+    if (Number(file.size) > maxAttachmentBytes) {
+      tooLarge.add(file.path);
+      return null;
+    }
+    if (!linked.has(file)) {
+      const name = splitPath(file.path).fileName;
+      linked.set(file, {
+        id: options.createAttachmentId(),
+        name,
+        type: file.type || guessAttachmentType(name),
+        size: Number(file.size) || 0,
+        file
+      });
+    }
+    return linked.get(file);
+  };
+
+  const resolver = createLinkResolver(pages, attachmentFiles);
+  const notes = pages.map((page) => {
+    stats[page.source]++;
+    return {
+      title: page.title,
+      folder: page.folder,
+      content: convertLinks(page.content, page, resolver, stats, linkAttachment),
+      lastModified: page.lastModified,
+      source: page.source
+    };
+  });
+
+  // Database rows that were exported as pages link to them.
+  for (const table of tables) {
+    stats.csv++;
+    const rows = table.rows.map((row, index) =>
+      row.map((cell, column) => {
+        const linked = index > 0 && column === 0 ? resolver.byTitle(cleanName(cell)) : null;
+        if (linked) {
+          stats.links++;
+        }
+        return linked ? `[[${linked.title}]]` : escapeTableCell(cell);
+      })
+    );
+    notes.push({
+      title: table.title,
+      folder: table.folder,
+      content: buildMarkdownTable(rows),
+      lastModified: table.lastModified,
+      source: "csv"
+    });
+  }
+
+  const titles = new Map();
+  notes.forEach((note) => {
+    const key = note.title.toLowerCase();
+    titles.set(key, (titles.get(key) || 0) + 1);
+  });
+  const repeated = [...titles.values()].filter((count) => count > 1).length;
+  if (repeated > 0) {
+    warnings.push(
+      `${repeated} title${repeated === 1 ? " is" : "s are"} used by more than one imported note; [[links]] to them open the first one.`
+    );
+  }
+
+  if (tooLarge.size > 0) {
+    warnings.push(
+      `${tooLarge.size} attachment${tooLarge.size === 1 ? " is" : "s are"} too large to upload; references to ${
+        tooLarge.size === 1 ? "it" : "them"
+      } stay in the text.`
+    );
+  }
+
+  return {
+    notes,
+    attachments: attachmentFiles.map((file) => file.path),
+    linkedAttachments: [...linked.values()],
+    skipped,
+    warnings,
+    stats
+  };
+}
+
+export function isImportTextFile(path) {
+  return TEXT_FILE.test(path);
+}
@@ -0,0 +1,1327 @@
+/* ============================================================
+   Chimera Markdown
+   - CommonMark block and inline parser
+   - GFM tables, task lists, strikethrough, autolinks, footnotes
+   - [[Wiki Links]] to other notes
+   - Allowlist HTML sanitizer applied to every render
+   ============================================================ */
+
+const TAB_STOP = 4;
+const MAX_NESTING = 40;
+
+const ESCAPABLE = /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const ENTITY = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+const WHITESPACE = /\s/;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const LIST_MARKER = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_REFERENCE =
+  /^ {0,3}\[((?:[^\]\\\n]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|\S+)(?:(?:[ \t]*\n[ \t]*|[ \t]+)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+const HTML_BLOCK_RAW = /^ {0,3}<(script|pre|style|textarea)(?=[\s>]|$)/i;
+const HTML_BLOCK_COMMENT = /^ {0,3}<!--/;
+const HTML_BLOCK_TAGS = new Set(
+  (
+    "address article aside base basefont blockquote body caption center col colgroup dd details " +
+    "dialog dir div dl dt fieldset figcaption figure footer form frame frameset h1 h2 h3 h4 h5 h6 " +
+    "head header hr html iframe legend li link main menu menuitem nav noframes ol optgroup option " +
+    "p param search section summary table tbody td tfoot th thead title tr track ul"
+  ).split(" ")
+);
+const HTML_BLOCK_TAG = /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(?=[\s/>]|$)/;
+const HTML_OPEN_TAG =
+  /^<[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>/;
+const HTML_CLOSE_TAG = /^<\/[a-zA-Z][a-zA-Z0-9-]*\s*>/;
+const HTML_COMMENT = /^<!--(?!>|->)[\s\S]*?-->/;
+
+const URI_AUTOLINK = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/;
+const EMAIL_AUTOLINK =
+  /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const EXTENDED_AUTOLINK = /^(?:https?:\/\/|www\.)[^\s<]*/i;
+const WIKI_LINK = /^\[\[([^[\]\n]+?)\]\]/;
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " "
+};
+
+function decodeEntities(value) {
+  return String(value).replace(
+    /&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([a-zA-Z][a-zA-Z0-9]{1,31}));/g,
+    (match, hex, decimal, name) => {
+      if (name) {
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)
+          ? NAMED_ENTITIES[name]
+          : match;
+      }
+      const code = hex ? parseInt(hex, 16) : Number(decimal);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "�";
+    }
+  );
+}
+
+function unescapeMarkdown(value) {
+  return decodeEntities(String(value).replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, "$1"));
+}
+
+const stickyPatterns = new Map();
+
+// Matches a ^-anchored pattern at `pos` without slicing the string.
+function matchAt(pattern, text, pos) {
+  let sticky = stickyPatterns.get(pattern);
+  if (!sticky) {
+    sticky = new RegExp(pattern.source.replace(/^\^/, ""), `${pattern.flags.replace("g", "")}y`);
+    stickyPatterns.set(pattern, sticky);
+  }
+  sticky.lastIndex = pos;
+  return sticky.exec(text);
+}
+
+function normalizeLabel(label) {
+  return String(label).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function slugifyFootnoteLabel(label) {
+  return String(label).replace(/[^\w-]/g, "-").toLowerCase();
+}
+
+// Tabs only matter for indentation, so expand the leading run of each line.
+function expandLeadingTabs(line) {
+  const match = line.match(/^[ \t]+/);
+  if (!match || !match[0].includes("\t")) {
+    return line;
+  }
+  let column = 0;
+  for (const char of match[0]) {
+    column = char === "\t" ? column + TAB_STOP - (column % TAB_STOP) : column + 1;
+  }
+  return " ".repeat(column) + line.slice(match[0].length);
+}
+
+function indentOf(line) {
+  return line.length - line.replace(/^ +/, "").length;
+}
+
+function isBlank(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+function stripIndent(line, count) {
+  const indent = Math.min(count, indentOf(line));
+  return line.slice(indent);
+}
+
+/* ------------------------------------------------------------
+   Block structure
+   ------------------------------------------------------------ */
+
+function parseListMarker(line) {
+  const match = line.match(LIST_MARKER);
+  if (!match) {
+    return null;
+  }
+  const marker = match[2];
+  const markerEnd = match[0].length;
+  const rest = line.slice(markerEnd);
+  const spaces = indentOf(rest);
+  const blankItem = isBlank(rest);
+  const padding = blankItem || spaces >= 5 ? 1 : spaces;
+  const ordered = /\d/.test(marker);
+
+  return {
+    ordered,
+    delimiter: ordered ? marker.slice(-1) : marker,
+    start: ordered ? Number(marker.slice(0, -1)) : 1,
+    contentIndent: markerEnd + padding,
+    firstLine: blankItem ? "" : rest.slice(padding),
+    blankItem
+  };
+}
+
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  if (header === undefined || delimiter === undefined) {
+    return false;
+  }
+  if (!header.includes("|") || !TABLE_DELIMITER.test(delimiter)) {
+    return false;
+  }
+  if (!delimiter.includes("|") && !/^\s*:?-+:?\s*$/.test(delimiter)) {
+    return false;
+  }
+  return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+function startsHtmlBlock(line, canInterruptParagraph) {
+  if (HTML_BLOCK_RAW.test(line) || HTML_BLOCK_COMMENT.test(line)) {
+    return true;
+  }
+  const tag = line.match(HTML_BLOCK_TAG);
+  if (tag && HTML_BLOCK_TAGS.has(tag[1].toLowerCase())) {
+    return true;
+  }
+  if (canInterruptParagraph) {
+    return false;
+  }
+  const trimmed = line.trim();
+  const complete = trimmed.match(HTML_OPEN_TAG) || trimmed.match(HTML_CLOSE_TAG);
+  return Boolean(complete && complete[0].length === trimmed.length);
+}
+
+// Whether a line ends a paragraph instead of continuing it
+function interruptsParagraph(line) {
+  if (
+    THEMATIC_BREAK.test(line) ||
+    ATX_HEADING.test(line) ||
+    FENCE_OPEN.test(line) ||
+    BLOCKQUOTE.test(line) ||
+    startsHtmlBlock(line, true)
+  ) {
+    return true;
+  }
+  const marker = parseListMarker(line);
+  return Boolean(marker && !marker.blankItem && (!marker.ordered || marker.start === 1));
+}
+
+function parseFencedCode(lines, index, match) {
+  const fenceIndent = match[1].length;
+  const fence = match[2];
+  const info = match[3].trim();
+  if (fence[0] === "`" && info.includes("`")) {
+    return null;
+  }
+  const closing = new RegExp(`^ {0,3}${fence[0] === "`" ? "`" : "~"}{${fence.length},}[ \\t]*$`);
+  const body = [];
+  let cursor = index + 1;
+  while (cursor < lines.length && !closing.test(lines[cursor])) {
+    body.push(stripIndent(lines[cursor], fenceIndent));
+    cursor++;
+  }
+  return {
+    block: {
+      type: "code",
+      info: unescapeMarkdown(info.split(/\s+/)[0] || ""),
+      text: body.length ? `${body.join("\n")}\n` : ""
+    },
+    next: cursor + 1
+  };
+}
+
+function parseHtmlBlock(lines, index) {
+  const line = lines[index];
+  const raw = line.match(HTML_BLOCK_RAW);
+  let end = null;
+  if (raw) {
+    end = new RegExp(`</${raw[1]}>`, "i");
+  } else if (HTML_BLOCK_COMMENT.test(line)) {
+    end = /-->/;
+  }
+
+  const body = [];
+  let cursor = index;
+  if (end) {
+    while (cursor < lines.length) {
+      body.push(lines[cursor]);
+      cursor++;
+      if (end.test(body[body.length - 1])) {
+        break;
+      }
+    }
+  } else {
+    while (cursor < lines.length && !isBlank(lines[cursor])) {
+      body.push(lines[cursor]);
+      cursor++;
+    }
+  }
+  return { block: { type: "html", text: body.join("\n") }, next: cursor };
+}
+
+function parseTable(lines, index) {
+  const head = splitTableRow(lines[index]);
+  const align = splitTableRow(lines[index + 1]).map((cell) => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    if (left) return "left";
+    return null;
+  });
+
+  const rows = [];
+  let cursor = index + 2;
+  while (cursor < lines.length) {
+    const line = lines[cursor];
+    if (isBlank(line) || interruptsParagraph(line)) {
+      break;
+    }
+    const cells = splitTableRow(line);
+    rows.push(head.map((_, column) => cells[column] || ""));
+    cursor++;
+  }
+  return { block: { type: "table", align, head, rows }, next: cursor };
+}
+
+// Pipes split cells unless escaped; the escape is left for the inline pass.
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith("|")) {
+    row = row.slice(1);
+  }
+  if (row.endsWith("|") && !row.endsWith("\\|")) {
+    row = row.slice(0, -1);
+  }
+  const cells = [];
+  let current = "";
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === "\\" && row[i + 1] === "|") {
+      current += "|";
+      i++;
+    } else if (row[i] === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += row[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function collectBlockquote(lines, index) {
+  const body = [];
+  let cursor = index;
+  while (cursor < lines.length) {
+    const line = lines[cursor];
+    if (BLOCKQUOTE.test(line)) {
+      const stripped = line.replace(/^ {0,3}>/, "");
+      body.push(stripped.startsWith(" ") ? stripped.slice(1) : stripped);
+    } else if (
+      !isBlank(line) &&
+      body.length > 0 &&
+      !isBlank(body[body.length - 1]) &&
+      !interruptsParagraph(line)
+    ) {
+      // Lazy continuation of a quoted paragraph
+      body.push(line);
+    } else {
+      break;
+    }
+    cursor++;
+  }
+  return { body, next: cursor };
+}
+
+function collectList(lines, index, first) {
+  const items = [];
+  let cursor = index;
+  let marker = first;
+  let loose = false;
+
+  while (marker) {
+    const body = [marker.firstLine];
+    let lastBlank = marker.blankItem;
+    let sawBlank = false;
+    cursor++;
+
+    while (cursor < lines.length) {
+      const line = lines[cursor];
+      if (isBlank(line)) {
+        // An item may start with at most one blank line.
+        if (marker.blankItem && body.length === 1) {
+          break;
+        }
+        body.push("");
+        lastBlank = true;
+        cursor++;
+        continue;
+      }
+      if (indentOf(line) >= marker.contentIndent) {
+        if (lastBlank && body.some((entry) => !isBlank(entry))) {
+          sawBlank = true;
+        }
+        body.push(line.slice(marker.contentIndent));
+        lastBlank = false;
+        cursor++;
+        continue;
+      }
+      if (!lastBlank && !isBlank(body[body.length - 1]) && !interruptsParagraph(line) && !parseListMarker(line)) {
+        body.push(line);
+        cursor++;
+        continue;
+      }
+      break;
+    }
+
+    while (body.length > 1 && isBlank(body[body.length - 1])) {
+      body.pop();
+    }
+    items.push({ body, sawBlank });
+
+    const nextLine = lines[cursor];
+    const next = nextLine === undefined || THEMATIC_BREAK.test(nextLine) ? null : parseListMarker(nextLine);
+    if (
+      next &&
+      next.ordered === first.ordered &&
+      next.delimiter === first.delimiter
+    ) {
+      if (lastBlank) {
+        loose = true;
+      }
+      marker = next;
+    } else {
+      marker = null;
+    }
+  }
+
+  return { items, loose, next: cursor };
+}
+
+function parseBlocks(lines, ctx, depth = 0) {
+  const blocks = [];
+  let index = 0;
+  let blankBefore = false;
+
+  const push = (block) => {
+    block.blankBefore = blankBefore;
+    blankBefore = false;
+    blocks.push(block);
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (isBlank(line)) {
+      blankBefore = blocks.length > 0;
+      index++;
+      continue;
+    }
+
+    if (indentOf(line) >= 4) {
+      const body = [];
+      while (index < lines.length && (isBlank(lines[index]) || indentOf(lines[index]) >= 4)) {
+        body.push(stripIndent(lines[index], 4));
+        index++;
+      }
+      while (body.length && isBlank(body[body.length - 1])) {
+        body.pop();
+      }
+      push({ type: "code", info: "", text: `${body.join("\n")}\n` });
+      continue;
+    }
+
+    const fence = line.match(FENCE_OPEN);
+    if (fence) {
+      const parsed = parseFencedCode(lines, index, fence);
+      if (parsed) {
+        push(parsed.block);
+        index = parsed.next;
+        continue;
+      }
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      const text = heading[2].trim().replace(/(?:^|[ \t]+)#+[ \t]*$/, "");
+      push({ type: "heading", level: heading[1].length, text: text.trim() });
+      index++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      push({ type: "hr" });
+      index++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quote = collectBlockquote(lines, index);
+      push({
+        type: "blockquote",
+        children: depth < MAX_NESTING ? parseBlocks(quote.body, ctx, depth + 1) : []
+      });
+      index = quote.next;
+      continue;
+    }
+
+    const footnote = line.match(FOOTNOTE_DEFINITION);
+    if (footnote) {
+      const body = [footnote[2]];
+      index++;
+      while (index < lines.length && (indentOf(lines[index]) >= 4 || (isBlank(lines[index]) && indentOf(lines[index + 1] || "") >= 4))) {
+        body.push(stripIndent(lines[index], 4));
+        index++;
+      }
+      const label = normalizeLabel(footnote[1]);
+      if (!ctx.footnotes.has(label)) {
+        ctx.footnotes.set(label, depth < MAX_NESTING ? parseBlocks(body, ctx, depth + 1) : []);
+      }
+      continue;
+    }
+
+    const marker = parseListMarker(line);
+    if (marker) {
+      const list = collectList(lines, index, marker);
+      const items = list.items.map((item) => {
+        const children = depth < MAX_NESTING ? parseBlocks(item.body, ctx, depth + 1) : [];
+        let task = null;
+        const firstChild = children[0];
+        if (firstChild && firstChild.type === "paragraph") {
+          const taskMatch = firstChild.text.match(/^\[([ xX])\][ \t]+/);
+          if (taskMatch) {
+            task = taskMatch[1] !== " ";
+            firstChild.text = firstChild.text.slice(taskMatch[0].length);
+          }
+        }
+        return { children, task, loose: item.sawBlank || children.some((child, i) => i > 0 && child.blankBefore) };
+      });
+      push({
+        type: "list",
+        ordered: marker.ordered,
+        start: marker.start,
+        tight: !list.loose && !items.some((item) => item.loose),
+        items
+      });
+      index = list.next;
+      continue;
+    }
+
+    if (startsHtmlBlock(line, false)) {
+      const parsed = parseHtmlBlock(lines, index);
+      push(parsed.block);
+      index = parsed.next;
+      continue;
+    }
+
+    if (isTableStart(lines, index)) {
+      const parsed = parseTable(lines, index);
+      push(parsed.block);
+      index = parsed.next;
+      continue;
+    }
+
+    // Paragraph, possibly turned into a setext heading
+    const body = [line.replace(/^ +/, "")];
+    index++;
+    let setextLevel = 0;
+    while (index < lines.length) {
+      const next = lines[index];
+      if (isBlank(next)) {
+        break;
+      }
+      const underline = next.match(SETEXT_UNDERLINE);
+      if (underline) {
+        setextLevel = underline[1][0] === "=" ? 1 : 2;
+        index++;
+        break;
+      }
+      if (interruptsParagraph(next) || isTableStart(lines, index)) {
+        break;
+      }
+      body.push(next.replace(/^ +/, ""));
+      index++;
+    }
+
+    let text = body.join("\n").replace(/[ \t]+$/, "");
+    text = extractLinkReferences(text, ctx);
+    if (setextLevel && text) {
+      push({ type: "heading", level: setextLevel, text });
+    } else if (text) {
+      push({ type: "paragraph", text });
+    } else if (setextLevel === 2) {
+      push({ type: "hr" });
+    }
+  }
+
+  return blocks;
+}
+
+function extractLinkReferences(text, ctx) {
+  let remaining = text;
+  let match = remaining.match(LINK_REFERENCE);
+  while (match && !match[1].startsWith("^")) {
+    const label = normalizeLabel(match[1]);
+    if (label && !ctx.refs.has(label)) {
+      const destination = match[2].startsWith("<") ? match[2].slice(1, -1) : match[2];
+      ctx.refs.set(label, {
+        href: unescapeMarkdown(destination),
+        title: match[3] ? unescapeMarkdown(match[3].slice(1, -1)) : ""
+      });
+    }
+    remaining = remaining.slice(match[0].length);
+    match = remaining.match(LINK_REFERENCE);
+  }
+  return remaining;
+}
+
+/* ------------------------------------------------------------
+   Inline content
+   ------------------------------------------------------------ */
+
+function classifyDelimiterRun(text, start, end) {
+  const before = start > 0 ? text[start - 1] : " ";
+  const after = end < text.length ? text[end] : " ";
+  const beforeSpace = WHITESPACE.test(before);
+  const afterSpace = WHITESPACE.test(after);
+  const beforePunct = PUNCTUATION.test(before);
+  const afterPunct = PUNCTUATION.test(after);
+  const left = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+  const right = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+  const char = text[start];
+
+  if (char === "_") {
+    return {
+      open: left && (!right || beforePunct),
+      close: right && (!left || afterPunct)
+    };
+  }
+  return { open: left, close: right };
+}
+
+function parseLinkTail(text, pos) {
+  // pos points at "(" right after "]"
+  let cursor = pos + 1;
+  const skipSpace = () => {
+    const match = matchAt(/^[ \t]*\n?[ \t]*/, text, cursor);
+    cursor += match[0].length;
+  };
+  skipSpace();
+
+  let href = "";
+  if (text[cursor] === "<") {
+    const match = matchAt(/^<((?:[^<>\n\\]|\\.)*)>/, text, cursor);
+    if (!match) return null;
+    href = match[1];
+    cursor += match[0].length;
+  } else {
+    let depth = 0;
+    const start = cursor;
+    while (cursor < text.length) {
+      const char = text[cursor];
+      if (char === "\\" && ESCAPABLE.test(text[cursor + 1] || "")) {
+        cursor += 2;
+        continue;
+      }
+      if (/[\s\x00-\x1f]/.test(char)) break;
+      if (char === "(") depth++;
+      if (char === ")") {
+        if (depth === 0) break;
+        depth--;
+      }
+      cursor++;
+    }
+    if (depth !== 0) return null;
+    href = text.slice(start, cursor);
+  }
+
+  const beforeTitle = cursor;
+  skipSpace();
+  let title = "";
+  const titleMatch =
+    cursor > beforeTitle &&
+    matchAt(/^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))/, text, cursor);
+  if (titleMatch) {
+    title = titleMatch[0].slice(1, -1);
+    cursor += titleMatch[0].length;
+    skipSpace();
+  }
+  if (text[cursor] !== ")") {
+    return null;
+  }
+  return {
+    href: unescapeMarkdown(href),
+    title: unescapeMarkdown(title),
+    end: cursor + 1
+  };
+}
+
+function trimExtendedAutolink(url) {
+  let trimmed = url.replace(/[?!.,:*_~'"]+$/, "");
+  while (trimmed.endsWith(")")) {
+    const open = (trimmed.match(/\(/g) || []).length;
+    const close = (trimmed.match(/\)/g) || []).length;
+    if (close <= open) break;
+    trimmed = trimmed.slice(0, -1).replace(/[?!.,:*_~'"]+$/, "");
+  }
+  if (/&[a-zA-Z0-9]+;$/.test(trimmed)) {
+    trimmed = trimmed.replace(/&[a-zA-Z0-9]+;$/, "");
+  }
+  return trimmed;
+}
+
+function canMatchDelimiters(opener, closer) {
+  if (opener.ch !== closer.ch) {
+    return false;
+  }
+  if (closer.ch === "~") {
+    return opener.n === closer.n && opener.n <= 2;
+  }
+  // CommonMark "rule of three" for runs that can both open and close
+  return !(
+    (opener.close || closer.open) &&
+    (opener.orig + closer.orig) % 3 === 0 &&
+    !(opener.orig % 3 === 0 && closer.orig % 3 === 0)
+  );
+}
+
+// Pairs delimiter runs into em/strong/del nodes, nearest opener first.
+function processEmphasis(nodes) {
+  const output = [];
+  const openers = [];
+
+  for (const node of nodes) {
+    if (node.t !== "delim") {
+      output.push(node);
+      continue;
+    }
+
+    while (node.close && node.n > 0) {
+      let stackIndex = openers.length - 1;
+      while (stackIndex >= 0 && !canMatchDelimiters(openers[stackIndex], node)) {
+        stackIndex--;
+      }
+      if (stackIndex === -1) {
+        break;
+      }
+
+      const opener = openers[stackIndex];
+      const outputIndex = output.lastIndexOf(opener);
+      const used = node.ch === "~" ? node.n : opener.n >= 2 && node.n >= 2 ? 2 : 1;
+      const type = node.ch === "~" ? "del" : used === 2 ? "strong" : "em";
+      const children = output.splice(outputIndex + 1);
+      output.push({ t: type, children });
+      // Openers inside the new node can no longer match anything.
+      openers.length = stackIndex + 1;
+      opener.n -= used;
+      node.n -= used;
+      if (opener.n === 0) {
+        output.splice(outputIndex, 1);
+        openers.pop();
+      }
+    }
+
+    if (node.n > 0) {
+      output.push(node);
+      if (node.open) {
+        openers.push(node);
+      }
+    }
+  }
+
+  return output;
+}
+
+function parseInline(text, ctx) {
+  const nodes = [];
+  const brackets = [];
+  let buffer = "";
+  let pos = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ t: "text", v: buffer });
+      buffer = "";
+    }
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+
+    if (char === "\\") {
+      if (text[pos + 1] === "\n") {
+        flush();
+        nodes.push({ t: "br" });
+        pos += 2;
+        continue;
+      }
+      if (ESCAPABLE.test(text[pos + 1] || "")) {
+        buffer += text[pos + 1];
+        pos += 2;
+        continue;
+      }
+      buffer += char;
+      pos++;
+      continue;
+    }
+
+    if (char === "`") {
+      const run = matchAt(/^`+/, text, pos)[0];
+      const closing = new RegExp(`(?<!\`)${run}(?!\`)`, "g");
+      closing.lastIndex = pos + run.length;
+      const found = closing.exec(text);
+      if (found) {
+        let code = text.slice(pos + run.length, found.index).replace(/\n/g, " ");
+        if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) {
+          code = code.slice(1, -1);
+        }
+        flush();
+        nodes.push({ t: "code", v: code });
+        pos = found.index + run.length;
+      } else {
+        buffer += run;
+        pos += run.length;
+      }
+      continue;
+    }
+
+    if (char === "*" || char === "_" || char === "~") {
+      const run = matchAt(char === "*" ? /^\*+/ : char === "_" ? /^_+/ : /^~+/, text, pos)[0];
+      const { open, close } = classifyDelimiterRun(text, pos, pos + run.length);
+      if ((char === "~" && run.length > 2) || (!open && !close)) {
+        buffer += run;
+      } else {
+        flush();
+        nodes.push({ t: "delim", ch: char, n: run.length, orig: run.length, open, close });
+      }
+      pos += run.length;
+      continue;
+    }
+
+    if (char === "[" && text[pos + 1] === "[") {
+      const wiki = matchAt(WIKI_LINK, text, pos);
+      if (wiki) {
+        const inner = wiki[1];
+        const pipe = inner.indexOf("|");
+        const target = (pipe === -1 ? inner : inner.slice(0, pipe)).trim();
+        const label = (pipe === -1 ? "" : inner.slice(pipe + 1).trim()) || target;
+        if (target) {
+          flush();
+          nodes.push({ t: "wiki", target, label });
+          pos += wiki[0].length;
+          continue;
+        }
+      }
+    }
+
+    if (char === "[" && text[pos + 1] === "^") {
+      const footnote = matchAt(FOOTNOTE_REFERENCE, text, pos);
+      if (footnote && ctx.footnotes.has(normalizeLabel(footnote[1]))) {
+        flush();
+        nodes.push({ t: "fnref", label: normalizeLabel(footnote[1]) });
+        pos += footnote[0].length;
+        continue;
+      }
+    }
+
+    if (char === "[" || (char === "!" && text[pos + 1] === "[")) {
+      flush();
+      const image = char === "!";
+      const bracket = {
+        t: "bracket",
+        image,
+        active: true,
+        index: nodes.length,
+        source: pos + (image ? 2 : 1)
+      };
+      nodes.push(bracket);
+      brackets.push(bracket);
+      pos += image ? 2 : 1;
+      continue;
+    }
+
+    if (char === "]") {
+      const opener = brackets.pop();
+      if (!opener) {
+        buffer += "]";
+        pos++;
+        continue;
+      }
+
+      flush();
+      const openerIndex = opener.index;
+      let target = null;
+      let end = pos + 1;
+      if (opener.active) {
+        if (text[pos + 1] === "(") {
+          target = parseLinkTail(text, pos + 1);
+          if (target) end = target.end;
+        }
+        // Reference labels are capped at 999 characters by CommonMark.
+        if (!target && ctx.refs.size > 0 && pos - opener.source <= 999) {
+          const labelText = text.slice(opener.source, pos);
+          const full = matchAt(/^\[((?:[^\]\\]|\\.){0,999})\]/, text, pos + 1);
+          let label = labelText;
+          if (full) {
+            label = full[1].trim() ? full[1] : labelText;
+          }
+          const ref = ctx.refs.get(normalizeLabel(label));
+          if (ref) {
+            target = ref;
+            end = full ? pos + 1 + full[0].length : pos + 1;
+          }
+        }
+      }
+
+      if (!target) {
+        nodes.splice(openerIndex, 1, { t: "text", v: opener.image ? "![" : "[" });
+        buffer += "]";
+        pos++;
+        continue;
+      }
+
+      const children = processEmphasis(nodes.splice(openerIndex + 1));
+      nodes.pop();
+      nodes.push({
+        t: opener.image ? "image" : "link",
+        href: target.href,
+        title: target.title,
+        children
+      });
+      if (!opener.image) {
+        // Links cannot contain other links.
+        brackets.forEach((bracket) => {
+          if (!bracket.image) {
+            bracket.active = false;
+          }
+        });
+      }
+      pos = end;
+      continue;
+    }
+
+    if (char === "<") {
+      const uri = matchAt(URI_AUTOLINK, text, pos);
+      const email = !uri && matchAt(EMAIL_AUTOLINK, text, pos);
+      if (uri || email) {
+        flush();
+        const address = (uri || email)[1];
+        nodes.push({ t: "autolink", href: email ? `mailto:${address}` : address, text: address });
+        pos += (uri || email)[0].length;
+        continue;
+      }
+      const html = matchAt(HTML_OPEN_TAG, text, pos) || matchAt(HTML_CLOSE_TAG, text, pos) || matchAt(HTML_COMMENT, text, pos);
+      if (html) {
+        flush();
+        nodes.push({ t: "html", v: html[0] });
+        pos += html[0].length;
+        continue;
+      }
+      buffer += char;
+      pos++;
+      continue;
+    }
+
+    if (char === "&") {
+      const entity = matchAt(ENTITY, text, pos);
+      if (entity) {
+        const decoded = decodeEntities(entity[0]);
+        if (decoded === entity[0]) {
+          // Named entities outside the small table are left for the browser.
+          flush();
+          nodes.push({ t: "html", v: entity[0] });
+        } else {
+          buffer += decoded;
+        }
+        pos += entity[0].length;
+        continue;
+      }
+      buffer += char;
+      pos++;
+      continue;
+    }
+
+    if (char === "\n") {
+      const trailing = buffer.match(/ *$/)[0].length;
+      buffer = buffer.slice(0, buffer.length - trailing);
+      flush();
+      nodes.push({ t: trailing >= 2 ? "br" : "softbr" });
+      pos++;
+      while (text[pos] === " ") pos++;
+      continue;
+    }
+
+    if ((char === "h" || char === "w" || char === "H" || char === "W") && (pos === 0 || /[\s*_~(]/.test(text[pos - 1]))) {
+      const auto = matchAt(EXTENDED_AUTOLINK, text, pos);
+      if (auto) {
+        const url = trimExtendedAutolink(auto[0]);
+        if (/^(?:https?:\/\/|www\.)[^./\s]+\.[^\s]*/i.test(url) || /^https?:\/\/[^\s/]+/i.test(url)) {
+          flush();
+          nodes.push({
+            t: "autolink",
+            href: /^www\./i.test(url) ? `http://${url}` : url,
+            text: url
+          });
+          pos += url.length;
+          continue;
+        }
+      }
+    }
+
+    buffer += char;
+    pos++;
+  }
+
+  flush();
+  return processEmphasis(nodes);
+}
+
+function renderInlineNodes(nodes, ctx) {
+  return nodes
+    .map((node) => {
+      switch (node.t) {
+        case "text":
+          return escapeHtml(node.v);
+        case "delim":
+          return escapeHtml(node.ch.repeat(node.n));
+        case "bracket":
+          return node.image ? "![" : "[";
+        case "code":
+          return `<code>${escapeHtml(node.v)}</code>`;
+        case "br":
+          return "<br>\n";
+        case "softbr":
+          return "\n";
+        case "em":
+        case "strong":
+        case "del":
+          return `<${node.t}>${renderInlineNodes(node.children, ctx)}</${node.t}>`;
+        case "link": {
+          const title = node.title ? ` title="${escapeHtml(node.title)}"` : "";
+          return `<a href="${escapeHtml(node.href)}"${title}>${renderInlineNodes(node.children, ctx)}</a>`;
+        }
+        case "image": {
+          const title = node.title ? ` title="${escapeHtml(node.title)}"` : "";
+          return `<img src="${escapeHtml(node.href)}" alt="${escapeHtml(plainText(node.children))}"${title}>`;
+        }
+        case "autolink":
+          return `<a href="${escapeHtml(node.href)}">${escapeHtml(node.text)}</a>`;
+        case "wiki": {
+          const exists = ctx.resolveWikiLink ? ctx.resolveWikiLink(node.target) : true;
+          const href = (ctx.wikiLinkHref && ctx.wikiLinkHref(node.target)) || "#";
+          return `<a href="${escapeHtml(href)}" class="internal-link${exists ? "" : " missing"}" data-note-title="${escapeHtml(node.target)}">${escapeHtml(node.label)}</a>`;
+        }
+        case "fnref": {
+          if (!ctx.footnoteOrder.includes(node.label)) {
+            ctx.footnoteOrder.push(node.label);
+          }
+          const number = ctx.footnoteOrder.indexOf(node.label) + 1;
+          const slug = slugifyFootnoteLabel(node.label);
+          return `<sup><a href="#fn-${slug}" id="fnref-${slug}" class="footnote-ref">${number}</a></sup>`;
+        }
+        case "html":
+          return node.v;
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+function plainText(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.t === "text" || node.t === "code") return node.v;
+      if (node.t === "delim") return node.ch.repeat(node.n);
+      if (node.t === "autolink") return node.text;
+      if (node.t === "wiki") return node.label;
+      if (node.t === "softbr" || node.t === "br") return " ";
+      if (node.children) return plainText(node.children);
+      return "";
+    })
+    .join("");
+}
+
+function renderInline(text, ctx) {
+  return renderInlineNodes(parseInline(text, ctx), ctx);
+}
+
+/* ------------------------------------------------------------
+   HTML output
+   ------------------------------------------------------------ */
+
+function renderBlocks(blocks, ctx, tight = false) {
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case "paragraph":
+          return tight
+            ? renderInline(block.text, ctx)
+            : `<p>${renderInline(block.text, ctx)}</p>`;
+        case "heading":
+          return `<h${block.level}>${renderInline(block.text, ctx)}</h${block.level}>`;
+        case "hr":
+          return "<hr>";
+        case "code": {
+          const language = block.info.replace(/[^\w+#.-]/g, "");
+          const className = language ? ` class="language-${escapeHtml(language)}"` : "";
+          return `<pre><code${className}>${escapeHtml(block.text)}</code></pre>`;
+        }
+        case "blockquote":
+          return `<blockquote>\n${renderBlocks(block.children, ctx)}\n</blockquote>`;
+        case "list":
+          return renderList(block, ctx);
+        case "table":
+          return renderTable(block, ctx);
+        case "html":
+          return block.text;
+        default:
+          return "";
+      }
+    })
+    .join("\n");
+}
+
+function renderList(block, ctx) {
+  const tag = block.ordered ? "ol" : "ul";
+  const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : "";
+  const hasTasks = block.items.some((item) => item.task !== null);
+  const listClass = hasTasks ? ' class="contains-task-list"' : "";
+
+  const items = block.items.map((item) => {
+    const checkbox =
+      item.task === null
+        ? ""
+        : `<input type="checkbox" class="task-list-item-checkbox" disabled${item.task ? " checked" : ""}> `;
+    const itemClass = item.task === null ? "" : ' class="task-list-item"';
+    const body = renderBlocks(item.children, ctx, block.tight);
+    if (!block.tight && item.children.length > 0) {
+      return `<li${itemClass}>${checkbox}\n${body}\n</li>`;
+    }
+    return `<li${itemClass}>${checkbox}${body}</li>`;
+  });
+
+  return `<${tag}${start}${listClass}>\n${items.join("\n")}\n</${tag}>`;
+}
+
+function renderTable(block, ctx) {
+  const cell = (tag, text, column) => {
+    const align = block.align[column] ? ` align="${block.align[column]}"` : "";
+    return `<${tag}${align}>${renderInline(text, ctx)}</${tag}>`;
+  };
+  const head = `<thead>\n<tr>\n${block.head.map((text, column) => cell("th", text, column)).join("\n")}\n</tr>\n</thead>`;
+  const body = block.rows.length
+    ? `\n<tbody>\n${block.rows
+        .map((row) => `<tr>\n${row.map((text, column) => cell("td", text, column)).join("\n")}\n</tr>`)
+        .join("\n")}\n</tbody>`
+    : "";
+  return `<table>\n${head}${body}\n</table>`;
+}
+
+function renderFootnotes(ctx) {
+  if (ctx.footnoteOrder.length === 0) {
+    return "";
+  }
+  const items = [];
+  // Footnotes can reference further footnotes, which extends the order.
+  for (let i = 0; i < ctx.footnoteOrder.length; i++) {
+    const label = ctx.footnoteOrder[i];
+    const slug = slugifyFootnoteLabel(label);
+    const backref = ` <a href="#fnref-${slug}" class="footnote-backref" aria-label="Back to content">↩</a>`;
+    const blocks = ctx.footnotes.get(label) || [];
+    let body = renderBlocks(blocks, ctx);
+    if (body.endsWith("</p>")) {
+      body = `${body.slice(0, -4)}${backref}</p>`;
+    } else {
+      body += backref;
+    }
+    items.push(`<li id="fn-${slug}">\n${body}\n</li>`);
+  }
+  return `<section class="footnotes">\n<ol>\n${items.join("\n")}\n</ol>\n</section>`;
+}
+
+/* ------------------------------------------------------------
+   Sanitizer
+   ------------------------------------------------------------ */
+
+const ALLOWED_TAGS = new Set(
+  (
+    "a abbr b blockquote br code dd del details div dl dt em h1 h2 h3 h4 h5 h6 hr i img input ins " +
+    "kbd li mark ol p pre q s section small span strong sub summary sup table tbody td tfoot th " +
+    "thead tr u ul"
+  ).split(" ")
+);
+const VOID_TAGS = new Set(["br", "hr", "img", "input"]);
+// Dropped together with everything inside them
+const DROPPED_CONTENT_TAGS = new Set(
+  "script style iframe object embed noscript template textarea title xmp noembed noframes select svg math".split(" ")
+);
+const GLOBAL_ATTRIBUTES = new Set(["title", "class", "lang", "dir"]);
+const TAG_ATTRIBUTES = {
+  a: new Set(["href", "id", "data-note-title", "aria-label"]),
+  img: new Set(["src", "alt", "width", "height"]),
+  input: new Set(["type", "checked", "disabled"]),
+  ol: new Set(["start"]),
+  li: new Set(["id"]),
+  td: new Set(["align", "colspan", "rowspan"]),
+  th: new Set(["align", "colspan", "rowspan"]),
+  details: new Set(["open"])
+};
+const ALLOWED_CLASS =
+  /^(?:language-[\w+#.-]+|internal-link|missing|contains-task-list|task-list-item|task-list-item-checkbox|footnotes|footnote-ref|footnote-backref)$/;
+const SAFE_URL = /^(?:https?:|mailto:|tel:|#|\/|\.{0,2}\/|[^:/?#]*(?:[/?#]|$))/i;
+const SAFE_IMAGE_DATA = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]+$/i;
+const TAG_PATTERN =
+  /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[\s\S]*?(?:\?>|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function isSafeUrl(value, allowImageData) {
+  // Strip characters browsers ignore inside a scheme, e.g. "java\nscript:".
+  const url = decodeEntities(value).replace(/[\x00-\x20\x7f]+/g, "");
+  if (allowImageData && SAFE_IMAGE_DATA.test(url)) {
+    return true;
+  }
+  return SAFE_URL.test(url);
+}
+
+function sanitizeAttributes(tag, rawAttributes) {
+  const allowed = TAG_ATTRIBUTES[tag] || new Set();
+  const output = [];
+  let hasHref = false;
+  let external = false;
+  let relative = false;
+  let internalLink = false;
+
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const rawValue = match[2] ?? match[3] ?? match[4] ?? "";
+    let value = decodeEntities(rawValue);
+    if (!GLOBAL_ATTRIBUTES.has(name) && !allowed.has(name)) {
+      continue;
+    }
+
+    if (name === "href" || name === "src") {
+      if (!isSafeUrl(value, tag === "img" && name === "src")) {
+        continue;
+      }
+      if (name === "href") {
+        hasHref = true;
+        external = !value.trim().startsWith("#");
+        relative = !/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(value.trim());
+      }
+    } else if (name === "class") {
+      value = value.split(/\s+/).filter((token) => ALLOWED_CLASS.test(token)).join(" ");
+      if (!value) continue;
+      internalLink = value.split(" ").includes("internal-link");
+    } else if (name === "id") {
+      if (!/^fn(?:ref)?-[\w-]+$/.test(value)) continue;
+    } else if (name === "type") {
+      if (value.toLowerCase() !== "checkbox") return null;
+    } else if (name === "align") {
+      if (!/^(?:left|center|right)$/i.test(value)) continue;
+    } else if (name === "start" || name === "colspan" || name === "rowspan" || name === "width" || name === "height") {
+      if (!/^\d{1,4}$/.test(value.trim())) continue;
+    } else if (name === "dir") {
+      if (!/^(?:ltr|rtl|auto)$/i.test(value)) continue;
+    }
+
+    const booleanAttribute = name === "checked" || name === "disabled" || name === "open";
+    output.push(booleanAttribute ? name : `${name}="${escapeHtml(value)}"`);
+  }
+
+  if (tag === "input") {
+    if (!output.includes('type="checkbox"')) return null;
+    if (!output.includes("disabled")) output.push("disabled");
+  }
+  // [[links]] in an exported site point at sibling pages and open in place.
+  if (tag === "a" && hasHref && external && !(internalLink && relative)) {
+    output.push('target="_blank"', 'rel="noopener noreferrer"');
+  }
+  return output;
+}
+
+/**
+ * Re-emits only allowlisted tags and attributes. Anything else is escaped
+ * (unknown tags) or removed with its content (scripts, frames, styles).
+ */
+export function sanitizeHtml(html) {
+  const source = String(html || "");
+  let output = "";
+  let cursor = 0;
+  let dropUntil = null;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [whole, closing, rawTag = "", rawAttributes = ""] = match;
+    const tag = rawTag.toLowerCase();
+    const text = source.slice(cursor, match.index);
+    cursor = match.index + whole.length;
+
+    if (dropUntil) {
+      if (closing && tag === dropUntil) {
+        dropUntil = null;
+      }
+      continue;
+    }
+    output += text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    if (!tag) {
+      continue;
+    }
+    if (DROPPED_CONTENT_TAGS.has(tag)) {
+      if (!closing && !whole.endsWith("/>")) {
+        dropUntil = tag;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      continue;
+    }
+    if (closing) {
+      if (!VOID_TAGS.has(tag)) {
+        output += `</${tag}>`;
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, rawAttributes);
+    if (!attributes) {
+      continue;
+    }
+    output += `<${tag}${attributes.length ? ` ${attributes.join(" ")}` : ""}>`;
+  }
+
+  if (!dropUntil) {
+    output += source.slice(cursor).replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+  return output;
+}
+
+/**
+ * Renders a note's Markdown to sanitized HTML.
+ * `options.resolveWikiLink(title)` decides whether a [[link]] points at an
+ * existing note; missing ones get the "missing" class.
+ * `options.wikiLinkHref(title)` may return a URL for a [[link]] instead of
+ * the default "#", which the app resolves on click.
+ */
+export function renderMarkdown(markdown, options = {}) {
+  if (!markdown) {
+    return "";
+  }
+  const ctx = {
+    refs: new Map(),
+    footnotes: new Map(),
+    footnoteOrder: [],
+    resolveWikiLink: typeof options.resolveWikiLink === "function" ? options.resolveWikiLink : null,
+    wikiLinkHref: typeof options.wikiLinkHref === "function" ? options.wikiLinkHref : null
+  };
+  const lines = String(markdown)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u0000/g, "�")
+    .replace(/\n$/, "")
+    .split("\n")
+    .map(expandLeadingTabs);
+
+  const blocks = parseBlocks(lines, ctx);
+  const body = renderBlocks(blocks, ctx);
+  const footnotes = renderFootnotes(ctx);
+  return sanitizeHtml(footnotes ? `${body}\n${footnotes}` : body);
+}
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildImportPlan } from "../chimera-import.js";
+
+const encoder = new TextEncoder();
+
+function page(path, text) {
+  return { path, bytes: encoder.encode(text), lastModified: 1 };
+}
+
+function file(path, size = 10) {
+  return { path, bytes: null, size };
+}
+
+function planWithIds(files, options = {}) {
+  let next = 0;
+  return buildImportPlan(files, {
+    createAttachmentId: () => String(++next).padStart(24, "0"),
+    ...options
+  });
+}
+
+test("embedded vault files point at their attachment ids", () => {
+  const plan = planWithIds([
+    page("Vault/Home.md", "![[cat.png]] ![[cat.png|300]] ![[doc.pdf]]\n![Dog](assets/dog%20one.jpg)\n[Spec](assets/spec.pdf)"),
+    file("Vault/cat.png"),
+    file("Vault/doc.pdf"),
+    file("Vault/assets/dog one.jpg"),
+    file("Vault/assets/spec.pdf")
+  ]);
+
+  assert.equal(
+    plan.notes[0].content,
+    "![cat.png](attachments/000000000000000000000001) ![cat.png](attachments/000000000000000000000001) " +
+      "[doc.pdf](attachments/000000000000000000000002)\n" +
+      "![Dog](attachments/000000000000000000000003)\n" +
+      "[Spec](attachments/000000000000000000000004)"
+  );
+  assert.deepEqual(
+    plan.linkedAttachments.map(({ id, name, type }) => [id.slice(-1), name, type]),
+    [
+      ["1", "cat.png", "image/png"],
+      ["2", "doc.pdf", "application/pdf"],
+      ["3", "dog one.jpg", "image/jpeg"],
+      ["4", "spec.pdf", "application/pdf"]
+    ]
+  );
+  assert.equal(plan.linkedAttachments[0].file.path, "cat.png");
+  assert.equal(plan.stats.attachmentLinks, 0);
+});
+
+test("files no note links to are not linked", () => {
+  const plan = planWithIds([page("Vault/Home.md", "text"), file("Vault/unused.png")]);
+  assert.deepEqual(plan.attachments, ["unused.png"]);
+  assert.deepEqual(plan.linkedAttachments, []);
+});
+
+test("missing and oversized files keep their references", () => {
+  const plan = planWithIds(
+    [page("Vault/Home.md", "![[missing.png]] ![[movie.mov]]\n`![[cat.png]]`"), file("Vault/movie.mov", 5000), file("Vault/cat.png")],
+    { maxAttachmentBytes: 1000 }
+  );
+  assert.equal(plan.notes[0].content, "![[missing.png]] ![[movie.mov]]\n`![[cat.png]]`");
+  assert.deepEqual(plan.linkedAttachments, []);
+  assert.equal(plan.stats.attachmentLinks, 2);
+  assert.match(plan.warnings[0], /too large/);
+});
+
+test("without an id source the text is left alone", () => {
+  const plan = buildImportPlan([page("Vault/Home.md", "![[cat.png]]"), file("Vault/cat.png")]);
+  assert.equal(plan.notes[0].content, "![[cat.png]]");
+  assert.deepEqual(plan.linkedAttachments, []);
+});
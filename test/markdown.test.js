@@ -0,0 +1,211 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { renderMarkdown, sanitizeHtml } from "../chimera-markdown.js";
+
+const EXTERNAL = 'target="_blank" rel="noopener noreferrer"';
+
+function render(markdown, options) {
+  return renderMarkdown(markdown, options);
+}
+
+describe("CommonMark blocks", () => {
+  test("headings and paragraphs with emphasis", () => {
+    assert.equal(
+      render("# Title\n\nPara *em* **strong** `code`"),
+      "<h1>Title</h1>\n<p>Para <em>em</em> <strong>strong</strong> <code>code</code></p>"
+    );
+  });
+
+  test("setext headings and thematic breaks", () => {
+    assert.equal(render("Title\n===\n\n***"), "<h1>Title</h1>\n<hr>");
+  });
+
+  test("block quotes continue lazily", () => {
+    assert.equal(render("> quote\nmore"), "<blockquote>\n<p>quote\nmore</p>\n</blockquote>");
+  });
+
+  test("fenced code keeps its text and language", () => {
+    assert.equal(
+      render("```js\nconst x = 1 < 2;\n```"),
+      '<pre><code class="language-js">const x = 1 &lt; 2;\n</code></pre>'
+    );
+    assert.equal(render("~~~\nraw <b>\n~~~"), "<pre><code>raw &lt;b&gt;\n</code></pre>");
+  });
+
+  test("a longer fence contains shorter ones", () => {
+    assert.equal(render("````\n```\ninner\n```\n````"), "<pre><code>```\ninner\n```\n</code></pre>");
+  });
+
+  test("an unclosed fence runs to the end of the note", () => {
+    assert.equal(render("```\nopen\n\nstill code"), "<pre><code>open\n\nstill code\n</code></pre>");
+  });
+
+  test("indented code", () => {
+    assert.equal(render("    indented"), "<pre><code>indented\n</code></pre>");
+  });
+});
+
+describe("lists", () => {
+  test("nested bullet lists", () => {
+    assert.equal(
+      render("- a\n  - b\n    - c\n- d"),
+      "<ul>\n<li>a\n<ul>\n<li>b\n<ul>\n<li>c</li>\n</ul></li>\n</ul></li>\n<li>d</li>\n</ul>"
+    );
+  });
+
+  test("bullets nested in an ordered list", () => {
+    assert.equal(
+      render("1. one\n2. two\n   - nested\n3. three"),
+      "<ol>\n<li>one</li>\n<li>two\n<ul>\n<li>nested</li>\n</ul></li>\n<li>three</li>\n</ol>"
+    );
+  });
+
+  test("ordered lists keep their start number", () => {
+    assert.equal(render("3. c\n4. d"), '<ol start="3">\n<li>c</li>\n<li>d</li>\n</ol>');
+  });
+
+  test("blank lines between items make the list loose", () => {
+    assert.equal(
+      render("- a\n\n- b"),
+      "<ul>\n<li>\n<p>a</p>\n</li>\n<li>\n<p>b</p>\n</li>\n</ul>"
+    );
+  });
+
+  test("a different bullet starts a new list", () => {
+    assert.equal(render("- a\n+ b"), "<ul>\n<li>a</li>\n</ul>\n<ul>\n<li>b</li>\n</ul>");
+  });
+});
+
+describe("GFM extensions", () => {
+  test("tables with alignment", () => {
+    assert.equal(
+      render("| a | b |\n|:--|--:|\n| 1 | 2 |"),
+      "<table>\n<thead>\n<tr>\n" +
+        '<th align="left">a</th>\n<th align="right">b</th>\n' +
+        "</tr>\n</thead>\n<tbody>\n<tr>\n" +
+        '<td align="left">1</td>\n<td align="right">2</td>\n' +
+        "</tr>\n</tbody>\n</table>"
+    );
+  });
+
+  test("table cells hold inline markup and escaped pipes", () => {
+    assert.equal(
+      render("| a | b |\n| --- | --- |\n| `x\\|y` | **z** |"),
+      "<table>\n<thead>\n<tr>\n<th>a</th>\n<th>b</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n" +
+        "<td><code>x|y</code></td>\n<td><strong>z</strong></td>\n</tr>\n</tbody>\n</table>"
+    );
+  });
+
+  test("a header without a delimiter row is a paragraph", () => {
+    assert.equal(render("| a | b |\n| 1 | 2 |"), "<p>| a | b |\n| 1 | 2 |</p>");
+  });
+
+  test("task lists", () => {
+    assert.equal(
+      render("- [ ] todo\n- [x] done"),
+      '<ul class="contains-task-list">\n' +
+        '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" disabled> todo</li>\n' +
+        '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" disabled checked> done</li>\n' +
+        "</ul>"
+    );
+  });
+
+  test("strikethrough", () => {
+    assert.equal(render("~~gone~~"), "<p><del>gone</del></p>");
+  });
+
+  test("angle-bracket autolinks", () => {
+    assert.equal(
+      render("<https://example.com>"),
+      `<p><a href="https://example.com" ${EXTERNAL}>https://example.com</a></p>`
+    );
+    assert.equal(
+      render("mail <foo@bar.com>"),
+      `<p>mail <a href="mailto:foo@bar.com" ${EXTERNAL}>foo@bar.com</a></p>`
+    );
+  });
+
+  test("bare URLs leave trailing punctuation out", () => {
+    assert.equal(
+      render("Visit www.example.com."),
+      `<p>Visit <a href="http://www.example.com" ${EXTERNAL}>www.example.com</a>.</p>`
+    );
+    assert.equal(
+      render("see https://example.com/a_(b) ok"),
+      `<p>see <a href="https://example.com/a_(b)" ${EXTERNAL}>https://example.com/a_(b)</a> ok</p>`
+    );
+  });
+
+  test("footnotes", () => {
+    assert.equal(
+      render("Note[^1].\n\n[^1]: Text."),
+      '<p>Note<sup><a href="#fn-1" id="fnref-1" class="footnote-ref">1</a></sup>.</p>\n' +
+        '<section class="footnotes">\n<ol>\n<li id="fn-1">\n' +
+        '<p>Text. <a href="#fnref-1" class="footnote-backref" aria-label="Back to content">↩</a></p>\n' +
+        "</li>\n</ol>\n</section>"
+    );
+  });
+});
+
+describe("wiki links", () => {
+  test("link to notes by title", () => {
+    assert.equal(
+      render("[[Some Note]]"),
+      '<p><a href="#" class="internal-link" data-note-title="Some Note">Some Note</a></p>'
+    );
+  });
+
+  test("missing notes are marked", () => {
+    const html = render("[[Nowhere]]", { resolveWikiLink: () => false });
+    assert.match(html, /class="internal-link missing"/);
+  });
+});
+
+describe("sanitizer", () => {
+  test("javascript: links lose their href", () => {
+    assert.equal(render("[a](javascript:alert(1))"), "<p><a>a</a></p>");
+    assert.equal(render("[a](JaVaScRiPt:alert(1))"), "<p><a>a</a></p>");
+    assert.equal(render("[a](java&#x09;script:alert(1))"), "<p><a>a</a></p>");
+    assert.equal(render('<a href="javascript:alert(1)">x</a>'), "<p><a>x</a></p>");
+    assert.equal(sanitizeHtml('<a href=" javascript:x">a</a>'), "<a>a</a>");
+  });
+
+  test("javascript: images lose their src", () => {
+    assert.equal(render("![i](javascript:alert(1))"), '<p><img alt="i"></p>');
+  });
+
+  test("data: URLs are only kept for images", () => {
+    assert.equal(render('<a href="data:text/html,<script>">d</a>'), "<p><a>d</a></p>");
+    assert.equal(
+      render("![ok](data:image/png;base64,AAAA)"),
+      '<p><img src="data:image/png;base64,AAAA" alt="ok"></p>'
+    );
+  });
+
+  test("event handler attributes are removed", () => {
+    assert.equal(render("<img src=x onerror=alert(1)>"), '<img src="x">');
+    assert.equal(render('<div onclick="alert(1)">hi</div>'), "<div>hi</div>");
+    assert.equal(sanitizeHtml('<img src="x" onerror="alert(1)">'), '<img src="x">');
+  });
+
+  test("style attributes are removed", () => {
+    assert.equal(render('<p style="x" title="t">t</p>'), '<p title="t">t</p>');
+  });
+
+  test("svg and iframes are dropped with their content", () => {
+    assert.equal(render("<svg onload=alert(1)><circle/></svg>"), "<p></p>");
+    assert.equal(render('<iframe src="https://evil"></iframe>after'), "after");
+    assert.equal(sanitizeHtml("<svg><script>1</script></svg>z"), "z");
+  });
+
+  test("scripts are dropped with their content", () => {
+    assert.equal(render("<script>alert(1)</script>ok"), "ok");
+  });
+
+  test("allowlisted HTML passes through", () => {
+    assert.equal(
+      render("<details open><summary>s</summary>b</details>"),
+      "<details open><summary>s</summary>b</details>"
+    );
+  });
+});